@@ -5,46 +5,104 @@ const {
   Client,
   GatewayIntentBits,
   Partials,
-  SlashCommandBuilder,
-  ModalBuilder,
-  TextInputBuilder,
-  TextInputStyle,
   ActionRowBuilder,
   ButtonBuilder,
   ButtonStyle,
-  ChannelType,
-  PermissionsBitField,
-  EmbedBuilder
+  EmbedBuilder,
+  AttachmentBuilder
 } = require('discord.js');
+const { ApiKeyring, createAuth, corsOptions } = require('./src/http/auth');
+const { RateLimiter, trustProxySetting } = require('./src/http/rateLimit');
+const { MetricsRegistry } = require('./src/http/metrics');
+const { requestContext, errorHandler } = require('./src/http/requestContext');
+const { NotificationQueue, serializeNotification } = require('./src/notifications/queue');
+const { NotificationBatches, serializeBatch } = require('./src/notifications/batches');
+const { WebhookDispatcher, serializeDelivery } = require('./src/webhooks/dispatcher');
+const { STATUS_NAMES, validateStatusPayload, ApplicantTracker } = require('./src/notifications/statuses');
+const { InterviewScheduler, serializeSlot } = require('./src/interviews/scheduler');
+const { formatLocation, buildBookButton, buildIcsAttachment } = require('./src/interviews/messages');
+const { buildInterviewIcs } = require('./src/interviews/ics');
+const { InterviewSessionStore, isFinished, buildQuestionMessage } = require('./src/interviews/textInterview');
+const { TRANSCRIPT_FORMATS, transcriptData, renderTranscript } = require('./src/interviews/transcript');
+const { ContactChannelManager } = require('./src/contacts/manager');
+const { tally } = require('./src/applications/review');
+const {
+  DEFAULT_LOCALE,
+  GLOBAL_SCOPE,
+  SAMPLE_PAYLOAD,
+  TemplateStore,
+  isValidLocale,
+  validateTemplate,
+  buildValues,
+  renderTemplate
+} = require('./src/notifications/templates');
+const { GiveawayManager } = require('./src/giveaways/manager');
+const { MessageTracker } = require('./src/messageTracker');
+const { createStore } = require('./src/storage');
+const { generateId } = require('./src/utils/ids');
+const { parseDuration } = require('./src/utils/duration');
+const { createKeyedLock } = require('./src/utils/lock');
+const { backoffDelay } = require('./src/utils/backoff');
+const {
+  TYPES: APPLICATION_TYPES,
+  ApplicationHistory,
+  serializeRecord,
+  toCsv,
+  buildHistoryPage,
+  buildPageButtons
+} = require('./src/applications/history');
+const { ApplicationLimits } = require('./src/applications/limits');
+const { AuditLog, serializeAuditEntry } = require('./src/audit/log');
+const { PermissionChecker } = require('./src/permissions');
+const { CUSTOM_IDS } = require('./src/interactions/customIds');
+const { InteractionRegistry } = require('./src/interactions/registry');
+const { createApplicationHandlers } = require('./src/interactions/applications');
+const { createGiveawayHandlers } = require('./src/interactions/giveaways');
+const { createInterviewHandlers } = require('./src/interactions/interviews');
+const { createSettingsHandlers } = require('./src/interactions/settings');
+const { registerCommands } = require('./src/commands');
+const { GuildConfigStore } = require('./src/config/guildConfig');
+const { logger } = require('./src/logger');
+
+const { version } = require('./package.json');
 
 const app = express();
 const port = process.env.PORT || 3000;
 const DISCORD_INTEGRATION_ENABLED = process.env.DISCORD_INTEGRATION_ENABLED === 'true';
+// Guild used where none can be inferred: /notify templates and records that predate
+// per-guild configuration (applications without a guildId).
+const DEFAULT_GUILD_ID = process.env.DEFAULT_GUILD_ID;
 
-// Enable CORS for all origins (or configure specific origins as needed)
-app.use(cors());
-// Middleware to parse JSON request bodies
-app.use(express.json());
+// API keys and request authentication for the HTTP API
+const apiKeyring = new ApiKeyring();
+const authenticate = createAuth(apiKeyring);
+// Rate limits per client address and per API key
+const rateLimiter = new RateLimiter();
+rateLimiter.start();
+// Authenticated routes are also rate limited per API key.
+const requireAuth = scope => [authenticate(scope), rateLimiter.middleware('key')];
+process.on('SIGHUP', () => {
+  logger.info('SIGHUP received, reloading API keys, rate limits and webhooks');
+  apiKeyring.reload();
+  rateLimiter.reload();
+  webhooks.reload();
+});
 
-// Rate limit middleware (10 requests per minute per IP)
-const rateLimits = {};
-app.use((req, res, next) => {
-  const ip = req.ip;
-  const now = Date.now();
-  if (!rateLimits[ip]) {
-    rateLimits[ip] = { count: 1, timestamp: now };
-    return next();
-  }
-  if (now - rateLimits[ip].timestamp < 60000) { // 1 minute window
-    if (rateLimits[ip].count >= 10) {
-      return res.status(429).json({ error: "Rate limit exceeded. Try again later." });
-    }
-    rateLimits[ip].count++;
-  } else {
-    rateLimits[ip] = { count: 1, timestamp: now };
+// Client addresses (for rate limits) come from X-Forwarded-For only behind TRUST_PROXY.
+app.set('trust proxy', trustProxySetting());
+
+// Correlation ID (X-Request-Id) and request logging for everything below
+app.use(requestContext());
+// Enable CORS only for the origins listed in CORS_ORIGINS
+app.use(cors(corsOptions()));
+// Per-address rate limits for every route (see src/http/rateLimit.js)
+app.use(rateLimiter.middleware('ip'));
+// Middleware to parse JSON request bodies (keeping the raw body for signature checks)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
   }
-  next();
-});
+}));
 
 // -------------------- Single Discord Client Instance -------------------- //
 
@@ -52,15 +110,270 @@ const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.DirectMessages,
-    GatewayIntentBits.GuildMessages
+    GatewayIntentBits.GuildMessages,
+    // Privileged; lets contact channel transcripts include members' messages. It must
+    // also be enabled for the bot in the Discord developer portal.
+    ...(process.env.MESSAGE_CONTENT_INTENT === 'true' ? [GatewayIntentBits.MessageContent] : [])
   ],
   partials: [Partials.Channel] // For DM channels not yet cached
 });
 
+// ------------------------- Persistent Storage ------------------------- //
+
+// Persistent storage (STORAGE_DRIVER, default: JSON files in DATA_DIR). Collections:
+//   applications     giveaway applications (drafts, pending, approved, denied)
+//   builderSessions  giveaway builder sessions, keyed by user ID
+//   giveaways        running and finished giveaways with their entrants
+//   messageCounts    per-guild message counts
+//   guildConfigs     per-guild settings managed with /config
+//   notifications    /notify deliveries and their status
+//   idempotencyKeys  Idempotency-Key -> notification, kept for 24 hours
+//   webhookDeliveries outbound webhook delivery log
+//   templates        notification templates per scope (guild or global), locale and status
+//   userPreferences  per-user settings such as notification locale
+//   applicants       each applicant's interview pipeline status and history
+//   interviewSlots   interview availability slots and bookings
+//   interviewSessions text interviews: questions, answers and transcripts
+//   contactChannels  private applicant contact channels and their lifecycle
+const store = createStore();
+const guildConfigs = new GuildConfigStore(store);
+const templates = new TemplateStore(store);
+const applicants = new ApplicantTracker(store);
+const applicationHistory = new ApplicationHistory(store, { defaultGuildId: DEFAULT_GUILD_ID });
+// Who may use which command, button and modal (see src/permissions.js).
+const permissions = new PermissionChecker(guildConfigs);
+// Append-only record of moderator actions, posted to each guild's audit-log channel.
+const audit = new AuditLog(client, { store, guildConfigs });
+
+// Outbound, signed webhooks to the application service (WEBHOOKS / WEBHOOKS_FILE).
+const webhooks = new WebhookDispatcher({
+  store,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8
+});
+
+// Queued DM delivery for /notify, with retries and status tracking.
+const notificationQueue = new NotificationQueue({
+  client,
+  store,
+  maxAttempts: Number(process.env.NOTIFY_MAX_ATTEMPTS) || 5,
+  // Minimum gap between two DMs (NOTIFY_SEND_INTERVAL_MS, default 1 second).
+  sendIntervalMs: Number(process.env.NOTIFY_SEND_INTERVAL_MS) || 1000
+});
+// POST /notify/batch requests and their progress.
+const notificationBatches = new NotificationBatches({ store, notificationQueue });
+const NOTIFY_BATCH_MAX_ITEMS = Number(process.env.NOTIFY_BATCH_MAX_ITEMS) || 100;
+notificationQueue.on('settled', (notification) => {
+  webhooks.dispatch(`notification.${notification.status}`, serializeNotification(notification));
+  audit.record({
+    action: `notification.${notification.status}`,
+    guildId: notification.guildId,
+    actorId: notification.requestedBy || 'system',
+    targetId: notification.discordId,
+    details: {
+      notificationId: notification.id,
+      status: notification.applicationStatus,
+      attempts: notification.attempts,
+      error: notification.lastError
+    }
+  }).catch(error => logger.error('Error recording notification audit entry', { error }));
+});
+
+/**
+ * Renders the applicant's template for a pipeline status, queues the DM and records
+ * the new status. Approval DMs get a button to book an interview slot.
+ * `requestedBy` is the audit log actor ('system' for the bot's own reminders).
+ */
+async function notifyApplicant({ discordId, status, payload = {}, forced = false, requestedBy = 'system', batchId, idempotency }) {
+  const guildId = payload.guildId || DEFAULT_GUILD_ID;
+  const locale = await templates.localeFor(discordId, payload.locale);
+  const { template } = await templates.resolve(status, { guildId, locale });
+  const message = renderTemplate(template, buildValues({ discordId, status, payload }));
+  if (status === 'approved' && guildId) {
+    message.components = [buildBookButton(guildId).toJSON()];
+  }
+
+  const notification = await notificationQueue.enqueue({
+    discordId,
+    guildId: guildId || null,
+    applicationStatus: status,
+    message,
+    requestedBy,
+    batchId,
+    idempotency
+  });
+  await applicants.record(discordId, status, { forced, payload, notificationId: notification.id });
+  return notification;
+}
+
+// ------------------------- Interview Scheduling ------------------------- //
+
+// Reminder offsets before each booked interview (INTERVIEW_REMINDERS, default "24h,1h").
+const reminderOffsets = (process.env.INTERVIEW_REMINDERS || '24h,1h')
+  .split(',')
+  .map(offset => parseDuration(offset.trim()))
+  .filter(Boolean);
+const interviews = new InterviewScheduler({ store, reminderOffsets });
+const interviewSessions = new InterviewSessionStore(store);
+const INTERVIEW_STATUSES = ['interview_scheduled', 'interview_rescheduled', 'interview_reminder'];
+// Applicants in these statuses may book (or rebook) an interview slot.
+const BOOKABLE_STATUSES = ['approved', 'waitlisted', ...INTERVIEW_STATUSES];
+
+function interviewPayload(slot) {
+  return {
+    guildId: slot.guildId,
+    interviewTime: new Date(slot.startsAt).toISOString(),
+    interviewer: slot.interviewerId,
+    meetingChannel: slot.meetingChannel || undefined,
+    durationMinutes: slot.durationMinutes
+  };
+}
+
+interviews.on('booked', async (slot, previous) => {
+  try {
+    const applicant = await applicants.get(slot.applicantId);
+    const status = INTERVIEW_STATUSES.includes(applicant?.status) ? 'interview_rescheduled' : 'interview_scheduled';
+    const payload = interviewPayload(slot);
+    if (previous) payload.previousInterviewTime = new Date(previous.startsAt).toISOString();
+    await applicants.record(slot.applicantId, status, { payload });
+    webhooks.dispatch('interview.booked', {
+      ...serializeSlot(slot),
+      previousSlotId: previous ? previous.id : null
+    });
+
+    const interviewer = await client.users.fetch(slot.interviewerId);
+    await interviewer.send({
+      content: `📅 <@${slot.applicantId}> booked your interview slot for <t:${Math.floor(slot.startsAt / 1000)}:F>.`,
+      files: [buildIcsAttachment(slot)]
+    });
+  } catch (error) {
+    logger.error('Error handling interview booking', { slotId: slot.id, error });
+  }
+});
+
+// A booked slot was withdrawn: ask the applicant to pick another one.
+interviews.on('cancelled', async (slot, applicantId) => {
+  webhooks.dispatch('interview.cancelled', { ...serializeSlot(slot), applicantId });
+  try {
+    const user = await client.users.fetch(applicantId);
+    await user.send({
+      content: `Your interview on <t:${Math.floor(slot.startsAt / 1000)}:F> had to be cancelled. Please book another time.`,
+      components: [buildBookButton(slot.guildId)]
+    });
+  } catch (error) {
+    logger.warn('Could not tell the applicant about a cancelled interview slot', { slotId: slot.id, applicantId, error });
+  }
+});
+
+interviews.on('reminder', async (slot) => {
+  try {
+    const transition = await applicants.checkTransition(slot.applicantId, 'interview_reminder');
+    if (transition.ok) {
+      await notifyApplicant({ discordId: slot.applicantId, status: 'interview_reminder', payload: interviewPayload(slot) });
+    }
+    const interviewer = await client.users.fetch(slot.interviewerId);
+    await interviewer.send(`⏰ Reminder: your interview with <@${slot.applicantId}> starts <t:${Math.floor(slot.startsAt / 1000)}:R>.`);
+  } catch (error) {
+    logger.error('Error sending interview reminders', { slotId: slot.id, error });
+  }
+});
+
+// ----------------------- Health & Metrics ----------------------- //
+
+const startedAt = Date.now();
+let httpServer = null;
+
+const metrics = new MetricsRegistry({ prefix: 'discord_bot_' });
+const notificationsCounter = metrics.counter({
+  name: 'notifications_total',
+  help: 'Notifications that reached a final delivery status.',
+  labelNames: ['status', 'application_status']
+});
+const interactionsCounter = metrics.counter({
+  name: 'interactions_total',
+  help: 'Slash commands, buttons, select menus and modals handled, by customId prefix or command name.',
+  labelNames: ['type', 'name', 'outcome']
+});
+metrics.gauge({
+  name: 'notifications_queued',
+  help: 'Notifications waiting to be delivered.',
+  collect: () => notificationQueue.pending.size
+});
+metrics.gauge({
+  name: 'applications_pending',
+  help: 'Giveaway applications awaiting a moderator decision.',
+  collect: async () => (await store.list('applications', app => app.status === 'pending')).length
+});
+metrics.gauge({
+  name: 'giveaways_active',
+  help: 'Giveaways currently running.',
+  collect: () => [...giveawayManager.giveaways.values()].filter(giveaway => giveaway.status === 'running').length
+});
+metrics.gauge({
+  name: 'discord_gateway_up',
+  help: 'Whether the bot is connected to the Discord gateway (1) or not (0).',
+  collect: () => (client.isReady() ? 1 : 0)
+});
+metrics.gauge({
+  name: 'discord_latency_seconds',
+  help: 'Discord gateway heartbeat latency.',
+  collect: () => (client.isReady() && client.ws.ping >= 0 ? client.ws.ping / 1000 : null)
+});
+metrics.gauge({
+  name: 'uptime_seconds',
+  help: 'Seconds since the process started.',
+  collect: () => Math.round((Date.now() - startedAt) / 1000)
+});
+
+notificationQueue.on('settled', (notification) => {
+  notificationsCounter.inc({ status: notification.status, application_status: notification.applicationStatus });
+});
+
+const STORAGE_CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * Reads from the store to check that it answers, within STORAGE_CHECK_TIMEOUT_MS.
+ */
+async function checkStorage() {
+  const start = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      store.get('guildConfigs', '__health__'),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${STORAGE_CHECK_TIMEOUT_MS}ms.`)), STORAGE_CHECK_TIMEOUT_MS);
+      })
+    ]);
+    return { ok: true, driver: process.env.STORAGE_DRIVER || 'file', latencyMs: Date.now() - start };
+  } catch (error) {
+    return { ok: false, driver: process.env.STORAGE_DRIVER || 'file', error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * The gateway, HTTP server and storage checks behind /ready and /admin/status.
+ */
+async function readinessChecks() {
+  return {
+    gateway: {
+      ok: client.isReady(),
+      latencyMs: client.isReady() && client.ws.ping >= 0 ? client.ws.ping : null
+    },
+    http: { ok: Boolean(httpServer?.listening), port: Number(port) },
+    storage: await checkStorage()
+  };
+}
+
+const countBy = (items, key) => items.reduce((counts, item) => {
+  counts[item[key]] = (counts[item[key]] || 0) + 1;
+  return counts;
+}, {});
+
 // ----------------------- Express Routes ----------------------- //
 
 app.get('/', (req, res) => {
-  res.send('Discord Moderator & Giveaway Bot API - Use POST /notify for moderator notifications, and /host-giveaway for giveaways.');
+  res.send('Discord Moderator & Giveaway Bot API - Use POST /notify for moderator notifications, and /host-giveaway apply for giveaways.');
 });
 
 app.get('/health', (req, res) => {
@@ -70,673 +383,1043 @@ app.get('/health', (req, res) => {
   });
 });
 
+/**
+ * GET /ready
+ * Readiness probe: 200 when the Discord gateway, the HTTP server and storage are all
+ * healthy, otherwise 503. Either way the body reports each check, so a broken
+ * dependency can be told apart from a process that is down (see /health).
+ */
+app.get('/ready', async (req, res) => {
+  const checks = await readinessChecks();
+  const ready = Object.values(checks).every(check => check.ok);
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+});
+
+/**
+ * GET /metrics
+ * Prometheus metrics: notifications by delivery and application status, interactions
+ * by type and customId prefix, queued notifications, pending applications, running
+ * giveaways and Discord latency. Requires the "metrics:read" scope.
+ */
+app.get('/metrics', requireAuth('metrics:read'), async (req, res) => {
+  res.type('text/plain; version=0.0.4').send(await metrics.render());
+});
+
+/**
+ * GET /admin/status
+ * What the bot is doing right now: connection, readiness checks, queues, applications,
+ * giveaways, interviews, contact channels and process memory. Requires the
+ * "admin:read" scope.
+ */
+app.get('/admin/status', requireAuth('admin:read'), async (req, res) => {
+  const checks = await readinessChecks();
+  const [applications, batches] = await Promise.all([
+    store.list('applications', app => app.status !== 'draft'),
+    store.list('notificationBatches')
+  ]);
+  const giveaways = [...giveawayManager.giveaways.values()];
+  const now = Date.now();
+  const memory = process.memoryUsage();
+  res.status(200).json({
+    version,
+    startedAt: new Date(startedAt).toISOString(),
+    uptimeSeconds: Math.round((now - startedAt) / 1000),
+    discord: {
+      ready: client.isReady(),
+      user: client.user?.tag || null,
+      guilds: client.guilds.cache.size,
+      latencyMs: checks.gateway.latencyMs
+    },
+    checks,
+    notifications: { queued: notificationQueue.pending.size, batches: batches.length },
+    webhooks: { endpoints: webhooks.endpoints.length, pendingDeliveries: webhooks.pending.size },
+    applications: countBy(applications, 'status'),
+    giveaways: countBy(giveaways, 'status'),
+    interviews: {
+      upcomingSlots: countBy(interviews.list({ from: now }), 'status'),
+      activeTextInterviews: (await store.list('interviewSessions', session => session.status === 'active')).length
+    },
+    contacts: { open: [...contacts.contacts.values()].filter(contact => contact.status === 'open').length },
+    memory: { rssBytes: memory.rss, heapUsedBytes: memory.heapUsed }
+  });
+});
+
 /**
  * POST /notify
- * Receives notifications from the moderator application service.
+ * Receives notifications from the moderator application service and queues a DM.
+ * Requires an API key with the "notify:send" scope (Bearer or HMAC-signed, see src/http/auth.js).
  * Expected JSON payload:
  * {
  *   "discordId": "123456789012345678",   // Discord user ID (17-19 digits)
- *   "status": "submitted" | "approved" | "rejected",
- *   "payload": { ... }                   // (Optional) Additional details (e.g., rejection reason)
+ *   "status": "submitted" | "approved" | "rejected" | "interview_scheduled" | "interview_rescheduled"
+ *           | "interview_reminder" | "interview_completed" | "accepted" | "waitlisted" | "withdrawn",
+ *   "payload": { ... },                  // (Optional) Additional details, validated per status
+ *   "force": true                        // (Optional) Skip the status transition check
  * }
+ * Structured payload fields (see src/notifications/statuses.js):
+ *   interviewTime          ISO 8601 date-time; required for interview_scheduled/_rescheduled/_reminder
+ *   previousInterviewTime  ISO 8601 date-time (interview_rescheduled)
+ *   interviewer            Discord user ID or name
+ *   meetingChannel         Discord channel ID or meeting link
+ *   durationMinutes        positive integer
+ *   reason                 rejected, interview_rescheduled, withdrawn
+ *   position               waitlist position (waitlisted)
+ * Each applicant's status is tracked, and a status that cannot follow the current one
+ * (e.g. approved after rejected) is refused with 409 unless "force" is true.
+ * Approval DMs include a button to book an interview slot (see /interviews).
+ * The DM is rendered from the notification template for the status (see
+ * src/notifications/templates.js). `payload.locale` picks the language, falling back to
+ * the user's /language preference; `payload.guildId` (or DEFAULT_GUILD_ID) picks
+ * guild-specific templates. Other payload fields are available as placeholders.
+ * An optional Idempotency-Key header makes retries safe: repeating a request with the
+ * same key (within 24 hours) returns the original notification instead of sending again.
+ * While the bot is disconnected from Discord, notifications are queued and delivered
+ * once it reconnects.
+ * Responds 202 with the notification ID; poll GET /notifications/:id for the outcome.
  */
-app.post('/notify', async (req, res) => {
+app.post('/notify', requireAuth('notify:send'), async (req, res) => {
   if (!DISCORD_INTEGRATION_ENABLED) {
     return res.status(503).json({ error: "Discord integration is currently disabled." });
   }
 
-  const { discordId, status, payload = {} } = req.body;
+  const request = validateNotification(req.body);
+  if (request.error) {
+    return res.status(request.error.status).json(request.error.body);
+  }
+  const { discordId, applicationStatus, payload, forced } = request;
+
+  const idempotencyKey = req.get('Idempotency-Key');
+  if (idempotencyKey !== undefined && !/^[\x21-\x7e]{1,255}$/.test(idempotencyKey)) {
+    return res.status(400).json({ error: "Idempotency-Key must be 1-255 printable ASCII characters." });
+  }
+  const idempotency = idempotencyKey && {
+    scope: req.apiKey.id,
+    key: idempotencyKey,
+    body: { discordId, status: req.body.status, payload, force: req.body.force === undefined ? false : req.body.force }
+  };
+  const send = async () => {
+    const transitionError = !forced && await checkStatusTransition(discordId, applicationStatus);
+    if (transitionError) return { error: transitionError };
+    const notification = await notifyApplicant({
+      discordId,
+      status: applicationStatus,
+      payload,
+      forced,
+      requestedBy: `api:${req.apiKey.id}`,
+      idempotency
+    });
+    return { notification };
+  };
+
+  let outcome;
+  try {
+    outcome = idempotency ? await notificationQueue.withIdempotencyKey(idempotency, send) : { result: await send() };
+  } catch (error) {
+    if (error.code === 'idempotency_conflict') {
+      return res.status(422).json({ error: error.message, code: error.code });
+    }
+    throw error;
+  }
+  if (outcome.existing) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(200).json({ success: true, notification: serializeNotification(outcome.existing) });
+  }
+  const { error, notification } = outcome.result;
+  if (error) {
+    return res.status(error.status).json(error.body);
+  }
+  return res.status(202).json({
+    success: true,
+    message: client.isReady()
+      ? "Notification queued for delivery."
+      : "Notification queued; it will be delivered once the bot reconnects to Discord.",
+    notification: serializeNotification(notification)
+  });
+});
+
+/**
+ * Validates a notification request: a POST /notify body or one POST /notify/batch item.
+ * Returns `{ error: { status, body } }` with the HTTP status and response body for a
+ * bad request, or `{ discordId, applicationStatus, payload, forced }`.
+ */
+function validateNotification(body) {
+  const { discordId, status, payload = {}, force = false } = body && typeof body === 'object' ? body : {};
+  const invalid = (error, details) => ({ error: { status: 400, body: { error, ...(details && { details }) } } });
   if (!discordId || !status) {
-    return res.status(400).json({ error: "Missing discordId or status in request body." });
+    return invalid("Missing discordId or status in request body.");
   }
 
   // Validate discordId format (17-19 digits)
   const discordIdRegex = /^\d{17,19}$/;
   if (!discordIdRegex.test(discordId)) {
-    return res.status(400).json({ error: "Invalid Discord ID format." });
+    return invalid("Invalid Discord ID format.");
   }
 
-  if (!client.isReady()) {
-    return res.status(503).json({ error: "Discord bot is not connected." });
+  const applicationStatus = String(status).toLowerCase();
+  if (!STATUS_NAMES.includes(applicationStatus)) {
+    return invalid(`Invalid status provided. Must be one of: ${STATUS_NAMES.join(', ')}.`);
   }
-
-  const validStatuses = ["submitted", "approved", "rejected"];
-  if (!validStatuses.includes(status.toLowerCase())) {
-    return res.status(400).json({
-      error: `Invalid status provided. Must be one of: ${validStatuses.join(', ')}.`
-    });
+  if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
+    return invalid("payload must be a JSON object.");
+  }
+  const payloadErrors = validateStatusPayload(applicationStatus, payload);
+  if (payloadErrors.length) {
+    return invalid("Invalid payload.", payloadErrors);
+  }
+  if (payload.locale !== undefined && !isValidLocale(payload.locale)) {
+    return invalid("Invalid payload.locale. Use a code such as \"en\" or \"pt-BR\".");
   }
+  return { discordId, applicationStatus, payload, forced: force === true };
+}
+
+/**
+ * The 409 error for a status that cannot follow the applicant's current one, or null.
+ */
+async function checkStatusTransition(discordId, applicationStatus) {
+  const transition = await applicants.checkTransition(discordId, applicationStatus);
+  if (transition.ok) return null;
+  return {
+    status: 409,
+    body: {
+      error: `Cannot change status from "${transition.currentStatus}" to "${applicationStatus}". Set "force": true to override.`,
+      code: 'illegal_transition',
+      currentStatus: transition.currentStatus,
+      allowed: transition.allowed
+    }
+  };
+}
 
-  let message = "";
-  switch (status.toLowerCase()) {
-    case "submitted":
-      message = `Your moderator application has been **submitted** and is up for review.`;
-      break;
-    case "approved":
-      message = `🎉 Congratulations! Your moderator application has been **approved**. You will now move on to the interview and will be contacted within **4-5 days**.`;
-      break;
-    case "rejected":
-      message = `We regret to inform you that your moderator application didn't meet the requirements and has been **rejected**.`;
-      break;
+/**
+ * POST /notify/batch
+ * Queues up to NOTIFY_BATCH_MAX_ITEMS (default 100) notifications in one request, e.g.
+ * when a whole application round closes. Requires the "notify:send" scope.
+ * Expected JSON payload:
+ * {
+ *   "items": [
+ *     { "discordId": "123456789012345678", "status": "rejected", "payload": { ... }, "force": false },
+ *     ...
+ *   ]
+ * }
+ * Each item is validated like a POST /notify body, in order; invalid items and illegal
+ * status transitions are rejected individually (with the error POST /notify would give)
+ * while the rest are queued. DMs go out one at a time, NOTIFY_SEND_INTERVAL_MS apart.
+ * Responds 202 with the batch ID and per-item results; poll GET /notify/batch/:id for
+ * progress.
+ */
+app.post('/notify/batch', requireAuth('notify:send'), async (req, res) => {
+  if (!DISCORD_INTEGRATION_ENABLED) {
+    return res.status(503).json({ error: "Discord integration is currently disabled." });
   }
-  if (payload.details) {
-    message += `\n\n**Details:** ${payload.details}`;
+  const { items } = req.body || {};
+  if (!Array.isArray(items) || !items.length) {
+    return res.status(400).json({ error: "items must be a non-empty array." });
   }
-  try {
-    let user;
+  if (items.length > NOTIFY_BATCH_MAX_ITEMS) {
+    return res.status(400).json({ error: `A batch can hold at most ${NOTIFY_BATCH_MAX_ITEMS} items.` });
+  }
+
+  const batchId = generateId();
+  const requestedBy = `api:${req.apiKey.id}`;
+  const results = [];
+  const notifications = new Map();
+  // One item at a time, so two items for the same applicant see each other's status.
+  for (const [index, item] of items.entries()) {
+    const request = validateNotification(item);
+    const discordId = typeof item?.discordId === 'string' ? item.discordId : null;
     try {
-      user = await client.users.fetch(discordId);
-    } catch (fetchError) {
-      return res.status(404).json({ error: "Discord user not found or bot cannot access this user." });
+      const error = request.error
+        || (!request.forced && await checkStatusTransition(request.discordId, request.applicationStatus));
+      if (error) {
+        results.push({ index, discordId, applicationStatus: request.applicationStatus || null, error: { statusCode: error.status, ...error.body } });
+        continue;
+      }
+      const notification = await notifyApplicant({
+        discordId: request.discordId,
+        status: request.applicationStatus,
+        payload: request.payload,
+        forced: request.forced,
+        requestedBy,
+        batchId
+      });
+      notifications.set(notification.id, notification);
+      results.push({ index, discordId, applicationStatus: request.applicationStatus, notificationId: notification.id });
+    } catch (error) {
+      // Record the failure and go on: the batch must be stored, or a retry would
+      // send the items already queued again.
+      logger.error('Error queueing batch notification', { batchId, index, discordId, error });
+      results.push({
+        index,
+        discordId,
+        applicationStatus: request.applicationStatus || null,
+        error: { statusCode: 500, error: "Could not queue this notification. Retry it on its own.", code: 'queue_failed' }
+      });
     }
-    await user.send(message);
-    console.log(`Notification sent to ${user.tag} (${discordId}) - Status: ${status}`);
-    return res.status(200).json({
-      success: true,
-      message: "Notification sent successfully.",
-      recipient: user.tag
-    });
-  } catch (error) {
-    console.error("Error sending notification:", error);
-    return res.status(500).json({
-      error: "Failed to send notification",
-      details: error.message
-    });
   }
+
+  const batch = await notificationBatches.create({ id: batchId, requestedBy, items: results });
+  return res.status(202).json({
+    success: true,
+    message: `${notifications.size} of ${items.length} notification(s) queued for delivery.`,
+    batch: serializeBatch(batch, notifications)
+  });
 });
 
-// ------------------- Giveaway Hosting Integration -------------------- //
+/**
+ * GET /notify/batch/:id
+ * Reports a batch's progress: counts per delivery status, `done` once nothing is still
+ * queued, and each item's result. Requires the "notify:read" scope.
+ */
+app.get('/notify/batch/:id', requireAuth('notify:read'), async (req, res) => {
+  const batch = await notificationBatches.get(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: "Batch not found." });
+  }
+  return res.status(200).json(serializeBatch(batch, await notificationBatches.notifications(batch)));
+});
 
-// In-memory storage for pending giveaway applications, keyed by applicant ID.
-const pendingGiveaways = new Map();
+/**
+ * GET /notifications/:id
+ * Reports a notification's delivery status: queued, sent, failed or undeliverable
+ * (e.g. the user has DMs closed). Requires the "notify:read" scope.
+ */
+app.get('/notifications/:id', requireAuth('notify:read'), async (req, res) => {
+  const notification = await notificationQueue.get(req.params.id);
+  if (!notification) {
+    return res.status(404).json({ error: "Notification not found." });
+  }
+  return res.status(200).json(serializeNotification(notification));
+});
 
-// Register the /host-giveaway command on a specific guild when the bot is ready
-client.once('ready', async () => {
-  console.log(`Discord bot logged in as ${client.user.tag}`);
+/**
+ * GET /interviews?guildId=&status=&applicantId=&interviewerId=&from=&to=
+ * Lists interview slots, soonest first. `status` is open, booked or cancelled;
+ * `from`/`to` are ISO 8601 date-times. Requires the "interviews:read" scope.
+ */
+app.get('/interviews', requireAuth('interviews:read'), async (req, res) => {
+  const { guildId, status, applicantId, interviewerId } = req.query;
+  const range = {};
+  for (const key of ['from', 'to']) {
+    if (req.query[key] === undefined) continue;
+    range[key] = Date.parse(req.query[key]);
+    if (Number.isNaN(range[key])) {
+      return res.status(400).json({ error: `Invalid "${key}" date-time.` });
+    }
+  }
+  const slots = interviews.list({ guildId, status, applicantId, interviewerId, ...range });
+  return res.status(200).json({ interviews: slots.map(serializeSlot) });
+});
 
-  // Replace with your actual Guild ID
-  const guildId = '1342353336229433344';
-  const guild = client.guilds.cache.get(guildId);
-  if (guild) {
-    try {
-      await guild.commands.create(
-        new SlashCommandBuilder()
-          .setName('host-giveaway')
-          .setDescription('Host a new giveaway using a detailed submission form')
-          .toJSON()
-      );
-      console.log('/host-giveaway command registered.');
-    } catch (error) {
-      console.error('Error registering command:', error);
+/**
+ * GET /interviews/:id.ics
+ * Calendar file for a booked interview. Requires the "interviews:read" scope.
+ */
+app.get('/interviews/:id.ics', requireAuth('interviews:read'), async (req, res) => {
+  const slot = interviews.get(req.params.id);
+  if (!slot || slot.status !== 'booked') {
+    return res.status(404).json({ error: "Booked interview not found." });
+  }
+  res.type('text/calendar');
+  res.attachment(`interview-${slot.id}.ics`);
+  return res.send(buildInterviewIcs(slot, { location: formatLocation(slot.meetingChannel) || 'Discord' }));
+});
+
+/**
+ * GET /transcripts?guildId=&applicantId=&status=
+ * Lists text interviews (newest first) without their answers. Requires "interviews:read".
+ */
+app.get('/transcripts', requireAuth('interviews:read'), async (req, res) => {
+  const { guildId, applicantId, status } = req.query;
+  const sessions = await interviewSessions.list({ guildId, applicantId, status });
+  return res.status(200).json({
+    transcripts: sessions.map(session => {
+      const { questions, ...summary } = transcriptData(session);
+      return { ...summary, questionCount: questions.length, answeredCount: session.answers.length };
+    })
+  });
+});
+
+/**
+ * GET /transcripts/:id?format=json|markdown|html
+ * A text interview transcript (default JSON). Requires the "interviews:read" scope.
+ */
+app.get('/transcripts/:id', requireAuth('interviews:read'), async (req, res) => {
+  const format = req.query.format || 'json';
+  if (!TRANSCRIPT_FORMATS[format]) {
+    return res.status(400).json({ error: `Invalid format. Must be one of: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}.` });
+  }
+  const session = await interviewSessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: "Transcript not found." });
+  }
+  res.type(TRANSCRIPT_FORMATS[format].contentType);
+  return res.send(renderTranscript(session, format, session.names));
+});
+
+/**
+ * GET /applications?type=&user=&status=&guildId=&q=&from=&to=&format=json|csv&limit=&offset=
+ * Giveaway and moderator applications, newest first. `from`/`to` (ISO 8601) filter on
+ * the submission time and `q` searches the application text. JSON is paginated with
+ * `limit` (default 100, max 1000) and `offset`; CSV exports every match.
+ * Requires the "applications:read" scope.
+ */
+app.get('/applications', requireAuth('applications:read'), async (req, res) => {
+  const { type, user, status, guildId, q } = req.query;
+  const format = req.query.format || 'json';
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: "Invalid format. Must be one of: json, csv." });
+  }
+  if (type !== undefined && !APPLICATION_TYPES.includes(type)) {
+    return res.status(400).json({ error: `Invalid type. Must be one of: ${APPLICATION_TYPES.join(', ')}.` });
+  }
+  const range = {};
+  for (const key of ['from', 'to']) {
+    if (req.query[key] === undefined) continue;
+    range[key] = Date.parse(req.query[key]);
+    if (Number.isNaN(range[key])) {
+      return res.status(400).json({ error: `Invalid "${key}" date-time.` });
     }
-  } else {
-    console.warn('Guild not found. Slash command not registered.');
   }
-  // Start the Express HTTP server only after the bot is ready.
-  app.listen(port, () => {
-    console.log(`HTTP server is running on port ${port}`);
+  const records = await applicationHistory.query({ type, userId: user, status, guildId, text: q, ...range });
+
+  if (format === 'csv') {
+    res.type('text/csv');
+    res.attachment('applications.csv');
+    return res.send(toCsv(records));
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  return res.status(200).json({
+    total: records.length,
+    limit,
+    offset,
+    applications: records.slice(offset, offset + limit).map(serializeRecord)
   });
 });
 
-// Listen for Discord interactions (slash commands, modals, buttons)
-client.on('interactionCreate', async (interaction) => {
-  // Handle /host-giveaway slash command
-  if (interaction.isChatInputCommand() && interaction.commandName === 'host-giveaway') {
-    const modal = new ModalBuilder() 
-      .setCustomId('giveawayModal')
-      .setTitle('Host Giveaway Application');
-
-    const titleInput = new TextInputBuilder()
-      .setCustomId('giveawayTitle')
-      .setLabel('Giveaway Title')
-      .setStyle(TextInputStyle.Short)
-      .setRequired(true);
-    const descriptionInput = new TextInputBuilder()
-      .setCustomId('giveawayDescription')
-      .setLabel('Description / Contents')
-      .setStyle(TextInputStyle.Paragraph)
-      .setRequired(true);
-    const durationInput = new TextInputBuilder()
-      .setCustomId('giveawayDuration')
-      .setLabel('Duration (e.g., 1h, 30m)')
-      .setStyle(TextInputStyle.Short)
-      .setRequired(true);
-    const conditionsInput = new TextInputBuilder()
-      .setCustomId('giveawayConditions')
-      .setLabel('Entry Conditions (optional)')
-      .setStyle(TextInputStyle.Paragraph)
-      .setRequired(false);
-
-    modal.addComponents(
-      new ActionRowBuilder().addComponents(titleInput),
-      new ActionRowBuilder().addComponents(descriptionInput),
-      new ActionRowBuilder().addComponents(durationInput),
-      new ActionRowBuilder().addComponents(conditionsInput)
-    );
-
-    await interaction.showModal(modal);
-  }
-  // Handle modal submission for giveaway details
-  else if (interaction.isModalSubmit() && interaction.customId === 'giveawayModal') {
-    const title = interaction.fields.getTextInputValue('giveawayTitle');
-    const description = interaction.fields.getTextInputValue('giveawayDescription');
-    const duration = interaction.fields.getTextInputValue('giveawayDuration');
-    const conditions = interaction.fields.getTextInputValue('giveawayConditions');
-
-    pendingGiveaways.set(interaction.user.id, {
-      title,
-      description,
-      duration,
-      conditions,
-      applicantId: interaction.user.id,
-      applicantTag: interaction.user.tag
-    });
+/**
+ * GET /audit?guildId=&actor=&target=&action=&from=&to=&limit=&offset=
+ * Audit log entries, newest first. `actor` is a Discord user ID, "api:<key id>", "vote"
+ * or "system"; `action` is an exact action (e.g. "application.denied") or a family
+ * ("application.*"). `from`/`to` are ISO 8601 date-times. `limit` defaults to 100
+ * (max 1000). Requires the "audit:read" scope.
+ */
+app.get('/audit', requireAuth('audit:read'), async (req, res) => {
+  const { guildId, actor, target, action } = req.query;
+  const range = {};
+  for (const key of ['from', 'to']) {
+    if (req.query[key] === undefined) continue;
+    range[key] = Date.parse(req.query[key]);
+    if (Number.isNaN(range[key])) {
+      return res.status(400).json({ error: `Invalid "${key}" date-time.` });
+    }
+  }
+  const entries = await audit.query({ guildId, actorId: actor, targetId: target, action, ...range });
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  return res.status(200).json({
+    total: entries.length,
+    limit,
+    offset,
+    entries: entries.slice(offset, offset + limit).map(serializeAuditEntry)
+  });
+});
 
-    const confirmButton = new ButtonBuilder()
-      .setCustomId('agreeSubmission')
-      .setLabel('I Agree')
-      .setStyle(ButtonStyle.Primary);
-    const actionRow = new ActionRowBuilder().addComponents(confirmButton);
+/**
+ * GET /templates?scope=
+ * Lists stored (non-default) notification templates. Requires the "templates:read" scope.
+ */
+app.get('/templates', requireAuth('templates:read'), async (req, res) => {
+  return res.status(200).json({ templates: await templates.list(req.query.scope) });
+});
 
-    await interaction.reply({
-      content: 'Your giveaway application details have been submitted for review. Please click **I Agree** to confirm and forward your application to the moderators.',
-      components: [actionRow],
-      ephemeral: true
-    });
+/**
+ * GET /templates/:status?locale=&guildId=
+ * Returns the template that would be used for a status, and where it comes from.
+ */
+app.get('/templates/:status', requireAuth('templates:read'), async (req, res) => {
+  const { locale = DEFAULT_LOCALE, guildId } = req.query;
+  const { template, source } = await templates.resolve(req.params.status, { guildId, locale });
+  if (!template) {
+    return res.status(404).json({ error: "Unknown notification status." });
   }
-  // Handle button interactions
-  else if (interaction.isButton()) {
-    // Applicant clicks "I Agree" to submit giveaway application
-    if (interaction.customId === 'agreeSubmission') {
-      const giveawayData = pendingGiveaways.get(interaction.user.id);
-      if (!giveawayData) {
-        return interaction.reply({ content: 'No pending giveaway application found.', ephemeral: true });
-      }
-      const embed = new EmbedBuilder()
-        .setTitle('New Giveaway Application')
-        .setDescription('A new giveaway application has been submitted and awaits review.')
-        .addFields(
-          { name: 'Title', value: giveawayData.title, inline: true },
-          { name: 'Description / Contents', value: giveawayData.description, inline: false },
-          { name: 'Duration', value: giveawayData.duration, inline: true },
-          { name: 'Conditions', value: giveawayData.conditions || 'None', inline: true },
-          { name: 'Applicant', value: `<@${giveawayData.applicantId}> (${giveawayData.applicantTag})`, inline: false }
-        )
-        .setTimestamp();
-
-      const approveButton = new ButtonBuilder()
-        .setCustomId(`approve_${giveawayData.applicantId}`)
-        .setLabel('Approve')
-        .setStyle(ButtonStyle.Success);
-      const denyButton = new ButtonBuilder()
-        .setCustomId(`deny_${giveawayData.applicantId}`)
-        .setLabel('Deny')
-        .setStyle(ButtonStyle.Danger);
-      const contactButton = new ButtonBuilder()
-        .setCustomId(`contact_${giveawayData.applicantId}`)
-        .setLabel('Contact User')
-        .setStyle(ButtonStyle.Primary);
-      const modActionRow = new ActionRowBuilder().addComponents(approveButton, denyButton, contactButton);
+  return res.status(200).json({ status: req.params.status, template, source });
+});
+
+/**
+ * PUT /templates/:status
+ * Stores a template. Body: { "locale": "en", "guildId": "..." (optional, default global), "template": { ... } }
+ * Requires the "templates:write" scope.
+ */
+app.put('/templates/:status', requireAuth('templates:write'), async (req, res) => {
+  const { locale = DEFAULT_LOCALE, guildId, template } = req.body || {};
+  if (!template) {
+    return res.status(400).json({ error: "Missing template in request body." });
+  }
+  const { template: existing } = await templates.resolve(req.params.status, { locale });
+  if (!existing) {
+    return res.status(404).json({ error: "Unknown notification status." });
+  }
+  if (!isValidLocale(locale)) {
+    return res.status(400).json({ error: "Invalid locale." });
+  }
+  const errors = validateTemplate(template);
+  if (errors.length) {
+    return res.status(400).json({ error: "Invalid template.", details: errors });
+  }
+  const record = await templates.save({
+    scope: guildId || GLOBAL_SCOPE,
+    locale,
+    status: req.params.status,
+    template,
+    updatedBy: `api:${req.apiKey.id}`
+  });
+  await audit.record({
+    action: 'template.updated',
+    guildId: guildId || null,
+    actorId: `api:${req.apiKey.id}`,
+    details: { status: req.params.status, locale }
+  });
+  return res.status(200).json(record);
+});
 
-      // Replace with your actual moderator channel ID
-      const modChannelId = '1357863365116039308';
-      const modChannel = await client.channels.fetch(modChannelId);
-      await modChannel.send({ embeds: [embed], components: [modActionRow] });
+/**
+ * DELETE /templates/:status?locale=&guildId=
+ * Removes a stored template so the next most specific one (or the default) applies.
+ */
+app.delete('/templates/:status', requireAuth('templates:write'), async (req, res) => {
+  const { locale = DEFAULT_LOCALE, guildId } = req.query;
+  const deleted = await templates.remove({ scope: guildId || GLOBAL_SCOPE, locale, status: req.params.status });
+  if (!deleted) {
+    return res.status(404).json({ error: "Template not found." });
+  }
+  await audit.record({
+    action: 'template.reset',
+    guildId: guildId || null,
+    actorId: `api:${req.apiKey.id}`,
+    details: { status: req.params.status, locale }
+  });
+  return res.status(204).end();
+});
 
-      pendingGiveaways.delete(interaction.user.id);
-      await interaction.update({ content: 'Your giveaway application has been forwarded to the moderators for review.', components: [] });
+/**
+ * POST /templates/:status/preview
+ * Renders a template without sending it. Body: { "locale", "guildId", "payload", "template" (optional, unsaved draft) }
+ * Responds { message, truncated }, where truncated lists the fields cut to Discord's limits.
+ */
+app.post('/templates/:status/preview', requireAuth('templates:read'), async (req, res) => {
+  const { locale = DEFAULT_LOCALE, guildId, payload = SAMPLE_PAYLOAD, discordId = '000000000000000000' } = req.body || {};
+  let { template } = req.body || {};
+  if (template) {
+    const errors = validateTemplate(template);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid template.", details: errors });
     }
-    // Moderator Approves
-    else if (interaction.customId.startsWith('approve_')) {
-      const applicantId = interaction.customId.split('_')[1];
-      try {
-        const user = await client.users.fetch(applicantId);
-        // Send DM to user with approval notice plus a "Host" button
-        const hostButton = new ButtonBuilder()
-          .setCustomId(`hostGiveaway_${applicantId}`)
-          .setLabel('Host')
-          .setStyle(ButtonStyle.Primary);
-        const hostActionRow = new ActionRowBuilder().addComponents(hostButton);
-        await user.send({
-          content: 'Your giveaway application has been **approved**! Click the button below to start customizing your giveaway.',
-          components: [hostActionRow]
-        });
-      } catch (error) {
-        console.error('Error sending approval DM:', error);
-      }
-      // Update the original moderator message to indicate approval and remove other buttons
-      const updatedEmbed = EmbedBuilder.from(interaction.message.embeds[0])
-        .setDescription('This giveaway application has been **approved**.')
-        .setFooter({ text: 'Approved' })
-        .setColor('Green');
-      await interaction.update({
-        embeds: [updatedEmbed],
-        components: [] // Remove buttons so they cannot be clicked again
-      });
-      await interaction.followUp({ content: 'Application approved.', ephemeral: true });
+  } else {
+    ({ template } = await templates.resolve(req.params.status, { guildId, locale }));
+    if (!template) {
+      return res.status(404).json({ error: "Unknown notification status." });
     }
-    // Moderator Denies
-    else if (interaction.customId.startsWith('deny_')) {
-      const applicantId = interaction.customId.split('_')[1];
-      try {
-        const user = await client.users.fetch(applicantId);
-        await user.send('Your giveaway application has been **denied**. Please contact the moderators for more information.');
-      } catch (error) {
-        console.error('Error sending denial DM:', error);
-      }
-      // Update the original moderator message to indicate denial and remove other buttons
-      const updatedEmbed = EmbedBuilder.from(interaction.message.embeds[0])
-        .setDescription('This giveaway application has been **denied**.')
-        .setFooter({ text: 'Rejected' })
-        .setColor('Red');
-      await interaction.update({
-        embeds: [updatedEmbed],
-        components: [] // Remove buttons
-      });
-      await interaction.followUp({ content: 'Application denied.', ephemeral: true });
+  }
+  const truncated = [];
+  const message = renderTemplate(template, buildValues({ discordId, status: req.params.status, payload }), truncated);
+  return res.status(200).json({ message, truncated });
+});
+
+/**
+ * GET /webhooks/deliveries?event=&status=&limit=
+ * Lists outbound webhook deliveries, newest first. Requires the "webhooks:read" scope.
+ */
+app.get('/webhooks/deliveries', requireAuth('webhooks:read'), async (req, res) => {
+  const { event, status } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const deliveries = await store.list('webhookDeliveries', delivery =>
+    (!event || delivery.event === event) && (!status || delivery.status === status));
+  deliveries.sort((a, b) => b.createdAt - a.createdAt);
+  return res.status(200).json({ deliveries: deliveries.slice(0, limit).map(serializeDelivery) });
+});
+
+/**
+ * GET /webhooks/deliveries/:id
+ * Shows one delivery, including the payload that was sent. Requires "webhooks:read".
+ */
+app.get('/webhooks/deliveries/:id', requireAuth('webhooks:read'), async (req, res) => {
+  const delivery = await store.get('webhookDeliveries', req.params.id);
+  if (!delivery) {
+    return res.status(404).json({ error: "Webhook delivery not found." });
+  }
+  return res.status(200).json({ ...serializeDelivery(delivery), payload: delivery.payload });
+});
+
+/**
+ * POST /webhooks/deliveries/:id/redeliver
+ * Queues a delivery again (e.g. after the receiver was down). Requires "webhooks:write".
+ */
+app.post('/webhooks/deliveries/:id/redeliver', requireAuth('webhooks:write'), async (req, res) => {
+  const delivery = await webhooks.redeliver(req.params.id);
+  if (!delivery) {
+    return res.status(404).json({ error: "Webhook delivery not found." });
+  }
+  return res.status(202).json(serializeDelivery(delivery));
+});
+
+// Errors that escaped a route (and malformed JSON bodies) get a JSON answer.
+app.use(errorHandler());
+
+// ------------------- Giveaway Hosting Integration -------------------- //
+
+
+// Per-guild message counts, used for the giveaway "minimum messages" entry requirement.
+const messageTracker = new MessageTracker(store);
+client.on('messageCreate', (message) => {
+  messageTracker.record(message);
+  contacts.touch(message.channelId);
+});
+
+// Running giveaways: entries, countdown timers and winner draws.
+const giveawayManager = new GiveawayManager(client, { store, messageTracker });
+const applicationLimits = new ApplicationLimits({ store, guildConfigs, giveawayManager, defaultGuildId: DEFAULT_GUILD_ID });
+for (const event of ['started', 'ended', 'cancelled', 'rerolled']) {
+  giveawayManager.on(event, (giveaway, newWinners) => {
+    webhooks.dispatch(`giveaway.${event}`, {
+      id: giveaway.id,
+      guildId: giveaway.guildId,
+      channelId: giveaway.channelId,
+      messageId: giveaway.messageId,
+      hostId: giveaway.hostId,
+      title: giveaway.data.title,
+      prize: giveaway.data.prize,
+      status: giveaway.status,
+      entrantCount: giveaway.entrants.length,
+      winnerIds: giveaway.winnerIds,
+      ...(newWinners && { newWinnerIds: newWinners }),
+      endsAt: new Date(giveaway.endsAt).toISOString()
+    });
+  });
+}
+
+/**
+ * Shapes an application for webhook payloads.
+ */
+function applicationEventData(application) {
+  return {
+    id: application.id,
+    applicantId: application.applicantId,
+    guildId: application.guildId || null,
+    title: application.title,
+    status: application.status,
+    decidedBy: application.decidedBy || null,
+    decidedAt: application.decidedAt ? new Date(application.decidedAt).toISOString() : null,
+    reason: application.decisionReason || null,
+    reapplyAt: application.reapplyAt ? new Date(application.reapplyAt).toISOString() : null,
+    ...(application.review && { votes: tally(application.review) })
+  };
+}
+
+/**
+ * Finds an application by its ID. Moderator messages sent before applications were
+ * stored carry the applicant's ID instead, so fall back to their latest application.
+ */
+async function findApplication(id) {
+  const application = await store.get('applications', id);
+  if (application) return application;
+  const byApplicant = await store.list('applications', app => app.applicantId === id && app.status !== 'draft');
+  return byApplicant.sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+}
+
+// Serializes decisions and votes per application.
+const withApplicationLock = createKeyedLock();
+
+// ------------------------- Application History ------------------------- //
+
+// Queries behind the /applications result pages, so the page buttons can re-run them.
+const HISTORY_PAGER_TTL_MS = 15 * 60 * 1000;
+const historyPagers = new Map();
+
+function createHistoryPager(pager) {
+  const now = Date.now();
+  for (const [id, { expiresAt }] of historyPagers) {
+    if (expiresAt <= now) historyPagers.delete(id);
+  }
+  const id = generateId();
+  historyPagers.set(id, { ...pager, expiresAt: now + HISTORY_PAGER_TTL_MS });
+  return id;
+}
+
+async function renderHistoryPage(pagerId, page) {
+  const pager = historyPagers.get(pagerId);
+  const records = await applicationHistory.query(pager.query);
+  const result = buildHistoryPage(records, page, pager.title);
+  return {
+    embeds: [result.embed],
+    components: result.pages > 1 ? [buildPageButtons(pagerId, result.page, result.pages)] : []
+  };
+}
+
+/**
+ * Records the decision on an application (when it is stored), notifies webhooks, writes
+ * the audit log and DMs the applicant. `decidedBy` is a moderator's user ID, or 'vote'.
+ * A denial's `reapplyAt` (by default the guild's denial cooldown) blocks new applications
+ * from the applicant in that guild until then. Returns the decided application.
+ */
+async function decideApplication(application, status, { guildId, decidedBy, applicantId, reason = null, reapplyAt = null }) {
+  let decided = null;
+  if (application) {
+    const decidedAt = Date.now();
+    if (status === 'denied' && !reapplyAt) {
+      reapplyAt = await applicationLimits.defaultReapplyAt(application.guildId || guildId, decidedAt);
     }
-    // Moderator "Contact User" handling: Create a private channel for direct communication.
-    else if (interaction.customId.startsWith('contact_')) {
-      const applicantId = interaction.customId.split('_')[1];
-      const guild = client.guilds.cache.get('1342353336229433344'); // Replace with your Guild ID
-      if (!guild) return interaction.reply({ content: 'Guild not found.', ephemeral: true });
-      try {
-        const channel = await guild.channels.create({
-          name: `contact-${applicantId.slice(-4)}-${Date.now()}`,
-          type: ChannelType.GuildText,
-          permissionOverwrites: [
-            { id: guild.roles.everyone.id, deny: [PermissionsBitField.Flags.ViewChannel] },
-            { id: applicantId, allow: [PermissionsBitField.Flags.ViewChannel, PermissionsBitField.Flags.SendMessages] },
-            { id: interaction.user.id, allow: [PermissionsBitField.Flags.ViewChannel, PermissionsBitField.Flags.SendMessages] }
-          ]
-        });
-        await channel.send({ content: `Hello <@${applicantId}> and <@${interaction.user.id}>, this is your private channel for further discussion regarding your giveaway application.` });
-        await interaction.reply({ content: 'A private contact channel has been created.', ephemeral: true });
-      } catch (error) {
-        console.error('Error creating contact channel:', error);
-        await interaction.reply({ content: 'Failed to create a private contact channel.', ephemeral: true });
-      }
+    decided = {
+      ...application,
+      status,
+      decidedBy,
+      decidedAt,
+      decisionReason: reason,
+      reapplyAt,
+      history: [...(application.history || []), { status, by: decidedBy, reason, reapplyAt, at: decidedAt }]
+    };
+    await store.set('applications', decided.id, decided);
+    webhooks.dispatch(`application.${status}`, applicationEventData(decided));
+  }
+  await audit.record({
+    action: `application.${status}`,
+    guildId: application?.guildId || guildId,
+    actorId: decidedBy,
+    targetId: applicantId,
+    details: {
+      applicationId: application?.id,
+      reason,
+      reapplyAfter: reapplyAt ? new Date(reapplyAt).toISOString().slice(0, 10) : null
     }
-    // Handle the "Host" button click from approved applicants.
-    else if (interaction.customId.startsWith('hostGiveaway_')) {
-      // Placeholder: Replace this with your detailed giveaway builder logic.
-      await interaction.reply({ content: 'Slight error, please try again', ephemeral: true });
+  });
+  try {
+    const user = await client.users.fetch(applicantId);
+    if (status === 'approved') {
+      // Send DM to user with approval notice plus a "Host" button
+      const hostButton = new ButtonBuilder()
+        .setCustomId(CUSTOM_IDS.hostGiveaway.build(applicantId))
+        .setLabel('Host')
+        .setStyle(ButtonStyle.Primary);
+      await user.send({
+        content: 'Your giveaway application has been **approved**! Click the button below to start customizing your giveaway.'
+          + (reason ? `\n\n**Note from the moderators:** ${reason}` : ''),
+        components: [new ActionRowBuilder().addComponents(hostButton)]
+      });
+    } else {
+      const lines = ['Your giveaway application has been **denied**.'];
+      lines.push(reason ? `**Reason:** ${reason}` : 'Please contact the moderators for more information.');
+      if (reapplyAt) lines.push(`You may submit a new application <t:${Math.floor(reapplyAt / 1000)}:R> (<t:${Math.floor(reapplyAt / 1000)}:D>).`);
+      await user.send(lines.join('\n'));
     }
+  } catch (error) {
+    logger.error('Error sending decision DM', { applicationId: application?.id, applicantId, status, error });
   }
+  return decided;
+}
+
+/**
+ * The moderator review embed once the application is decided. The footer names who
+ * decided and why.
+ */
+function buildDecidedEmbed(embed, status, { by, reason, reapplyAt } = {}) {
+  const footer = [status === 'approved' ? 'Approved' : 'Rejected'];
+  if (by) footer[0] += ` by ${by}`;
+  if (reason) footer.push(`Reason: ${reason}`);
+  if (reapplyAt) footer.push(`May reapply after ${new Date(reapplyAt).toISOString().slice(0, 10)}`);
+  return EmbedBuilder.from(embed)
+    .setDescription(`This giveaway application has been **${status}**.`)
+    .setFooter({ text: footer.join(' · ').slice(0, 2048) })
+    .setColor(status === 'approved' ? 'Green' : 'Red');
+}
+
+/**
+ * The applicant withdraws their application before it is decided: records it, marks
+ * the moderator review message and notifies webhooks and the audit log.
+ */
+async function withdrawApplication(application) {
+  const withdrawnAt = Date.now();
+  const withdrawn = {
+    ...application,
+    status: 'withdrawn',
+    withdrawnAt,
+    history: [...(application.history || []), { status: 'withdrawn', by: application.applicantId, reason: null, at: withdrawnAt }]
+  };
+  await store.set('applications', withdrawn.id, withdrawn);
+  webhooks.dispatch('application.withdrawn', applicationEventData(withdrawn));
+  await audit.record({
+    action: 'application.withdrawn',
+    guildId: withdrawn.guildId,
+    actorId: withdrawn.applicantId,
+    targetId: withdrawn.applicantId,
+    details: { applicationId: withdrawn.id }
+  });
+  try {
+    const channel = await client.channels.fetch(withdrawn.modChannelId);
+    const message = await channel.messages.fetch(withdrawn.modMessageId);
+    await message.edit({
+      embeds: [EmbedBuilder.from(message.embeds[0])
+        .setDescription('This giveaway application was **withdrawn** by the applicant.')
+        .setColor('Grey')],
+      components: []
+    });
+  } catch (error) {
+    logger.warn('Error updating the review message of a withdrawn application', { applicationId: withdrawn.id, error });
+  }
+  return withdrawn;
+}
+
+/**
+ * Asks the session's next question in its channel, or says the interview is complete.
+ */
+async function askNextQuestion(channel, session) {
+  if (isFinished(session)) {
+    await channel.send(`That was the last question, thank you <@${session.applicantId}>! `
+      + `<@${session.moderatorId}> will wrap up the interview.`);
+  } else {
+    await channel.send(buildQuestionMessage(session));
+  }
+}
+
+/**
+ * Closes a text interview: locks the applicant out of the channel and posts the
+ * transcript to the guild's moderator channel.
+ */
+async function closeTextInterview(session, closedBy) {
+  const names = {};
+  for (const id of new Set([session.applicantId, session.moderatorId, closedBy])) {
+    const user = await client.users.fetch(id).catch(() => null);
+    if (user) names[id] = user.tag;
+  }
+  await interviewSessions.close(session, closedBy, names);
+
+  const channel = await client.channels.fetch(session.channelId).catch(() => null);
+  if (channel) {
+    await channel.permissionOverwrites.edit(session.applicantId, { SendMessages: false })
+      .catch(error => logger.warn('Error locking interview channel', { channelId: channel.id, error }));
+  }
+
+  const { modChannelId } = await guildConfigs.get(session.guildId);
+  const modChannel = modChannelId ? await client.channels.fetch(modChannelId).catch(() => null) : null;
+  if (modChannel) {
+    const files = Object.entries(TRANSCRIPT_FORMATS).map(([format, { extension }]) => new AttachmentBuilder(
+      Buffer.from(renderTranscript(session, format, names), 'utf8'),
+      { name: `interview-${session.id}.${extension}` }
+    ));
+    const message = await modChannel.send({
+      content: `📝 Interview transcript for <@${session.applicantId}> (interviewer <@${session.moderatorId}>): `
+        + `${session.answers.filter(a => !a.skippedBy).length}/${session.questions.length} questions answered.`,
+      files
+    });
+    session.transcriptMessageId = message.id;
+    await interviewSessions.save(session);
+  }
+  webhooks.dispatch('interview.completed', {
+    id: session.id,
+    guildId: session.guildId,
+    applicationId: session.applicationId,
+    applicantId: session.applicantId,
+    moderatorId: session.moderatorId,
+    closedBy,
+    answeredCount: session.answers.filter(a => !a.skippedBy).length,
+    questionCount: session.questions.length
+  });
+  return session;
+}
+
+// Private applicant contact channels: de-duplication, closing and inactivity auto-close.
+const contacts = new ContactChannelManager(client, { store, guildConfigs });
+contacts.on('opened', (contact) => {
+  webhooks.dispatch('contact.opened', {
+    applicationId: contact.applicationId,
+    applicantId: contact.applicantId,
+    guildId: contact.guildId,
+    channelId: contact.channelId,
+    moderatorId: contact.openedBy
+  });
+  audit.record({
+    action: 'contact.opened',
+    guildId: contact.guildId,
+    actorId: contact.openedBy,
+    targetId: contact.applicantId,
+    details: { channel: `<#${contact.channelId}>`, applicationId: contact.applicationId }
+  }).catch(error => logger.error('Error recording contact audit entry', { channelId: contact.channelId, error }));
+});
+contacts.on('closed', (contact) => {
+  webhooks.dispatch('contact.closed', {
+    applicationId: contact.applicationId,
+    applicantId: contact.applicantId,
+    guildId: contact.guildId,
+    channelId: contact.channelId,
+    closedBy: contact.closedBy,
+    reason: contact.closeReason,
+    transcriptMessageId: contact.transcriptMessageId
+  });
+  audit.record({
+    action: 'contact.closed',
+    guildId: contact.guildId,
+    actorId: contact.closedBy || 'system',
+    targetId: contact.applicantId,
+    details: { channel: `#${contact.channelName}`, reason: contact.closeReason }
+  }).catch(error => logger.error('Error recording contact audit entry', { channelId: contact.channelId, error }));
+});
+client.on('channelDelete', (channel) => {
+  contacts.handleChannelDelete(channel).catch(error => logger.error('Error handling deleted channel', { channelId: channel.id, error }));
+});
+
+// Restore state and register slash commands in every guild when the bot is ready
+client.once('ready', async () => {
+  logger.info('Discord bot logged in', { botUserId: client.user.id, guilds: client.guilds.cache.size });
+
+  try {
+    await giveawayManager.restore();
+  } catch (error) {
+    logger.error('Error restoring giveaways', { error });
+  }
+
+  for (const guild of client.guilds.cache.values()) {
+    await registerCommands(guild);
+  }
+  notificationQueue.flush();
 });
 
+// Deliver what was queued while the gateway connection was down.
+client.on('shardResume', () => notificationQueue.flush());
+
+// Register slash commands in guilds the bot joins later
+client.on('guildCreate', (guild) => registerCommands(guild));
+
+// Slash commands, buttons, select menus and modals, routed by src/interactions/registry.js.
+const interactionContext = {
+  client,
+  store,
+  guildConfigs,
+  templates,
+  applicants,
+  webhooks,
+  audit,
+  permissions,
+  interviews,
+  interviewSessions,
+  contacts,
+  giveawayManager,
+  applicationHistory,
+  withApplicationLock,
+  findApplication,
+  applicationLimits,
+  decideApplication,
+  withdrawApplication,
+  buildDecidedEmbed,
+  applicationEventData,
+  createHistoryPager,
+  renderHistoryPage,
+  historyPagers,
+  askNextQuestion,
+  closeTextInterview,
+  bookableStatuses: BOOKABLE_STATUSES,
+  defaultGuildId: DEFAULT_GUILD_ID
+};
+const interactionRegistry = new InteractionRegistry({ permissions }).add(
+  ...createApplicationHandlers(interactionContext),
+  ...createGiveawayHandlers(interactionContext),
+  ...createInterviewHandlers(interactionContext),
+  ...createSettingsHandlers(interactionContext)
+);
+interactionRegistry.on('handled', labels => interactionsCounter.inc(labels));
+client.on('interactionCreate', (interaction) => interactionRegistry.handle(interaction));
+
 // ---------------------- End Giveaway Integration ---------------------- //
 
 // Global error handler for Discord client
 client.on('error', error => {
-  console.error('Discord client error:', error);
-});
-
-// Graceful shutdown on SIGTERM
-process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  await client.destroy();
-  process.exit(0);
-});
-
-// Log in to Discord with your bot token
-client.login(process.env.BOT_TOKEN).catch(error => {
-  console.error('Failed to connect to Discord:', error);
-  process.exit(1);
-});
-
-//// ------------------- Giveaway Builder - Multi-Step Wizard (Updated) -------------------- //
-//
-//// In-memory storage for active giveaway builder sessions, keyed by user ID.
-//const giveawayBuilders = new Map();
-//
-//client.on('interactionCreate', async (interaction) => {
-//  // ------------------ Step 0: Starting the Builder ------------------
-//  // Handle the "Host" button from an approved applicant's DM.
-//  if (interaction.isButton() && interaction.customId.startsWith('hostGiveaway_')) {
-//    // Initialize a builder session for this user.
-//    giveawayBuilders.set(interaction.user.id, { step: 1, data: {} });
-//    
-//    // Step 1: Basic Information Modal (channel selection removed)
-//    const basicModal = new ModalBuilder()
-//      .setCustomId('basicInfoModal')
-//      .setTitle('Giveaway Builder - Basic Information');
-//    
-//    const titleInput = new TextInputBuilder()
-//      .setCustomId('giveawayTitle')
-//      .setLabel('Giveaway Title')
-//      .setStyle(TextInputStyle.Short)
-//      .setRequired(true);
-//    const prizeInput = new TextInputBuilder()
-//      .setCustomId('prizeDescription')
-//      .setLabel('Prize Description')
-//      .setStyle(TextInputStyle.Paragraph)
-//      .setRequired(true);
-//    const winnersInput = new TextInputBuilder()
-//      .setCustomId('numberWinners')
-//      .setLabel('Number of Winners (1-20)')
-//      .setStyle(TextInputStyle.Short)
-//      .setRequired(true);
-//    const durationInput = new TextInputBuilder()
-//      .setCustomId('giveawayDuration')
-//      .setLabel('Duration (e.g., 1h, 2d, 1w)')
-//      .setStyle(TextInputStyle.Short)
-//      .setRequired(true);
-//    
-//    basicModal.addComponents(
-//      new ActionRowBuilder().addComponents(titleInput),
-//      new ActionRowBuilder().addComponents(prizeInput),
-//      new ActionRowBuilder().addComponents(winnersInput),
-//      new ActionRowBuilder().addComponents(durationInput)
-//    );
-//    await interaction.showModal(basicModal);
-//  }
-//  // ------------------ Step 1: Basic Information Modal Submission ------------------
-//  else if (interaction.isModalSubmit() && interaction.customId === 'basicInfoModal') {
-//    const builderSession = giveawayBuilders.get(interaction.user.id);
-//    if (!builderSession) return interaction.reply({ content: "No builder session found.", ephemeral: true });
-//    
-//    // Save basic info in session data
-//    builderSession.data.title = interaction.fields.getTextInputValue('giveawayTitle');
-//    builderSession.data.prize = interaction.fields.getTextInputValue('prizeDescription');
-//    builderSession.data.winners = interaction.fields.getTextInputValue('numberWinners');
-//    builderSession.data.duration = interaction.fields.getTextInputValue('giveawayDuration');
-//    builderSession.step = 2;
-//    giveawayBuilders.set(interaction.user.id, builderSession);
-//    
-//    // Send a preview and prompt to continue to Entry Requirements
-//    const previewEmbed = new EmbedBuilder()
-//      .setTitle('Giveaway Preview - Basic Information')
-//      .addFields(
-//        { name: 'Title', value: builderSession.data.title, inline: true },
-//        { name: 'Prize', value: builderSession.data.prize, inline: true },
-//        { name: 'Winners', value: builderSession.data.winners, inline: true },
-//        { name: 'Duration', value: builderSession.data.duration, inline: true }
-//      )
-//      .setColor('Blue')
-//      .setTimestamp();
-//    
-//    const nextButton = new ButtonBuilder()
-//      .setCustomId('toEntryRequirements')
-//      .setLabel('Next: Entry Requirements')
-//      .setStyle(ButtonStyle.Primary);
-//    const nextRow = new ActionRowBuilder().addComponents(nextButton);
-//    
-//    await interaction.reply({
-//      content: 'Basic Information saved. See preview below:',
-//      embeds: [previewEmbed],
-//      components: [nextRow],
-//      ephemeral: true
-//    });
-//  }
-//  // ------------------ Step 2: Entry Requirements Modal ------------------
-//  else if (interaction.isButton() && interaction.customId === 'toEntryRequirements') {
-//    const entryModal = new ModalBuilder()
-//      .setCustomId('entryRequirementsModal')
-//      .setTitle('Giveaway Builder - Entry Requirements');
-//    
-//    const membershipInput = new TextInputBuilder()
-//      .setCustomId('membershipDuration')
-//      .setLabel('Server Membership Duration (e.g., 7d)')
-//      .setStyle(TextInputStyle.Short)
-//      .setRequired(true);
-//    const messageCountInput = new TextInputBuilder()
-//      .setCustomId('minMessageCount')
-//      .setLabel('Minimum Message Count')
-//      .setStyle(TextInputStyle.Short)
-//      .setRequired(true);
-//    const rolesInput = new TextInputBuilder()
-//      .setCustomId('requiredRoles')
-//      .setLabel('Required Roles (comma separated IDs)')
-//      .setStyle(TextInputStyle.Paragraph)
-//      .setRequired(false);
-//    const customEntryInput = new TextInputBuilder()
-//      .setCustomId('customEntry')
-//      .setLabel('Custom Entry Requirements')
-//      .setStyle(TextInputStyle.Paragraph)
-//      .setRequired(false);
-//    
-//    entryModal.addComponents(
-//      new ActionRowBuilder().addComponents(membershipInput),
-//      new ActionRowBuilder().addComponents(messageCountInput),
-//      new ActionRowBuilder().addComponents(rolesInput),
-//      new ActionRowBuilder().addComponents(customEntryInput)
-//    );
-//    await interaction.showModal(entryModal);
-//  }
-//  // ------------------ Step 2 Submission: Entry Requirements ------------------
-//  else if (interaction.isModalSubmit() && interaction.customId === 'entryRequirementsModal') {
-//    const builderSession = giveawayBuilders.get(interaction.user.id);
-//    if (!builderSession) return interaction.reply({ content: "No builder session found.", ephemeral: true });
-//    
-//    builderSession.data.membership = interaction.fields.getTextInputValue('membershipDuration');
-//    builderSession.data.minMessages = interaction.fields.getTextInputValue('minMessageCount');
-//    builderSession.data.requiredRoles = interaction.fields.getTextInputValue('requiredRoles');
-//    builderSession.data.customEntry = interaction.fields.getTextInputValue('customEntry');
-//    builderSession.step = 3;
-//    giveawayBuilders.set(interaction.user.id, builderSession);
-//    
-//    const previewEmbed = new EmbedBuilder()
-//      .setTitle('Giveaway Preview - Entry Requirements')
-//      .addFields(
-//        { name: 'Membership Duration', value: builderSession.data.membership, inline: true },
-//        { name: 'Minimum Messages', value: builderSession.data.minMessages, inline: true },
-//        { name: 'Required Roles', value: builderSession.data.requiredRoles || 'None', inline: true },
-//        { name: 'Custom Entry', value: builderSession.data.customEntry || 'None', inline: false }
-//      )
-//      .setColor('Blue')
-//      .setTimestamp();
-//    
-//    const nextButton = new ButtonBuilder()
-//      .setCustomId('toCustomization')
-//      .setLabel('Next: Customization Options')
-//      .setStyle(ButtonStyle.Primary);
-//    const nextRow = new ActionRowBuilder().addComponents(nextButton);
-//    
-//    await interaction.reply({
-//      content: 'Entry Requirements saved. See preview below:',
-//      embeds: [previewEmbed],
-//      components: [nextRow],
-//      ephemeral: true
-//    });
-//  }
-//  // ------------------ Step 3: Customization Options (Visual) ------------------
-//  else if (interaction.isButton() && interaction.customId === 'toCustomization') {
-//    // Instead of one modal with too many fields, show a modal for visual customization options.
-//    const customVisualModal = new ModalBuilder()
-//      .setCustomId('customVisualModal')
-//      .setTitle('Giveaway Builder - Custom Visual Options');
-//  
-//    const colorInput = new TextInputBuilder()
-//      .setCustomId('embedColor')
-//      .setLabel('Custom Embed Color (hex code)')
-//      .setStyle(TextInputStyle.Short)
-//      .setRequired(true);
-//    const thumbnailInput = new TextInputBuilder()
-//      .setCustomId('thumbnailUrl')
-//      .setLabel('Thumbnail Image URL')
-//      .setStyle(TextInputStyle.Short)
-//      .setRequired(false);
-//    const bannerInput = new TextInputBuilder()
-//      .setCustomId('bannerUrl')
-//      .setLabel('Banner Image URL')
-//      .setStyle(TextInputStyle.Short)
-//      .setRequired(false);
-//    const buttonTextInput = new TextInputBuilder()
-//      .setCustomId('buttonText')
-//      .setLabel('Custom Button Text')
-//      .setStyle(TextInputStyle.Short)
-//      .setRequired(false);
-//  
-//    customVisualModal.addComponents(
-//      new ActionRowBuilder().addComponents(colorInput),
-//      new ActionRowBuilder().addComponents(thumbnailInput),
-//      new ActionRowBuilder().addComponents(bannerInput),
-//      new ActionRowBuilder().addComponents(buttonTextInput)
-//    );
-//    await interaction.showModal(customVisualModal);
-//  }
-//  // ------------------ Step 3 Submission: Custom Visual Options ------------------
-//  else if (interaction.isModalSubmit() && interaction.customId === 'customVisualModal') {
-//    const builderSession = giveawayBuilders.get(interaction.user.id);
-//    if (!builderSession)
-//      return interaction.reply({ content: "No builder session found.", ephemeral: true });
-//  
-//    builderSession.data.embedColor = interaction.fields.getTextInputValue('embedColor');
-//    builderSession.data.thumbnailUrl = interaction.fields.getTextInputValue('thumbnailUrl');
-//    builderSession.data.bannerUrl = interaction.fields.getTextInputValue('bannerUrl');
-//    builderSession.data.buttonText = interaction.fields.getTextInputValue('buttonText');
-//    giveawayBuilders.set(interaction.user.id, builderSession);
-//  
-//    // Instead of directly calling another modal from a modal submit, send an ephemeral message with a "Continue" button.
-//    const continueButton = new ButtonBuilder()
-//      .setCustomId('continueCustomMsgModal')
-//      .setLabel('Continue to Custom Messages')
-//      .setStyle(ButtonStyle.Primary);
-//    const continueRow = new ActionRowBuilder().addComponents(continueButton);
-//  
-//    await interaction.reply({
-//      content: 'Visual customization saved. Click the button below to continue to custom messages.',
-//      components: [continueRow],
-//      ephemeral: true
-//    });
-//  }
-//  // ------------------ Step 4: Custom Messages Modal (Triggered via Button) ------------------
-//  else if (interaction.isButton() && interaction.customId === 'continueCustomMsgModal') {
-//    const customMsgModal = new ModalBuilder()
-//      .setCustomId('customMsgModal')
-//      .setTitle('Giveaway Builder - Custom Messages');
-//  
-//    const startMessageInput = new TextInputBuilder()
-//      .setCustomId('startMessage')
-//      .setLabel('Start Announcement Message')
-//      .setStyle(TextInputStyle.Paragraph)
-//      .setRequired(false);
-//    const winnerMessageInput = new TextInputBuilder()
-//      .setCustomId('winnerMessage')
-//      .setLabel('Winner Announcement Message')
-//      .setStyle(TextInputStyle.Paragraph)
-//      .setRequired(false);
-//    const entryConfirmInput = new TextInputBuilder()
-//      .setCustomId('entryConfirmation')
-//      .setLabel('Entry Confirmation Message')
-//      .setStyle(TextInputStyle.Paragraph)
-//      .setRequired(false);
-//  
-//    customMsgModal.addComponents(
-//      new ActionRowBuilder().addComponents(startMessageInput),
-//      new ActionRowBuilder().addComponents(winnerMessageInput),
-//      new ActionRowBuilder().addComponents(entryConfirmInput)
-//    );
-//    await interaction.showModal(customMsgModal);
-//  }
-//  // ------------------ Step 4 Submission: Custom Messages ------------------
-//  else if (interaction.isModalSubmit() && interaction.customId === 'customMsgModal') {
-//    const builderSession = giveawayBuilders.get(interaction.user.id);
-//    if (!builderSession)
-//      return interaction.reply({ content: "No builder session found.", ephemeral: true });
-//  
-//    builderSession.data.startMessage = interaction.fields.getTextInputValue('startMessage');
-//    builderSession.data.winnerMessage = interaction.fields.getTextInputValue('winnerMessage');
-//    builderSession.data.entryConfirmation = interaction.fields.getTextInputValue('entryConfirmation');
-//    builderSession.step = 5;
-//    giveawayBuilders.set(interaction.user.id, builderSession);
-//  
-//    // Final preview with all details
-//    const previewEmbed = new EmbedBuilder()
-//      .setTitle('Giveaway Preview - Complete')
-//      .setColor(builderSession.data.embedColor || 'Blue')
-//      .setThumbnail(builderSession.data.thumbnailUrl || null)
-//      .setImage(builderSession.data.bannerUrl || null)
-//      .addFields(
-//        // Basic Information:
-//        { name: 'Title', value: builderSession.data.title || 'N/A', inline: true },
-//        { name: 'Prize', value: builderSession.data.prize || 'N/A', inline: true },
-//        { name: 'Winners', value: builderSession.data.winners || 'N/A', inline: true },
-//        { name: 'Duration', value: builderSession.data.duration || 'N/A', inline: true },
-//        // Entry Requirements:
-//        { name: 'Membership Duration', value: builderSession.data.membership || 'N/A', inline: true },
-//        { name: 'Minimum Messages', value: builderSession.data.minMessages || 'N/A', inline: true },
-//        { name: 'Required Roles', value: builderSession.data.requiredRoles || 'None', inline: true },
-//        { name: 'Custom Entry', value: builderSession.data.customEntry || 'None', inline: false },
-//        // Custom Messages:
-//        { name: 'Start Announcement', value: builderSession.data.startMessage || 'Default', inline: false },
-//        { name: 'Winner Announcement', value: builderSession.data.winnerMessage || 'Default', inline: false },
-//        { name: 'Entry Confirmation', value: builderSession.data.entryConfirmation || 'Default', inline: false }
-//      )
-//      .setTimestamp();
-//  
-//    const submitButton = new ButtonBuilder()
-//      .setCustomId('submitGiveaway')
-//      .setLabel('Submit Giveaway')
-//      .setStyle(ButtonStyle.Success);
-//    const submitRow = new ActionRowBuilder().addComponents(submitButton);
-//  
-//    await interaction.reply({
-//      content: 'Customization saved. See full preview below. Click **Submit Giveaway** to finish.',
-//      embeds: [previewEmbed],
-//      components: [submitRow],
-//      ephemeral: true
-//    });
-//  }
-//  // ------------------ Final Step: Posting the Giveaway and Assigning the Host Role ------------------
-//  else if (interaction.isButton() && interaction.customId === 'submitGiveaway') {
-//    const builderSession = giveawayBuilders.get(interaction.user.id);
-//    if (!builderSession)
-//      return interaction.reply({ content: "No builder session found.", ephemeral: true });
-//  
-//    // Fixed giveaway channel ID
-//    const giveawayChannelId = '1357678210334199858';
-//    const giveawayChannel = await client.channels.fetch(giveawayChannelId);
-//    if (!giveawayChannel)
-//      return interaction.reply({ content: "Giveaway channel not found.", ephemeral: true });
-//  
-//    // Create the giveaway embed that will be posted publicly
-//    const giveawayEmbed = new EmbedBuilder()
-//      .setTitle(`🎉 ${builderSession.data.title} 🎉`)
-//      .setDescription(`**Prize:** ${builderSession.data.prize}\n\nReact with 🎉 below to enter the giveaway!`)
-//      .setColor(builderSession.data.embedColor || '#00BFFF') // Use provided color or default ocean blue
-//      .setThumbnail(builderSession.data.thumbnailUrl || null)
-//      .setImage(builderSession.data.bannerUrl || null)
-//      .addFields(
-//        { name: 'Number of Winners', value: `${builderSession.data.winners}`, inline: true },
-//        { name: 'Duration', value: builderSession.data.duration, inline: true },
-//        { name: 'Membership Requirement', value: builderSession.data.membership || 'None', inline: true },
-//        { name: 'Min. Message Count', value: builderSession.data.minMessages || 'None', inline: true },
-//        { name: 'Required Roles', value: builderSession.data.requiredRoles || 'None', inline: true },
-//        { name: 'Additional Entry Requirements', value: builderSession.data.customEntry || 'None', inline: false },
-//        { name: 'Start Announcement', value: builderSession.data.startMessage || 'N/A', inline: false },
-//        { name: 'Winner Announcement', value: builderSession.data.winnerMessage || 'N/A', inline: false },
-//        { name: 'Entry Confirmation', value: builderSession.data.entryConfirmation || 'N/A', inline: false }
-//      )
-//      .setTimestamp();
-//    
-//    // Create a header that shows "Hosted by" with the host's tag and profile picture
-//    const hostUser = interaction.user;
-//    giveawayEmbed.setFooter({
-//      text: `Hosted by ${hostUser.tag}`,
-//      iconURL: hostUser.displayAvatarURL({ dynamic: true })
-//    });
-//  
-//    // Post the giveaway embed in the giveaway channel
-//    await giveawayChannel.send({ embeds: [giveawayEmbed] });
-//  
-//    // Assign the "Giveaway Host" role to the user (Role ID: "1359265880382374041")
-//    const guild = client.guilds.cache.get('1342353336229433344'); // Replace with your Guild ID
-//    if (guild) {
-//      try {
-//        const member = await guild.members.fetch(hostUser.id);
-//        await member.roles.add('1359265880382374041');
-//      } catch (error) {
-//        console.error('Error assigning Giveaway Host role:', error);
-//      }
-//    }
-//    
-//    // (Optional) Insert the giveaway data into Supabase or your chosen database here.
-//    // Example: supabase.from('giveaways').insert(builderSession.data)
-//  
-//    await interaction.reply({ content: 'Your giveaway has been successfully created and posted!', ephemeral: true });
-//    giveawayBuilders.delete(interaction.user.id);
-//  }
-//});
-// ---------------------- End Giveaway Builder ---------------------- //
\ No newline at end of file
+  logger.error('Discord client error', { error });
+});
+
+// ------------------------- Startup & Shutdown ------------------------- //
+
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 15000;
+let shuttingDown = false;
+
+// Login errors that retrying cannot fix.
+const FATAL_LOGIN_ERRORS = ['TokenInvalid', 'TokenMissing'];
+
+/**
+ * Logs in to Discord, retrying with backoff (up to 5 minutes apart) until it succeeds.
+ * The HTTP API keeps running meanwhile, queueing notifications and reporting the
+ * gateway as down on /ready.
+ */
+async function loginWithRetry() {
+  for (let attempt = 0; !shuttingDown; attempt++) {
+    try {
+      await client.login(process.env.BOT_TOKEN);
+      return;
+    } catch (error) {
+      if (FATAL_LOGIN_ERRORS.includes(error.code) || /disallowed intents/i.test(error.message)) {
+        logger.error('Discord login failed and will not be retried; fix the bot configuration and restart', { error });
+        return;
+      }
+      const delay = backoffDelay(attempt, { baseMs: 5000 });
+      logger.warn('Discord login failed, retrying', { attempt: attempt + 1, retryInMs: delay, error });
+      await new Promise(resolve => setTimeout(resolve, delay).unref());
+    }
+  }
+}
+
+function startHttpServer() {
+  return new Promise((resolve, reject) => {
+    httpServer = app.listen(port, error => {
+      if (error) return reject(error);
+      logger.info('HTTP server is running', { port: Number(port) });
+      resolve();
+    });
+  });
+}
+
+/**
+ * Stops taking HTTP requests, waits for the ones in flight and for the notification
+ * and webhook deliveries in progress, then disconnects from Discord and closes the
+ * store. Gives up after SHUTDOWN_TIMEOUT_MS; a second signal exits immediately.
+ */
+async function shutdown(signal) {
+  if (shuttingDown) {
+    logger.warn('Signal received again, exiting immediately', { signal });
+    process.exit(1);
+  }
+  shuttingDown = true;
+  logger.info('Signal received, shutting down gracefully', { signal });
+  setTimeout(() => {
+    logger.error('Shutdown did not finish in time; exiting', { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  try {
+    if (httpServer) {
+      const closed = new Promise(resolve => httpServer.close(resolve));
+      httpServer.closeIdleConnections();
+      await closed;
+    }
+    rateLimiter.stop();
+    await Promise.all([notificationQueue.stop(), webhooks.stop()]);
+    await client.destroy();
+    await store.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error during shutdown', { error });
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Load persisted state and start the HTTP API, then log in to Discord with your bot token
+store.init()
+  .then(() => messageTracker.load())
+  .then(() => notificationQueue.start())
+  .then(() => interviews.restore())
+  .then(() => contacts.restore())
+  .then(() => webhooks.start())
+  .then(() => startHttpServer())
+  .then(() => loginWithRetry())
+  .catch(error => {
+    logger.error('Failed to start', { error });
+    process.exit(1);
+  });
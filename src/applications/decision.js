@@ -0,0 +1,71 @@
+const {
+  ActionRowBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const { parseDuration } = require('../utils/duration');
+const { CUSTOM_IDS } = require('../interactions/customIds');
+
+// The approve/deny modal: a reason (required when denying) and, for denials, an optional
+// date before which the applicant may not submit another application.
+
+const MAX_REASON_LENGTH = 1000;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+function buildDecisionModal(applicationId, action) {
+  const deny = action === 'deny';
+  const inputs = [
+    new TextInputBuilder()
+      .setCustomId('reason')
+      .setLabel(deny ? 'Reason (sent to the applicant)' : 'Note to the applicant (optional)')
+      .setStyle(TextInputStyle.Paragraph)
+      .setMaxLength(MAX_REASON_LENGTH)
+      .setRequired(deny)
+  ];
+  if (deny) {
+    inputs.push(new TextInputBuilder()
+      .setCustomId('reapplyAfter')
+      .setLabel('May reapply after (e.g. 30d or 2025-12-31)')
+      .setStyle(TextInputStyle.Short)
+      .setMaxLength(20)
+      .setRequired(false));
+  }
+  return new ModalBuilder()
+    .setCustomId(CUSTOM_IDS.decision.build(applicationId, action))
+    .setTitle(deny ? 'Deny application' : 'Approve application')
+    .addComponents(inputs.map(input => new ActionRowBuilder().addComponents(input)));
+}
+
+/**
+ * Parses "30d"-style durations (from now) or a YYYY-MM-DD date (UTC midnight).
+ * Returns a timestamp in the future, or null.
+ */
+function parseReapplyDate(input, now = Date.now()) {
+  const value = (input || '').trim();
+  const duration = parseDuration(value);
+  if (duration) return now + duration;
+  if (!DATE_REGEX.test(value)) return null;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return Number.isNaN(time) || time <= now ? null : time;
+}
+
+/**
+ * Reads the decision modal into `{ errors, reason, reapplyAt }`.
+ */
+function readDecisionModal(fields, action) {
+  const errors = [];
+  const reason = fields.getTextInputValue('reason').trim() || null;
+  let reapplyAt = null;
+  if (action === 'deny') {
+    if (!reason) errors.push('Please give a reason for the denial.');
+    const reapplyInput = fields.getTextInputValue('reapplyAfter').trim();
+    if (reapplyInput) {
+      reapplyAt = parseReapplyDate(reapplyInput);
+      if (!reapplyAt) errors.push('"May reapply after" must be a duration such as `30d` or a future date such as `2025-12-31`.');
+    }
+  }
+  return { errors, reason, reapplyAt };
+}
+
+module.exports = { buildDecisionModal, parseReapplyDate, readDecisionModal };
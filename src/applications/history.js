@@ -0,0 +1,234 @@
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder
+} = require('discord.js');
+const { CUSTOM_IDS } = require('../interactions/customIds');
+
+// ------------------------- Application History ------------------------- //
+//
+// One queryable view over both kinds of application:
+//   giveaway   `applications` collection (submitted through /host-giveaway)
+//   moderator  `applicants` collection (the interview pipeline driven by /notify)
+// Records are normalized to the same shape so slash commands and the HTTP API can
+// filter, page and export them together. Records without a guild (applicants /notify
+// was called for without a guildId, older applications) belong to the default guild.
+
+const TYPES = ['giveaway', 'moderator'];
+const PAGE_SIZE = 10;
+
+const iso = time => (time ? new Date(time).toISOString() : null);
+
+function fromGiveawayApplication(app) {
+  const decisions = app.history || (app.decidedAt
+    ? [{ status: app.status, by: app.decidedBy, reason: app.decisionReason || null, at: app.decidedAt }]
+    : []);
+  return {
+    type: 'giveaway',
+    id: app.id,
+    applicantId: app.applicantId,
+    applicantTag: app.applicantTag || null,
+    guildId: app.guildId || null,
+    status: app.status,
+    title: app.title,
+    fields: {
+      title: app.title,
+      description: app.description,
+      duration: app.duration,
+      conditions: app.conditions || null
+    },
+    submittedAt: app.submittedAt || app.createdAt,
+    decidedAt: app.decidedAt || null,
+    decidedBy: app.decidedBy || null,
+    reason: app.decisionReason || null,
+    reapplyAt: app.reapplyAt || null,
+    history: [
+      { status: 'submitted', by: app.applicantId, reason: null, at: app.submittedAt || app.createdAt },
+      ...decisions
+    ]
+  };
+}
+
+// Older applicant records may hold non-string details, from before they were validated.
+const asText = value => (value === null || typeof value === 'string' ? value : JSON.stringify(value));
+
+function fromModeratorApplicant(applicant) {
+  const history = applicant.history.map(entry => ({
+    status: entry.status,
+    by: entry.forced ? 'api (forced)' : 'api',
+    reason: asText(entry.reason || entry.details || null),
+    at: entry.at
+  }));
+  const last = history[history.length - 1] || {};
+  return {
+    type: 'moderator',
+    id: applicant.discordId,
+    applicantId: applicant.discordId,
+    applicantTag: null,
+    guildId: applicant.guildId || null,
+    status: applicant.status,
+    title: 'Moderator application',
+    fields: applicant.interview ? { interview: applicant.interview } : {},
+    submittedAt: history[0]?.at || applicant.updatedAt,
+    decidedAt: ['accepted', 'rejected', 'withdrawn'].includes(applicant.status) ? last.at : null,
+    decidedBy: null,
+    reason: last.reason || null,
+    reapplyAt: null,
+    history
+  };
+}
+
+class ApplicationHistory {
+  constructor(store, { defaultGuildId = null } = {}) {
+    this.store = store;
+    this.defaultGuildId = defaultGuildId;
+  }
+
+  /**
+   * Every application matching the filters, newest first. Drafts are only included
+   * when asked for with `status: 'draft'`.
+   */
+  async query({ type, userId, status, guildId, from, to, text } = {}) {
+    const records = [];
+    if (!type || type === 'giveaway') {
+      for (const app of await this.store.list('applications')) records.push(fromGiveawayApplication(app));
+    }
+    if (!type || type === 'moderator') {
+      for (const applicant of await this.store.list('applicants')) records.push(fromModeratorApplicant(applicant));
+    }
+    const needle = text ? text.toLowerCase() : null;
+    return records
+      .filter(record => (status ? record.status === status : record.status !== 'draft')
+        && (!userId || record.applicantId === userId)
+        && (!guildId || (record.guildId || this.defaultGuildId) === guildId)
+        && (from === undefined || record.submittedAt >= from)
+        && (to === undefined || record.submittedAt <= to)
+        && (!needle || [record.id, record.applicantTag, record.title, record.reason, ...Object.values(record.fields)]
+          .some(value => typeof value === 'string' && value.toLowerCase().includes(needle))))
+      .sort((a, b) => b.submittedAt - a.submittedAt);
+  }
+
+  /**
+   * A giveaway application by ID, or a moderator applicant by Discord ID.
+   */
+  async find(id) {
+    const app = await this.store.get('applications', id);
+    if (app) return fromGiveawayApplication(app);
+    const applicant = await this.store.get('applicants', id);
+    return applicant ? fromModeratorApplicant(applicant) : null;
+  }
+}
+
+/**
+ * Shapes a record for API responses.
+ */
+function serializeRecord(record) {
+  return {
+    ...record,
+    submittedAt: iso(record.submittedAt),
+    decidedAt: iso(record.decidedAt),
+    reapplyAt: iso(record.reapplyAt),
+    history: record.history.map(entry => ({ ...entry, at: iso(entry.at) }))
+  };
+}
+
+const CSV_COLUMNS = ['type', 'id', 'applicantId', 'applicantTag', 'guildId', 'status', 'title', 'submittedAt', 'decidedAt', 'decidedBy', 'reason', 'reapplyAt'];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheets from evaluating user-supplied text as a formula.
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records) {
+  const rows = records.map(serializeRecord).map(record => CSV_COLUMNS.map(column => csvCell(record[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function statusEmoji(status) {
+  if (['approved', 'accepted'].includes(status)) return '🟢';
+  if (['denied', 'rejected', 'withdrawn'].includes(status)) return '🔴';
+  return '🟡';
+}
+
+/**
+ * One page of a result list as an embed.
+ */
+function buildHistoryPage(records, page, title) {
+  const pages = Math.max(1, Math.ceil(records.length / PAGE_SIZE));
+  const current = Math.min(Math.max(page, 0), pages - 1);
+  const lines = records.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE).map(record => {
+    const submitted = record.submittedAt ? ` · <t:${Math.floor(record.submittedAt / 1000)}:d>` : '';
+    return `${statusEmoji(record.status)} \`${record.id}\` · ${record.type} · **${record.status}** · <@${record.applicantId}>`
+      + ` · ${(record.title || '').slice(0, 60)}${submitted}`;
+  });
+  return {
+    page: current,
+    pages,
+    embed: new EmbedBuilder()
+      .setTitle(title)
+      .setDescription(lines.length ? lines.join('\n') : 'No applications found.')
+      .setFooter({ text: `Page ${current + 1} of ${pages} · ${records.length} application(s)` })
+      .setColor('Blue')
+  };
+}
+
+/**
+ * Previous/next buttons for a result list; `pagerId` identifies the stored query.
+ */
+function buildPageButtons(pagerId, page, pages) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(CUSTOM_IDS.appsPage.build(pagerId, page - 1))
+      .setLabel('Previous')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page <= 0),
+    new ButtonBuilder()
+      .setCustomId(CUSTOM_IDS.appsPage.build(pagerId, page + 1))
+      .setLabel('Next')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= pages - 1)
+  );
+}
+
+/**
+ * The detail embed for `/applications view`.
+ */
+function buildHistoryDetail(record) {
+  const embed = new EmbedBuilder()
+    .setTitle(`${record.type === 'giveaway' ? 'Giveaway' : 'Moderator'} application ${record.id}`)
+    .setColor(statusEmoji(record.status) === '🟢' ? 'Green' : statusEmoji(record.status) === '🔴' ? 'Red' : 'Yellow')
+    .addFields(
+      { name: 'Applicant', value: `<@${record.applicantId}>${record.applicantTag ? ` (${record.applicantTag})` : ''}`, inline: true },
+      { name: 'Status', value: record.status, inline: true }
+    );
+  for (const [name, value] of Object.entries(record.fields)) {
+    if (value === null || value === undefined || value === '') continue;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    embed.addFields({ name: name[0].toUpperCase() + name.slice(1), value: text.slice(0, 1024), inline: false });
+  }
+  if (record.reapplyAt) {
+    embed.addFields({ name: 'May reapply', value: `<t:${Math.floor(record.reapplyAt / 1000)}:F>`, inline: true });
+  }
+  const timeline = record.history.map(entry => {
+    const by = entry.by && /^\d{17,19}$/.test(entry.by) ? ` by <@${entry.by}>` : entry.by ? ` by ${entry.by}` : '';
+    return `<t:${Math.floor(entry.at / 1000)}:f> **${entry.status}**${by}${entry.reason ? ` - ${entry.reason.slice(0, 150)}` : ''}`;
+  });
+  let history = timeline.join('\n') || 'No history.';
+  if (history.length > 1024) history = `...${history.slice(-1021)}`;
+  embed.addFields({ name: 'History', value: history, inline: false });
+  return embed;
+}
+
+module.exports = {
+  TYPES,
+  ApplicationHistory,
+  serializeRecord,
+  toCsv,
+  buildHistoryPage,
+  buildPageButtons,
+  buildHistoryDetail
+};
@@ -0,0 +1,153 @@
+const { EmbedBuilder } = require('discord.js');
+const { parseDuration } = require('../utils/duration');
+
+// ------------------------- Application Limits ------------------------- //
+//
+// Per-member limits on giveaway applications, per guild:
+//   - one open (pending) application at a time; withdrawing it frees the slot
+//   - no new application until a denial's reapply date has passed (set by the
+//     moderator, or the guild's /config set denial-cooldown)
+//   - at most `maxRunningGiveaways` running giveaways per host (/config set host-limit)
+// They are checked when a member applies, when they confirm the application and when
+// the builder posts their giveaway.
+
+const timestamp = (time, style) => `<t:${Math.floor(time / 1000)}:${style}>`;
+
+class ApplicationLimits {
+  constructor({ store, guildConfigs, giveawayManager, defaultGuildId }) {
+    this.store = store;
+    this.guildConfigs = guildConfigs;
+    this.giveawayManager = giveawayManager;
+    this.defaultGuildId = defaultGuildId;
+  }
+
+  inGuild(application, guildId) {
+    return (application.guildId || this.defaultGuildId) === (guildId || this.defaultGuildId);
+  }
+
+  /**
+   * The member's applications in the guild that await a decision, newest first.
+   */
+  async openApplications(applicantId, guildId) {
+    const open = await this.store.list('applications', app => app.applicantId === applicantId
+      && app.status === 'pending'
+      && this.inGuild(app, guildId));
+    return open.sort((a, b) => b.submittedAt - a.submittedAt);
+  }
+
+  /**
+   * The member's latest denied application in the guild whose reapply date hasn't
+   * passed yet, or null.
+   */
+  async findCooldown(applicantId, guildId) {
+    const now = Date.now();
+    const blocking = await this.store.list('applications', app => app.applicantId === applicantId
+      && app.status === 'denied'
+      && this.inGuild(app, guildId)
+      && app.reapplyAt > now);
+    return blocking.sort((a, b) => b.reapplyAt - a.reapplyAt)[0] || null;
+  }
+
+  /**
+   * The reapply date for a denial the moderator gave none for, from the guild's
+   * denial cooldown, or null.
+   */
+  async defaultReapplyAt(guildId, deniedAt = Date.now()) {
+    const { denialCooldown } = await this.guildConfigs.get(guildId || this.defaultGuildId);
+    const cooldown = denialCooldown ? parseDuration(denialCooldown) : null;
+    return cooldown ? deniedAt + cooldown : null;
+  }
+
+  /**
+   * The member's running giveaways in the guild and the guild's limit (null = none).
+   */
+  async hosting(hostId, guildId) {
+    const { maxRunningGiveaways } = await this.guildConfigs.get(guildId || this.defaultGuildId);
+    return {
+      running: this.giveawayManager.running(hostId, guildId || this.defaultGuildId),
+      limit: maxRunningGiveaways || null
+    };
+  }
+
+  /**
+   * Checks whether the member may post another giveaway.
+   * Returns `{ ok: false, reason }` if they already run as many as the guild allows.
+   */
+  async checkHost(hostId, guildId) {
+    const { running, limit } = await this.hosting(hostId, guildId);
+    if (limit && running.length >= limit) {
+      return {
+        ok: false,
+        reason: `You are already hosting ${running.length} running giveaway(s) in this server, the most allowed at once. `
+          + 'Wait for one to end before starting another.'
+      };
+    }
+    return { ok: true };
+  }
+
+  /**
+   * Checks whether the member may submit a new application.
+   * Returns `{ ok: false, reason }` naming the limit that stops them.
+   */
+  async checkApply(applicantId, guildId) {
+    const [open] = await this.openApplications(applicantId, guildId);
+    if (open) {
+      return {
+        ok: false,
+        reason: `Your application \`${open.id}\` is still awaiting review. `
+          + 'You can have one open application at a time; withdraw it with `/host-giveaway withdraw` to apply again.'
+      };
+    }
+    const cooldown = await this.findCooldown(applicantId, guildId);
+    if (cooldown) {
+      return {
+        ok: false,
+        reason: `Your previous application was denied. You can submit a new one ${timestamp(cooldown.reapplyAt, 'R')} (${timestamp(cooldown.reapplyAt, 'F')}).`
+      };
+    }
+    return this.checkHost(applicantId, guildId);
+  }
+
+  /**
+   * Everything `/host-giveaway status` shows for the member.
+   */
+  async status(applicantId, guildId) {
+    const [open, cooldown, { running, limit }] = await Promise.all([
+      this.openApplications(applicantId, guildId),
+      this.findCooldown(applicantId, guildId),
+      this.hosting(applicantId, guildId)
+    ]);
+    return { open, cooldown, running, limit };
+  }
+}
+
+/**
+ * The `/host-giveaway status` embed.
+ */
+function buildStatusEmbed({ open, cooldown, running, limit }) {
+  const openLines = open.map(app => `\`${app.id}\` **${app.title.slice(0, 100)}** · submitted ${timestamp(app.submittedAt, 'R')}`);
+  const runningLines = running.map(giveaway => `**${giveaway.data.title.slice(0, 100)}** · ends ${timestamp(giveaway.endsAt, 'R')}`);
+  return new EmbedBuilder()
+    .setTitle('Your giveaway applications')
+    .setColor(open.length ? 'Yellow' : 'Blue')
+    .addFields(
+      {
+        name: 'Awaiting review',
+        value: openLines.length
+          ? `${openLines.join('\n')}\nWithdraw with \`/host-giveaway withdraw\`.`
+          : 'None. Apply with `/host-giveaway apply`.'
+      },
+      {
+        name: 'Reapply cooldown',
+        value: cooldown
+          ? `Your application \`${cooldown.id}\` was denied. You can apply again ${timestamp(cooldown.reapplyAt, 'R')}.`
+          : 'None'
+      },
+      {
+        name: `Running giveaways (${running.length}${limit ? ` of ${limit} allowed` : ''})`,
+        value: runningLines.length ? runningLines.join('\n').slice(0, 1024) : 'None'
+      }
+    );
+}
+
+module.exports = { ApplicationLimits, buildStatusEmbed };
@@ -0,0 +1,109 @@
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const { CUSTOM_IDS } = require('../interactions/customIds');
+
+// ------------------------ Moderator Vote Review ------------------------ //
+//
+// In the "vote" review mode an application isn't decided by whoever clicks first:
+// moderators vote approve, deny or abstain (with an optional note), and the outcome is
+// settled once `quorum` approve/deny votes are in. It is approved if at least
+// `threshold` percent of those votes approve, otherwise denied. Abstentions are shown
+// but never count. Votes can be changed until the application is decided.
+
+const VOTES = {
+  approve: { label: 'Approve', emoji: '✅', style: ButtonStyle.Success },
+  deny: { label: 'Deny', emoji: '❌', style: ButtonStyle.Danger },
+  abstain: { label: 'Abstain', emoji: '➖', style: ButtonStyle.Secondary }
+};
+
+/**
+ * A new review for an application, using the guild's current settings.
+ */
+function createReview(config) {
+  return {
+    mode: config.reviewMode,
+    quorum: config.reviewQuorum,
+    threshold: config.reviewThreshold,
+    votes: {}
+  };
+}
+
+function castVote(review, userId, vote, note) {
+  review.votes[userId] = { vote, note: note || null, at: Date.now() };
+}
+
+function tally(review) {
+  const counts = { approve: 0, deny: 0, abstain: 0 };
+  for (const { vote } of Object.values(review.votes)) counts[vote] += 1;
+  return counts;
+}
+
+/**
+ * 'approved' or 'denied' once the quorum is reached, otherwise null.
+ */
+function reviewOutcome(review) {
+  const { approve, deny } = tally(review);
+  const decisive = approve + deny;
+  if (decisive < review.quorum) return null;
+  return approve * 100 >= review.threshold * decisive ? 'approved' : 'denied';
+}
+
+/**
+ * Embed field showing the live tally and each moderator's vote.
+ */
+function buildTallyField(review) {
+  const counts = tally(review);
+  const decisive = counts.approve + counts.deny;
+  const lines = [
+    `${VOTES.approve.emoji} ${counts.approve} · ${VOTES.deny.emoji} ${counts.deny} · ${VOTES.abstain.emoji} ${counts.abstain}`,
+    `Quorum ${Math.min(decisive, review.quorum)}/${review.quorum} · approval threshold ${review.threshold}%`
+  ];
+  for (const [userId, { vote, note }] of Object.entries(review.votes)) {
+    lines.push(`${VOTES[vote].emoji} <@${userId}>${note ? `: ${note.length > 80 ? `${note.slice(0, 77)}...` : note}` : ''}`);
+  }
+  let value = lines.join('\n');
+  if (value.length > 1024) value = `${value.slice(0, 1021)}...`;
+  return { name: 'Moderator votes', value, inline: false };
+}
+
+/**
+ * Vote buttons for the moderator review message.
+ */
+function buildVoteButtons(applicationId) {
+  return Object.entries(VOTES).map(([vote, { label, emoji, style }]) => new ButtonBuilder()
+    .setCustomId(CUSTOM_IDS.vote.build(applicationId, vote))
+    .setLabel(label)
+    .setEmoji(emoji)
+    .setStyle(style));
+}
+
+function buildVoteModal(applicationId, vote) {
+  return new ModalBuilder()
+    .setCustomId(CUSTOM_IDS.voteNote.build(applicationId, vote))
+    .setTitle(`${VOTES[vote].label} this application`)
+    .addComponents(new ActionRowBuilder().addComponents(
+      new TextInputBuilder()
+        .setCustomId('note')
+        .setLabel('Note for the other moderators (optional)')
+        .setStyle(TextInputStyle.Paragraph)
+        .setMaxLength(500)
+        .setRequired(false)
+    ));
+}
+
+module.exports = {
+  VOTES,
+  createReview,
+  castVote,
+  tally,
+  reviewOutcome,
+  buildTallyField,
+  buildVoteButtons,
+  buildVoteModal
+};
@@ -0,0 +1,129 @@
+const { EmbedBuilder } = require('discord.js');
+const { generateId } = require('../utils/ids');
+const { logger, currentCorrelationId } = require('../logger');
+
+// ------------------------------ Audit Log ------------------------------ //
+//
+// Who did what to whom, and when. Entries are appended to the `auditLog` collection
+// (never updated or deleted) and posted to the guild's audit-log channel when one is
+// configured (/config set audit-channel). An entry's actor is a Discord user ID,
+// 'api:<key id>' for HTTP API calls, 'vote' for a moderator vote, or 'system' for
+// things the bot does on its own. Entries made while handling an HTTP request or an
+// interaction carry its correlationId, which matches the log lines it produced.
+
+const AUDIT_ACTIONS = {
+  'application.approved': { label: 'Application approved', color: 'Green' },
+  'application.denied': { label: 'Application denied', color: 'Red' },
+  'application.withdrawn': { label: 'Application withdrawn', color: 'Grey' },
+  'application.vote': { label: 'Vote cast', color: 'Blue' },
+  'contact.opened': { label: 'Contact channel opened', color: 'Blue' },
+  'contact.closed': { label: 'Contact channel closed', color: 'Grey' },
+  'role.granted': { label: 'Role granted', color: 'Green' },
+  'notification.sent': { label: 'Notification delivered', color: 'Green' },
+  'notification.failed': { label: 'Notification failed', color: 'Red' },
+  'notification.undeliverable': { label: 'Notification undeliverable', color: 'Orange' },
+  'interview.slot_added': { label: 'Interview slot added', color: 'Blue' },
+  'interview.slot_removed': { label: 'Interview slot removed', color: 'Orange' },
+  'interview.started': { label: 'Text interview started', color: 'Blue' },
+  'giveaway.ended': { label: 'Giveaway ended', color: 'Blue' },
+  'giveaway.cancelled': { label: 'Giveaway cancelled', color: 'Orange' },
+  'giveaway.rerolled': { label: 'Giveaway rerolled', color: 'Blue' },
+  'config.updated': { label: 'Configuration changed', color: 'Grey' },
+  'template.updated': { label: 'Notification template edited', color: 'Grey' },
+  'template.reset': { label: 'Notification template reset', color: 'Grey' }
+};
+
+const SNOWFLAKE_REGEX = /^\d{17,20}$/;
+
+function mention(id) {
+  if (!id) return 'Nobody';
+  return SNOWFLAKE_REGEX.test(id) ? `<@${id}>` : `\`${id}\``;
+}
+
+/**
+ * The audit-log channel message for an entry.
+ */
+function buildAuditEmbed(entry) {
+  const { label, color } = AUDIT_ACTIONS[entry.action] || { label: entry.action, color: 'Grey' };
+  const embed = new EmbedBuilder()
+    .setTitle(label)
+    .setColor(color)
+    .addFields(
+      { name: 'By', value: mention(entry.actorId), inline: true },
+      { name: 'Target', value: entry.targetId ? mention(entry.targetId) : 'None', inline: true }
+    )
+    .setFooter({ text: `${entry.action} · ${entry.id}` })
+    .setTimestamp(entry.at);
+  for (const [name, value] of Object.entries(entry.details)) {
+    if (value === null || value === undefined || value === '') continue;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    embed.addFields({ name: name[0].toUpperCase() + name.slice(1), value: text.slice(0, 1024), inline: text.length <= 40 });
+  }
+  return embed;
+}
+
+class AuditLog {
+  constructor(client, { store, guildConfigs }) {
+    this.client = client;
+    this.store = store;
+    this.guildConfigs = guildConfigs;
+  }
+
+  /**
+   * Appends an entry and posts it to the guild's audit-log channel. Posting is best
+   * effort: a missing channel or permission never fails the action being audited.
+   */
+  async record({ action, guildId = null, actorId = 'system', targetId = null, details = {} }) {
+    const entry = {
+      id: generateId(),
+      action,
+      guildId,
+      actorId,
+      targetId,
+      details,
+      correlationId: currentCorrelationId(),
+      at: Date.now()
+    };
+    await this.store.set('auditLog', entry.id, entry);
+    if (guildId) {
+      this.post(entry).catch(error => logger.error('Error posting audit entry', {
+        component: 'audit',
+        auditEntryId: entry.id,
+        guildId,
+        error
+      }));
+    }
+    return entry;
+  }
+
+  async post(entry) {
+    const { auditChannelId } = await this.guildConfigs.get(entry.guildId);
+    if (!auditChannelId || !this.client.isReady()) return;
+    const channel = await this.client.channels.fetch(auditChannelId);
+    await channel.send({ embeds: [buildAuditEmbed(entry)], allowedMentions: { parse: [] } });
+  }
+
+  /**
+   * Entries matching the filters, newest first. `action` may end in ".*" to match a
+   * whole family (e.g. "application.*"); `from`/`to` are timestamps.
+   */
+  async query({ guildId, actorId, targetId, action, from, to } = {}) {
+    const prefix = action && action.endsWith('.*') ? action.slice(0, -1) : null;
+    const entries = await this.store.list('auditLog', entry => (!guildId || entry.guildId === guildId)
+      && (!actorId || entry.actorId === actorId)
+      && (!targetId || entry.targetId === targetId)
+      && (!action || (prefix ? entry.action.startsWith(prefix) : entry.action === action))
+      && (from === undefined || entry.at >= from)
+      && (to === undefined || entry.at <= to));
+    return entries.sort((a, b) => b.at - a.at);
+  }
+}
+
+/**
+ * Shapes an entry for API responses.
+ */
+function serializeAuditEntry(entry) {
+  return { ...entry, at: new Date(entry.at).toISOString() };
+}
+
+module.exports = { AUDIT_ACTIONS, AuditLog, buildAuditEmbed, serializeAuditEntry };
@@ -0,0 +1,244 @@
+const {
+  SlashCommandBuilder,
+  ChannelType,
+  PermissionFlagsBits
+} = require('discord.js');
+const { DEFAULT_LOCALE, DEFAULT_TEMPLATES } = require('./notifications/templates');
+const { STATUS_NAMES } = require('./notifications/statuses');
+const { TYPES } = require('./applications/history');
+const { logger } = require('./logger');
+
+// ------------------------ Slash Command Definitions ------------------------ //
+
+const hostGiveawayCommand = new SlashCommandBuilder()
+  .setName('host-giveaway')
+  .setDescription('Apply to host a giveaway and follow your applications')
+  .setDMPermission(false)
+  .addSubcommand(sub => sub
+    .setName('apply')
+    .setDescription('Apply to host a new giveaway using a detailed submission form'))
+  .addSubcommand(sub => sub
+    .setName('status')
+    .setDescription('Show your open application, reapply cooldown and running giveaways'))
+  .addSubcommand(sub => sub
+    .setName('withdraw')
+    .setDescription('Withdraw your application before the moderators decide')
+    .addStringOption(opt => opt.setName('id').setDescription('Application ID (default: your open application)')));
+
+const giveawayCommand = new SlashCommandBuilder()
+  .setName('giveaway')
+  .setDescription('Manage a running or finished giveaway')
+  .setDMPermission(false)
+  .addSubcommand(sub => sub
+    .setName('end')
+    .setDescription('End a giveaway now and draw its winners')
+    .addStringOption(opt => opt.setName('id').setDescription('Giveaway ID or message ID').setRequired(true)))
+  .addSubcommand(sub => sub
+    .setName('cancel')
+    .setDescription('Cancel a running giveaway without drawing winners')
+    .addStringOption(opt => opt.setName('id').setDescription('Giveaway ID or message ID').setRequired(true)))
+  .addSubcommand(sub => sub
+    .setName('reroll')
+    .setDescription('Draw new winners for an ended giveaway')
+    .addStringOption(opt => opt.setName('id').setDescription('Giveaway ID or message ID').setRequired(true))
+    .addIntegerOption(opt => opt.setName('winners').setDescription('How many new winners to draw').setMinValue(1).setMaxValue(20)));
+
+const configCommand = new SlashCommandBuilder()
+  .setName('config')
+  .setDescription('Configure the bot for this server')
+  .setDMPermission(false)
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+  .addSubcommand(sub => sub
+    .setName('view')
+    .setDescription('Show the current configuration'))
+  .addSubcommandGroup(group => group
+    .setName('set')
+    .setDescription('Change a setting')
+    .addSubcommand(sub => sub
+      .setName('mod-channel')
+      .setDescription('Channel where giveaway applications are sent for review')
+      .addChannelOption(opt => opt.setName('channel').setDescription('Moderator channel')
+        .addChannelTypes(ChannelType.GuildText).setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('giveaway-channel')
+      .setDescription('Channel where approved giveaways are posted')
+      .addChannelOption(opt => opt.setName('channel').setDescription('Giveaway channel')
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement).setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('host-role')
+      .setDescription('Role granted to members who host a giveaway')
+      .addRoleOption(opt => opt.setName('role').setDescription('Giveaway Host role').setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('contact-category')
+      .setDescription('Category that private contact channels are created in')
+      .addChannelOption(opt => opt.setName('category').setDescription('Contact channel category')
+        .addChannelTypes(ChannelType.GuildCategory).setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('audit-channel')
+      .setDescription('Channel where moderator actions are logged')
+      .addChannelOption(opt => opt.setName('channel').setDescription('Audit log channel')
+        .addChannelTypes(ChannelType.GuildText).setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('contact-close-action')
+      .setDescription('What happens to a contact channel when it is closed')
+      .addStringOption(opt => opt.setName('action').setDescription('Lock or delete').setRequired(true)
+        .addChoices(
+          { name: 'Lock (keep read-only for moderators)', value: 'lock' },
+          { name: 'Delete', value: 'delete' }
+        )))
+    .addSubcommand(sub => sub
+      .setName('contact-inactivity')
+      .setDescription('Close contact channels automatically after a period without messages')
+      .addStringOption(opt => opt.setName('duration').setDescription('e.g. 3d or 12h, or "off"').setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('denial-cooldown')
+      .setDescription('How long denied applicants wait before reapplying, unless the moderator sets a date')
+      .addStringOption(opt => opt.setName('duration').setDescription('e.g. 14d or 4w, or "off"').setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('host-limit')
+      .setDescription('How many giveaways one member may host at the same time')
+      .addIntegerOption(opt => opt.setName('giveaways').setDescription('Running giveaways per host (0 = no limit)').setRequired(true)
+        .setMinValue(0).setMaxValue(25)))
+    .addSubcommand(sub => sub
+      .setName('review')
+      .setDescription('How giveaway applications are decided')
+      .addStringOption(opt => opt.setName('mode').setDescription('Review mode').setRequired(true)
+        .addChoices(
+          { name: 'First moderator decides', value: 'single' },
+          { name: 'Moderators vote', value: 'vote' }
+        ))
+      .addIntegerOption(opt => opt.setName('quorum').setDescription('Approve/deny votes needed to decide (vote mode)').setMinValue(1).setMaxValue(25))
+      .addIntegerOption(opt => opt.setName('threshold').setDescription('Percent of those votes needed to approve (vote mode)').setMinValue(1).setMaxValue(100))))
+  .addSubcommandGroup(group => group
+    .setName('moderator-roles')
+    .setDescription('Roles allowed to moderate applications and giveaways')
+    .addSubcommand(sub => sub
+      .setName('add')
+      .setDescription('Add a moderator role')
+      .addRoleOption(opt => opt.setName('role').setDescription('Role').setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('remove')
+      .setDescription('Remove a moderator role')
+      .addRoleOption(opt => opt.setName('role').setDescription('Role').setRequired(true))))
+  .addSubcommand(sub => sub
+    .setName('reset')
+    .setDescription('Clear a setting')
+    .addStringOption(opt => opt.setName('setting').setDescription('Setting to clear').setRequired(true)
+      .addChoices(
+        { name: 'Moderator channel', value: 'modChannelId' },
+        { name: 'Giveaway channel', value: 'giveawayChannelId' },
+        { name: 'Giveaway Host role', value: 'hostRoleId' },
+        { name: 'Contact channel category', value: 'contactCategoryId' },
+        { name: 'Audit log channel', value: 'auditChannelId' },
+        { name: 'Closed contact channels', value: 'contactCloseAction' },
+        { name: 'Contact channel auto-close', value: 'contactInactivity' },
+        { name: 'Application review', value: 'reviewMode' },
+        { name: 'Review quorum', value: 'reviewQuorum' },
+        { name: 'Review approval threshold', value: 'reviewThreshold' },
+        { name: 'Reapply cooldown after denial', value: 'denialCooldown' },
+        { name: 'Running giveaways per host', value: 'maxRunningGiveaways' },
+        { name: 'Moderator roles', value: 'moderatorRoleIds' }
+      )));
+
+const statusChoices = Object.keys(DEFAULT_TEMPLATES[DEFAULT_LOCALE]).map(status => ({ name: status, value: status }));
+
+const templatesCommand = new SlashCommandBuilder()
+  .setName('templates')
+  .setDescription('Preview and edit the notification messages sent to applicants')
+  .setDMPermission(false)
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand(sub => sub
+    .setName('preview')
+    .setDescription('Preview a notification template with sample data')
+    .addStringOption(opt => opt.setName('status').setDescription('Notification status').setRequired(true).addChoices(...statusChoices))
+    .addStringOption(opt => opt.setName('locale').setDescription(`Locale, e.g. en or es (default: ${DEFAULT_LOCALE})`)))
+  .addSubcommand(sub => sub
+    .setName('edit')
+    .setDescription('Edit this server\'s template for a status')
+    .addStringOption(opt => opt.setName('status').setDescription('Notification status').setRequired(true).addChoices(...statusChoices))
+    .addStringOption(opt => opt.setName('locale').setDescription(`Locale, e.g. en or es (default: ${DEFAULT_LOCALE})`)))
+  .addSubcommand(sub => sub
+    .setName('reset')
+    .setDescription('Remove this server\'s template for a status and use the default again')
+    .addStringOption(opt => opt.setName('status').setDescription('Notification status').setRequired(true).addChoices(...statusChoices))
+    .addStringOption(opt => opt.setName('locale').setDescription(`Locale, e.g. en or es (default: ${DEFAULT_LOCALE})`)));
+
+const languageCommand = new SlashCommandBuilder()
+  .setName('language')
+  .setDescription('Choose the language of the notifications the bot sends you')
+  .addStringOption(opt => opt.setName('locale').setDescription('Locale, e.g. en or es').setRequired(true));
+
+const interviewsCommand = new SlashCommandBuilder()
+  .setName('interviews')
+  .setDescription('Manage interview slots and text interview questions')
+  .setDMPermission(false)
+  .addSubcommand(sub => sub
+    .setName('add-slot')
+    .setDescription('Publish an interview slot that approved applicants can book')
+    .addStringOption(opt => opt.setName('start').setDescription('Start time, e.g. 2025-06-01 18:00').setRequired(true))
+    .addStringOption(opt => opt.setName('timezone').setDescription('IANA time zone of the start time, e.g. Europe/Madrid (default: UTC)'))
+    .addIntegerOption(opt => opt.setName('duration').setDescription('Length in minutes (default: 30)').setMinValue(10).setMaxValue(240))
+    .addUserOption(opt => opt.setName('interviewer').setDescription('Who conducts the interview (default: you)'))
+    .addChannelOption(opt => opt.setName('channel').setDescription('Channel the interview takes place in')
+      .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice, ChannelType.GuildText))
+    .addStringOption(opt => opt.setName('link').setDescription('Meeting link, if not held in a channel')))
+  .addSubcommand(sub => sub
+    .setName('list')
+    .setDescription('List upcoming interview slots'))
+  .addSubcommand(sub => sub
+    .setName('questions')
+    .setDescription('Edit the question set used for text interviews in this server'))
+  .addSubcommand(sub => sub
+    .setName('remove-slot')
+    .setDescription('Withdraw a slot; a booked applicant is asked to pick another')
+    .addStringOption(opt => opt.setName('id').setDescription('Slot ID').setRequired(true)));
+
+// Giveaway application statuses followed by the moderator pipeline statuses.
+const applicationStatusChoices = [...new Set(['pending', 'approved', 'denied', 'withdrawn', ...STATUS_NAMES])]
+  .map(status => ({ name: status, value: status }));
+const applicationTypeChoices = TYPES.map(type => ({ name: type, value: type }));
+
+const applicationsCommand = new SlashCommandBuilder()
+  .setName('applications')
+  .setDescription('Browse the history of moderator and giveaway applications')
+  .setDMPermission(false)
+  .addSubcommand(sub => sub
+    .setName('list')
+    .setDescription('List applications, newest first')
+    .addStringOption(opt => opt.setName('status').setDescription('Only this status').addChoices(...applicationStatusChoices))
+    .addStringOption(opt => opt.setName('type').setDescription('Only this kind of application').addChoices(...applicationTypeChoices))
+    .addUserOption(opt => opt.setName('user').setDescription('Only applications from this user')))
+  .addSubcommand(sub => sub
+    .setName('view')
+    .setDescription('Show an application with its full history')
+    .addStringOption(opt => opt.setName('id').setDescription('Application ID (or the applicant\'s user ID for moderator applications)').setRequired(true)))
+  .addSubcommand(sub => sub
+    .setName('search')
+    .setDescription('Search applications by title, description, reason or applicant')
+    .addStringOption(opt => opt.setName('query').setDescription('Text to search for').setRequired(true))
+    .addStringOption(opt => opt.setName('status').setDescription('Only this status').addChoices(...applicationStatusChoices))
+    .addStringOption(opt => opt.setName('type').setDescription('Only this kind of application').addChoices(...applicationTypeChoices)));
+
+const commandDefinitions = [
+  hostGiveawayCommand,
+  giveawayCommand,
+  configCommand,
+  templatesCommand,
+  languageCommand,
+  interviewsCommand,
+  applicationsCommand
+].map(command => command.toJSON());
+
+/**
+ * Registers (bulk-overwrites) the bot's slash commands in a guild.
+ */
+async function registerCommands(guild) {
+  try {
+    await guild.commands.set(commandDefinitions);
+    logger.info('Slash commands registered', { component: 'commands', guildId: guild.id, guildName: guild.name });
+  } catch (error) {
+    logger.error('Error registering commands', { component: 'commands', guildId: guild.id, error });
+  }
+}
+
+module.exports = { commandDefinitions, registerCommands };
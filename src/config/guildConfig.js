@@ -0,0 +1,113 @@
+// Per-guild settings, stored in the `guildConfigs` collection and edited with /config.
+
+const DEFAULT_CONFIG = {
+  modChannelId: null,
+  giveawayChannelId: null,
+  hostRoleId: null,
+  contactCategoryId: null,
+  // Channel that receives audit log entries (see src/audit/log.js).
+  auditChannelId: null,
+  moderatorRoleIds: [],
+  // Text interview questions; empty means the built-in default set.
+  interviewQuestions: [],
+  // What closing a contact channel does: 'lock' (keep it read-only) or 'delete'.
+  contactCloseAction: 'lock',
+  // Duration string (e.g. "3d") after which an idle contact channel closes; null = never.
+  contactInactivity: null,
+  // Application review: 'single' (first moderator decides) or 'vote' (see src/applications/review.js).
+  reviewMode: 'single',
+  reviewQuorum: 3,
+  reviewThreshold: 50,
+  // Duration string (e.g. "14d") a denied applicant waits before reapplying, unless the
+  // moderator sets a reapply date; null = no cooldown.
+  denialCooldown: null,
+  // Giveaways one host may run at the same time in the guild; null = no limit.
+  maxRunningGiveaways: 1
+};
+
+// Settings that hold a single snowflake, with the label used in /config replies.
+const SETTINGS = {
+  modChannelId: 'Moderator channel',
+  giveawayChannelId: 'Giveaway channel',
+  hostRoleId: 'Giveaway Host role',
+  contactCategoryId: 'Contact channel category',
+  auditChannelId: 'Audit log channel'
+};
+
+// Other settings, with their /config labels.
+const OPTION_SETTINGS = {
+  contactCloseAction: 'Closed contact channels',
+  contactInactivity: 'Contact channel auto-close',
+  reviewMode: 'Application review',
+  reviewQuorum: 'Review quorum',
+  reviewThreshold: 'Review approval threshold',
+  denialCooldown: 'Reapply cooldown after denial',
+  maxRunningGiveaways: 'Running giveaways per host'
+};
+
+class GuildConfigStore {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Returns the guild's configuration with defaults filled in.
+   */
+  async get(guildId) {
+    const saved = await this.store.get('guildConfigs', guildId);
+    return { ...DEFAULT_CONFIG, ...saved, guildId };
+  }
+
+  /**
+   * Applies a partial update and returns the new configuration.
+   */
+  async update(guildId, changes) {
+    const config = { ...(await this.get(guildId)), ...changes, updatedAt: Date.now() };
+    await this.store.set('guildConfigs', guildId, config);
+    return config;
+  }
+}
+
+/**
+ * Formats a configuration for the /config view reply.
+ */
+function describeConfig(config) {
+  const lines = Object.entries(SETTINGS).map(([key, label]) => {
+    const id = config[key];
+    if (!id) return `**${label}:** Not set`;
+    return `**${label}:** ${key.endsWith('RoleId') ? `<@&${id}>` : `<#${id}>`}`;
+  });
+  const modRoles = config.moderatorRoleIds.length
+    ? config.moderatorRoleIds.map(id => `<@&${id}>`).join(', ')
+    : 'None (members with Manage Messages only)';
+  lines.push(`**Moderator roles:** ${modRoles}`);
+  lines.push(`**${OPTION_SETTINGS.contactCloseAction}:** ${config.contactCloseAction === 'delete' ? 'Deleted' : 'Locked (read-only)'}`);
+  lines.push(`**${OPTION_SETTINGS.contactInactivity}:** ${config.contactInactivity ? `after ${config.contactInactivity} without messages` : 'Never'}`);
+  lines.push(`**${OPTION_SETTINGS.reviewMode}:** ${config.reviewMode === 'vote'
+    ? `Moderator vote (quorum ${config.reviewQuorum}, ${config.reviewThreshold}% to approve)`
+    : 'First moderator decides'}`);
+  lines.push(`**${OPTION_SETTINGS.denialCooldown}:** ${config.denialCooldown || 'None'}`);
+  lines.push(`**${OPTION_SETTINGS.maxRunningGiveaways}:** ${config.maxRunningGiveaways || 'No limit'}`);
+  lines.push(`**Interview questions:** ${config.interviewQuestions.length || 'Default set'} (edit with \`/interviews questions\`)`);
+  return lines.join('\n');
+}
+
+/**
+ * True if the member has one of the guild's configured moderator roles.
+ */
+function hasModeratorRole(member, config) {
+  const roles = member?.roles;
+  if (!roles) return false;
+  // Interaction members may be raw API objects with a plain array of role IDs.
+  const memberRoleIds = Array.isArray(roles) ? roles : [...roles.cache.keys()];
+  return config.moderatorRoleIds.some(id => memberRoleIds.includes(id));
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  GuildConfigStore,
+  SETTINGS,
+  OPTION_SETTINGS,
+  describeConfig,
+  hasModeratorRole
+};
@@ -0,0 +1,63 @@
+const { ChannelType, PermissionsBitField } = require('discord.js');
+
+// Private channels for applicants (contact channels and text interviews).
+
+const MEMBER_PERMISSIONS = [
+  PermissionsBitField.Flags.ViewChannel,
+  PermissionsBitField.Flags.SendMessages,
+  PermissionsBitField.Flags.ReadMessageHistory,
+  PermissionsBitField.Flags.AttachFiles
+];
+const DEFAULT_CATEGORY_NAME = 'Applicant Contact';
+
+/**
+ * Turns a username into a channel-name-safe slug ("Miku Fan!" -> "miku-fan").
+ */
+function channelSlug(value, fallback) {
+  const slug = String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80);
+  return slug || fallback;
+}
+
+/**
+ * Returns the configured contact category, creating a private one (and saving it to the
+ * guild configuration) if none is set or the configured one was deleted.
+ */
+async function ensureContactCategory(guild, guildConfigs) {
+  const config = await guildConfigs.get(guild.id);
+  if (config.contactCategoryId) {
+    const category = await guild.channels.fetch(config.contactCategoryId).catch(() => null);
+    if (category?.type === ChannelType.GuildCategory) return category;
+  }
+  const category = await guild.channels.create({
+    name: DEFAULT_CATEGORY_NAME,
+    type: ChannelType.GuildCategory,
+    permissionOverwrites: [
+      { id: guild.roles.everyone.id, deny: [PermissionsBitField.Flags.ViewChannel] },
+      { id: guild.client.user.id, allow: [PermissionsBitField.Flags.ViewChannel, PermissionsBitField.Flags.ManageChannels] }
+    ]
+  });
+  await guildConfigs.update(guild.id, { contactCategoryId: category.id });
+  return category;
+}
+
+/**
+ * Creates a text channel in the contact category that only the given members, the
+ * guild's moderator roles and the bot can see.
+ */
+async function createPrivateChannel(guild, guildConfigs, { name, memberIds }) {
+  const category = await ensureContactCategory(guild, guildConfigs);
+  const { moderatorRoleIds } = await guildConfigs.get(guild.id);
+  return guild.channels.create({
+    name,
+    type: ChannelType.GuildText,
+    parent: category.id,
+    permissionOverwrites: [
+      { id: guild.roles.everyone.id, deny: [PermissionsBitField.Flags.ViewChannel] },
+      { id: guild.client.user.id, allow: [...MEMBER_PERMISSIONS, PermissionsBitField.Flags.ManageChannels] },
+      ...moderatorRoleIds.map(id => ({ id, allow: MEMBER_PERMISSIONS })),
+      ...[...new Set(memberIds)].map(id => ({ id, allow: MEMBER_PERMISSIONS }))
+    ]
+  });
+}
+
+module.exports = { channelSlug, ensureContactCategory, createPrivateChannel };
@@ -0,0 +1,262 @@
+const { EventEmitter } = require('events');
+const {
+  ActionRowBuilder,
+  AttachmentBuilder,
+  ButtonBuilder,
+  ButtonStyle
+} = require('discord.js');
+const { parseDuration } = require('../utils/duration');
+const { scheduleAt } = require('../utils/timers');
+const { generateId } = require('../utils/ids');
+const { logger, withNewContext } = require('../logger');
+const { channelSlug, createPrivateChannel } = require('./channels');
+const { fetchChannelMessages, renderContactTranscript } = require('./transcript');
+const { CUSTOM_IDS } = require('../interactions/customIds');
+
+// ------------------------ Contact Channel Lifecycle ------------------------ //
+//
+// Private channels between moderators and an applicant, tracked in the
+// `contactChannels` collection (keyed by channel ID): open -> closed.
+// There is at most one open contact channel per applicant and guild. Closing one
+// archives a transcript to the moderator channel, then locks or deletes the channel
+// (per-guild `contactCloseAction`); idle channels close after `contactInactivity`.
+// Emits 'opened' and 'closed' with the record.
+
+// How long a deleted channel stays visible after the transcript is archived.
+const DELETE_DELAY_MS = 10 * 1000;
+const log = logger.child({ component: 'contacts' });
+
+function buildCloseButton(channelId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(CUSTOM_IDS.closeContact.build(channelId))
+      .setLabel('Close')
+      .setEmoji('🔒')
+      .setStyle(ButtonStyle.Danger)
+  );
+}
+
+class ContactChannelManager extends EventEmitter {
+  constructor(client, { store, guildConfigs }) {
+    super();
+    this.client = client;
+    this.store = store;
+    this.guildConfigs = guildConfigs;
+    this.contacts = new Map();
+    this.timers = new Map();
+    // "guildId:applicantId" -> pending open(), so double clicks share one channel.
+    this.opening = new Map();
+  }
+
+  /**
+   * Loads open contact channels and re-arms their inactivity timers.
+   */
+  async restore() {
+    for (const contact of await this.store.list('contactChannels', c => c.status === 'open')) {
+      this.contacts.set(contact.channelId, contact);
+      await this.scheduleInactivity(contact);
+    }
+  }
+
+  save(contact) {
+    return this.store.set('contactChannels', contact.channelId, contact);
+  }
+
+  get(channelId) {
+    return this.contacts.get(channelId) || null;
+  }
+
+  findOpen(guildId, applicantId) {
+    for (const contact of this.contacts.values()) {
+      if (contact.guildId === guildId && contact.applicantId === applicantId && contact.status === 'open') return contact;
+    }
+    return null;
+  }
+
+  /**
+   * Opens a contact channel for the applicant, or returns the one already open.
+   * Returns `{ contact, channel, existing }`.
+   */
+  async open({ guild, applicantId, applicationId, moderator }) {
+    const key = `${guild.id}:${applicantId}`;
+    if (this.opening.has(key)) {
+      return { ...(await this.opening.get(key)), existing: true };
+    }
+    const opening = this.createOrReuse({ guild, applicantId, applicationId, moderator });
+    this.opening.set(key, opening);
+    try {
+      return await opening;
+    } finally {
+      this.opening.delete(key);
+    }
+  }
+
+  async createOrReuse({ guild, applicantId, applicationId, moderator }) {
+    const current = this.findOpen(guild.id, applicantId);
+    if (current) {
+      const channel = await guild.channels.fetch(current.channelId).catch(() => null);
+      if (channel) return { contact: current, channel, existing: true };
+      // The channel was deleted by hand; forget it and open a new one.
+      await this.markClosed(current, { closedBy: null, reason: 'deleted' });
+    }
+
+    const applicant = await this.client.users.fetch(applicantId).catch(() => null);
+    const channel = await createPrivateChannel(guild, this.guildConfigs, {
+      name: `contact-${channelSlug(applicant?.username, applicantId.slice(-4))}`,
+      memberIds: [applicantId, moderator.id]
+    });
+    const now = Date.now();
+    const contact = {
+      channelId: channel.id,
+      channelName: channel.name,
+      guildId: guild.id,
+      applicantId,
+      applicationId: applicationId || null,
+      openedBy: moderator.id,
+      openedAt: now,
+      lastActivityAt: now,
+      status: 'open',
+      closedAt: null,
+      closedBy: null,
+      closeReason: null,
+      transcriptMessageId: null
+    };
+    this.contacts.set(channel.id, contact);
+    await this.save(contact);
+
+    await channel.send({
+      content: `Hello <@${applicantId}> and <@${moderator.id}>, this is your private channel for further discussion `
+        + 'regarding your application. A moderator can close it with the button below when you are done.',
+      components: [buildCloseButton(channel.id)]
+    });
+    await this.scheduleInactivity(contact);
+    this.emit('opened', contact);
+    return { contact, channel, existing: false };
+  }
+
+  /**
+   * Records activity in a contact channel (called for every message in it).
+   */
+  touch(channelId) {
+    const contact = this.contacts.get(channelId);
+    if (!contact || contact.status !== 'open') return;
+    contact.lastActivityAt = Date.now();
+    this.save(contact).catch(error => log.error('Error saving contact channel activity', { channelId, error }));
+  }
+
+  /**
+   * Arms the auto-close timer from the guild's `contactInactivity` setting. When it
+   * fires, the channel closes only if there has been no activity since.
+   */
+  async scheduleInactivity(contact) {
+    this.timers.get(contact.channelId)?.cancel();
+    this.timers.delete(contact.channelId);
+    const { contactInactivity } = await this.guildConfigs.get(contact.guildId);
+    const idleMs = parseDuration(contactInactivity);
+    if (!idleMs || contact.status !== 'open') return;
+
+    const context = { correlationId: generateId(), channelId: contact.channelId };
+    this.timers.set(contact.channelId, scheduleAt(contact.lastActivityAt + idleMs, () => withNewContext(context, () => {
+      if (contact.status !== 'open') return;
+      if (Date.now() - contact.lastActivityAt < idleMs) {
+        this.scheduleInactivity(contact).catch(error => log.error('Error rescheduling contact auto-close', { error }));
+        return;
+      }
+      this.close(contact.channelId, { closedBy: null, reason: 'inactivity' }).catch(error => {
+        log.error('Error auto-closing contact channel', { error });
+      });
+    })));
+  }
+
+  /**
+   * Re-arms the timers of a guild's open channels after its settings change.
+   */
+  async rescheduleGuild(guildId) {
+    for (const contact of this.contacts.values()) {
+      if (contact.guildId === guildId && contact.status === 'open') await this.scheduleInactivity(contact);
+    }
+  }
+
+  async markClosed(contact, { closedBy, reason }) {
+    this.timers.get(contact.channelId)?.cancel();
+    this.timers.delete(contact.channelId);
+    Object.assign(contact, { status: 'closed', closedAt: Date.now(), closedBy, closeReason: reason });
+    this.contacts.delete(contact.channelId);
+    await this.save(contact);
+  }
+
+  /**
+   * Closes a contact channel: archives the transcript to the moderator channel, then
+   * locks or deletes the channel. `reason` is 'manual' or 'inactivity'. Errors from
+   * Discord are logged; 'closed' is emitted either way.
+   */
+  async close(channelId, { closedBy = null, reason = 'manual' } = {}) {
+    const contact = this.contacts.get(channelId);
+    if (!contact || contact.status !== 'open') return null;
+    await this.markClosed(contact, { closedBy, reason });
+
+    // The contact is closed from here on, whatever happens to the Discord side of it.
+    try {
+      const config = await this.guildConfigs.get(contact.guildId);
+      const channel = await this.client.channels.fetch(channelId).catch(() => null);
+      if (channel) {
+        const messages = await fetchChannelMessages(channel).catch(error => {
+          log.error('Error fetching messages of contact channel', { channelId, error });
+          return [];
+        });
+        const transcript = renderContactTranscript(contact, messages);
+        const modChannel = config.modChannelId
+          ? await this.client.channels.fetch(config.modChannelId).catch(() => null)
+          : null;
+        if (modChannel) {
+          const archived = await modChannel.send({
+            content: `🗄️ Contact channel **#${contact.channelName}** with <@${contact.applicantId}> was closed `
+              + `${closedBy ? `by <@${closedBy}>` : `after ${config.contactInactivity} of inactivity`} (${messages.length} messages).`,
+            files: [
+              new AttachmentBuilder(Buffer.from(transcript.html, 'utf8'), { name: `${contact.channelName}.html` }),
+              new AttachmentBuilder(Buffer.from(transcript.markdown, 'utf8'), { name: `${contact.channelName}.md` }),
+              new AttachmentBuilder(Buffer.from(transcript.json, 'utf8'), { name: `${contact.channelName}.json` })
+            ]
+          }).catch(error => {
+            // Still lock the channel below, so the applicant can't keep writing.
+            log.error('Error archiving contact transcript', { channelId, error });
+            return null;
+          });
+          if (archived) {
+            contact.transcriptMessageId = archived.id;
+            await this.save(contact);
+          }
+        }
+
+        const closing = closedBy ? `This channel was closed by <@${closedBy}>.` : 'This channel was closed after a period of inactivity.';
+        if (config.contactCloseAction === 'delete') {
+          await channel.send(`${closing} It will be deleted in a few seconds.`);
+          setTimeout(() => {
+            channel.delete('Contact channel closed').catch(error => log.error('Error deleting contact channel', { channelId, error }));
+          }, DELETE_DELAY_MS);
+        } else {
+          await channel.permissionOverwrites.edit(contact.applicantId, { SendMessages: false });
+          await channel.setName(`closed-${contact.channelName}`.slice(0, 100)).catch(() => null);
+          await channel.send(`${closing} It is now read-only.`);
+        }
+      }
+    } catch (error) {
+      log.error('Error archiving or locking closed contact channel', { channelId, error });
+    }
+    this.emit('closed', contact);
+    return contact;
+  }
+
+  /**
+   * Marks a contact channel closed if it was deleted outside the bot.
+   */
+  async handleChannelDelete(channel) {
+    const contact = this.contacts.get(channel.id);
+    if (contact) {
+      await this.markClosed(contact, { closedBy: null, reason: 'deleted' });
+      this.emit('closed', contact);
+    }
+  }
+}
+
+module.exports = { ContactChannelManager, buildCloseButton };
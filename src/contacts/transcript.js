@@ -0,0 +1,95 @@
+const { escapeHtml } = require('../utils/html');
+
+// Transcripts of contact channel conversations, archived when a channel closes.
+
+const MAX_TRANSCRIPT_MESSAGES = 5000;
+
+/**
+ * Fetches a channel's messages, oldest first, as plain records.
+ */
+async function fetchChannelMessages(channel, limit = MAX_TRANSCRIPT_MESSAGES) {
+  const messages = [];
+  let before;
+  while (messages.length < limit) {
+    const batch = await channel.messages.fetch({ limit: 100, before });
+    if (!batch.size) break;
+    for (const message of batch.values()) {
+      messages.push({
+        id: message.id,
+        authorId: message.author.id,
+        authorTag: message.author.tag,
+        bot: message.author.bot,
+        content: message.content,
+        embeds: message.embeds.map(embed => [embed.title, embed.description].filter(Boolean).join(' - ')),
+        attachments: [...message.attachments.values()].map(attachment => attachment.url),
+        createdAt: new Date(message.createdTimestamp).toISOString()
+      });
+    }
+    before = batch.last().id;
+    if (batch.size < 100) break;
+  }
+  return messages.slice(0, limit).reverse();
+}
+
+/**
+ * Message text for a transcript line. Without the Message Content intent Discord sends
+ * empty content for other users' messages, which the transcript says explicitly.
+ */
+function messageText(message) {
+  const parts = [];
+  if (message.content) parts.push(message.content);
+  for (const embed of message.embeds) if (embed) parts.push(`[embed] ${embed}`);
+  for (const url of message.attachments) parts.push(`[attachment] ${url}`);
+  return parts.length ? parts.join('\n') : '[no content available]';
+}
+
+function renderMarkdown(contact, messages) {
+  const lines = [
+    `# Contact channel transcript #${contact.channelName}`,
+    '',
+    `- **Applicant:** ${contact.applicantId}`,
+    `- **Opened:** ${new Date(contact.openedAt).toISOString()} by ${contact.openedBy}`,
+    `- **Closed:** ${new Date(contact.closedAt).toISOString()}${contact.closedBy ? ` by ${contact.closedBy}` : ` (${contact.closeReason})`}`,
+    `- **Messages:** ${messages.length}`,
+    ''
+  ];
+  for (const message of messages) {
+    lines.push(`**${message.authorTag}**${message.bot ? ' [bot]' : ''} · ${message.createdAt}`);
+    lines.push(...messageText(message).split('\n').map(line => `> ${line}`), '');
+  }
+  return lines.join('\n');
+}
+
+function renderHtml(contact, messages) {
+  const items = messages.map(message => `<div class="msg"><p class="meta"><strong>${escapeHtml(message.authorTag)}</strong>`
+    + `${message.bot ? ' <span class="bot">BOT</span>' : ''} · ${escapeHtml(message.createdAt)}</p>`
+    + `<p>${escapeHtml(messageText(message)).replace(/\n/g, '<br>')}</p></div>`);
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en"><head><meta charset="utf-8">',
+    `<title>Transcript #${escapeHtml(contact.channelName)}</title>`,
+    '<style>body{font-family:sans-serif;max-width:50rem;margin:2rem auto;padding:0 1rem}'
+      + '.msg{border-bottom:1px solid #eee;padding:.25rem 0}.meta{color:#777;font-size:.85em;margin:0}'
+      + '.bot{background:#5865f2;color:#fff;border-radius:3px;padding:0 .25rem;font-size:.75em}</style>',
+    '</head><body>',
+    `<h1>Transcript #${escapeHtml(contact.channelName)}</h1>`,
+    `<p>Applicant ${escapeHtml(contact.applicantId)} · opened ${escapeHtml(new Date(contact.openedAt).toISOString())}`
+      + ` · closed ${escapeHtml(new Date(contact.closedAt).toISOString())} (${escapeHtml(contact.closeReason)})</p>`,
+    ...items,
+    '</body></html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Renders a closed contact channel as `{ markdown, html, json }` strings.
+ */
+function renderContactTranscript(contact, messages) {
+  return {
+    markdown: renderMarkdown(contact, messages),
+    html: renderHtml(contact, messages),
+    json: JSON.stringify({ contact, messages }, null, 2)
+  };
+}
+
+module.exports = { fetchChannelMessages, renderContactTranscript };
@@ -0,0 +1,324 @@
+const {
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder
+} = require('discord.js');
+const { parseDuration, formatDuration } = require('../utils/duration');
+const { normalizeHexColor, isHttpUrl, isSnowflake } = require('../utils/validation');
+const { DEFAULT_EMBED_COLOR, formatRoles } = require('./messages');
+const { CUSTOM_IDS } = require('../interactions/customIds');
+
+// ------------------- Giveaway Builder - Multi-Step Wizard -------------------- //
+//
+// The builder walks an approved host through four modals. Each step declares its
+// inputs, how to prefill them from the session (so a step can be edited again),
+// and how to validate a submission into session data.
+
+const MIN_WINNERS = 1;
+const MAX_WINNERS = 20;
+
+const STEPS = [
+  {
+    key: 'basic',
+    modalId: 'basicInfoModal',
+    title: 'Giveaway Builder - Basic Information',
+    label: 'Basic Information',
+    inputs: [
+      { id: 'giveawayTitle', label: 'Giveaway Title', style: TextInputStyle.Short, required: true, maxLength: 100 },
+      { id: 'prizeDescription', label: 'Prize Description', style: TextInputStyle.Paragraph, required: true, maxLength: 1000 },
+      { id: 'numberWinners', label: `Number of Winners (${MIN_WINNERS}-${MAX_WINNERS})`, style: TextInputStyle.Short, required: true, maxLength: 2 },
+      { id: 'giveawayDuration', label: 'Duration (e.g., 1h, 2d, 1w)', style: TextInputStyle.Short, required: true, maxLength: 20 }
+    ],
+    values: data => ({
+      giveawayTitle: data.title,
+      prizeDescription: data.prize,
+      numberWinners: data.winners != null ? String(data.winners) : undefined,
+      giveawayDuration: data.duration
+    }),
+    read(fields) {
+      const errors = [];
+      const title = fields.getTextInputValue('giveawayTitle').trim();
+      const prize = fields.getTextInputValue('prizeDescription').trim();
+      const winnersRaw = fields.getTextInputValue('numberWinners').trim();
+      const duration = fields.getTextInputValue('giveawayDuration').trim();
+
+      if (!title) errors.push('Title cannot be empty.');
+      if (!prize) errors.push('Prize description cannot be empty.');
+      const winners = Number(winnersRaw);
+      if (!/^\d+$/.test(winnersRaw) || winners < MIN_WINNERS || winners > MAX_WINNERS) {
+        errors.push(`Number of winners must be a whole number between ${MIN_WINNERS} and ${MAX_WINNERS}.`);
+      }
+      if (!parseDuration(duration)) {
+        errors.push('Duration must look like `30m`, `1h`, `2d`, `1w` (or a combination such as `1d12h`).');
+      }
+      return { errors, data: { title, prize, winners, duration } };
+    },
+    fields: data => [
+      { name: 'Title', value: data.title, inline: true },
+      { name: 'Prize', value: data.prize, inline: true },
+      { name: 'Winners', value: String(data.winners), inline: true },
+      { name: 'Duration', value: `${data.duration} (${formatDuration(parseDuration(data.duration))})`, inline: true }
+    ]
+  },
+  {
+    key: 'entry',
+    modalId: 'entryRequirementsModal',
+    title: 'Giveaway Builder - Entry Requirements',
+    label: 'Entry Requirements',
+    inputs: [
+      { id: 'membershipDuration', label: 'Server Membership Duration (e.g., 7d)', style: TextInputStyle.Short, required: false, maxLength: 20 },
+      { id: 'minMessageCount', label: 'Minimum Message Count', style: TextInputStyle.Short, required: false, maxLength: 6 },
+      { id: 'requiredRoles', label: 'Required Roles (comma separated IDs)', style: TextInputStyle.Paragraph, required: false, maxLength: 500 },
+      { id: 'customEntry', label: 'Custom Entry Requirements', style: TextInputStyle.Paragraph, required: false, maxLength: 1000 }
+    ],
+    values: data => ({
+      membershipDuration: data.membership,
+      minMessageCount: data.minMessages != null ? String(data.minMessages) : undefined,
+      requiredRoles: data.requiredRoles ? data.requiredRoles.join(', ') : undefined,
+      customEntry: data.customEntry
+    }),
+    read(fields) {
+      const errors = [];
+      const membership = fields.getTextInputValue('membershipDuration').trim();
+      const minMessagesRaw = fields.getTextInputValue('minMessageCount').trim();
+      const rolesRaw = fields.getTextInputValue('requiredRoles').trim();
+      const customEntry = fields.getTextInputValue('customEntry').trim();
+
+      if (membership && !parseDuration(membership)) {
+        errors.push('Membership duration must look like `7d`, `2w` or `12h` (leave blank for none).');
+      }
+      if (minMessagesRaw && !/^\d+$/.test(minMessagesRaw)) {
+        errors.push('Minimum message count must be a whole number (leave blank for none).');
+      }
+      const requiredRoles = rolesRaw ? rolesRaw.split(/[\s,]+/).filter(Boolean) : [];
+      const invalidRoles = requiredRoles.filter(id => !isSnowflake(id));
+      if (invalidRoles.length) {
+        errors.push(`These are not valid role IDs: ${invalidRoles.join(', ')}`);
+      }
+      return {
+        errors,
+        data: {
+          membership: membership || null,
+          minMessages: minMessagesRaw ? Number(minMessagesRaw) : null,
+          requiredRoles: [...new Set(requiredRoles)],
+          customEntry: customEntry || null
+        }
+      };
+    },
+    fields: data => [
+      { name: 'Membership Duration', value: data.membership || 'None', inline: true },
+      { name: 'Minimum Messages', value: data.minMessages != null ? String(data.minMessages) : 'None', inline: true },
+      { name: 'Required Roles', value: formatRoles(data.requiredRoles), inline: true },
+      { name: 'Custom Entry', value: data.customEntry || 'None', inline: false }
+    ]
+  },
+  {
+    key: 'visual',
+    modalId: 'customVisualModal',
+    title: 'Giveaway Builder - Custom Visual Options',
+    label: 'Visual Options',
+    inputs: [
+      { id: 'embedColor', label: 'Custom Embed Color (hex code)', style: TextInputStyle.Short, required: false, maxLength: 7, placeholder: DEFAULT_EMBED_COLOR },
+      { id: 'thumbnailUrl', label: 'Thumbnail Image URL', style: TextInputStyle.Short, required: false, maxLength: 500 },
+      { id: 'bannerUrl', label: 'Banner Image URL', style: TextInputStyle.Short, required: false, maxLength: 500 },
+      { id: 'buttonText', label: 'Custom Button Text', style: TextInputStyle.Short, required: false, maxLength: 80 }
+    ],
+    values: data => ({
+      embedColor: data.embedColor,
+      thumbnailUrl: data.thumbnailUrl,
+      bannerUrl: data.bannerUrl,
+      buttonText: data.buttonText
+    }),
+    read(fields) {
+      const errors = [];
+      const colorRaw = fields.getTextInputValue('embedColor').trim();
+      const thumbnailUrl = fields.getTextInputValue('thumbnailUrl').trim();
+      const bannerUrl = fields.getTextInputValue('bannerUrl').trim();
+      const buttonText = fields.getTextInputValue('buttonText').trim();
+
+      const embedColor = colorRaw ? normalizeHexColor(colorRaw) : DEFAULT_EMBED_COLOR;
+      if (!embedColor) errors.push('Embed color must be a hex code such as `#00BFFF`.');
+      if (thumbnailUrl && !isHttpUrl(thumbnailUrl)) errors.push('Thumbnail URL must start with http:// or https://.');
+      if (bannerUrl && !isHttpUrl(bannerUrl)) errors.push('Banner URL must start with http:// or https://.');
+      return {
+        errors,
+        data: {
+          embedColor,
+          thumbnailUrl: thumbnailUrl || null,
+          bannerUrl: bannerUrl || null,
+          buttonText: buttonText || null
+        }
+      };
+    },
+    fields: data => [
+      { name: 'Embed Color', value: data.embedColor, inline: true },
+      { name: 'Button Text', value: data.buttonText || 'Default', inline: true },
+      { name: 'Thumbnail', value: data.thumbnailUrl || 'None', inline: false },
+      { name: 'Banner', value: data.bannerUrl || 'None', inline: false }
+    ]
+  },
+  {
+    key: 'messages',
+    modalId: 'customMsgModal',
+    title: 'Giveaway Builder - Custom Messages',
+    label: 'Custom Messages',
+    inputs: [
+      { id: 'startMessage', label: 'Start Announcement Message', style: TextInputStyle.Paragraph, required: false, maxLength: 1000 },
+      { id: 'winnerMessage', label: 'Winner Announcement Message', style: TextInputStyle.Paragraph, required: false, maxLength: 1000 },
+      { id: 'entryConfirmation', label: 'Entry Confirmation Message', style: TextInputStyle.Paragraph, required: false, maxLength: 1000 }
+    ],
+    values: data => ({
+      startMessage: data.startMessage,
+      winnerMessage: data.winnerMessage,
+      entryConfirmation: data.entryConfirmation
+    }),
+    read(fields) {
+      return {
+        errors: [],
+        data: {
+          startMessage: fields.getTextInputValue('startMessage').trim() || null,
+          winnerMessage: fields.getTextInputValue('winnerMessage').trim() || null,
+          entryConfirmation: fields.getTextInputValue('entryConfirmation').trim() || null
+        }
+      };
+    },
+    fields: data => [
+      { name: 'Start Announcement', value: data.startMessage || 'Default', inline: false },
+      { name: 'Winner Announcement', value: data.winnerMessage || 'Default', inline: false },
+      { name: 'Entry Confirmation', value: data.entryConfirmation || 'Default', inline: false }
+    ]
+  }
+];
+
+function getStep(key) {
+  return STEPS.find(step => step.key === key);
+}
+
+function getStepByModalId(modalId) {
+  return STEPS.find(step => step.modalId === modalId);
+}
+
+/**
+ * Creates a fresh builder session.
+ */
+function createSession(applicantId) {
+  return { applicantId, completedSteps: [], data: {} };
+}
+
+/**
+ * Builds the modal for a step, prefilled with anything already saved in the session.
+ */
+function buildStepModal(step, data = {}) {
+  const values = step.values(data);
+  const modal = new ModalBuilder().setCustomId(step.modalId).setTitle(step.title);
+  modal.addComponents(step.inputs.map(input => {
+    const textInput = new TextInputBuilder()
+      .setCustomId(input.id)
+      .setLabel(input.label)
+      .setStyle(input.style)
+      .setRequired(input.required)
+      .setMaxLength(input.maxLength);
+    if (input.placeholder) textInput.setPlaceholder(input.placeholder);
+    if (values[input.id]) textInput.setValue(values[input.id]);
+    return new ActionRowBuilder().addComponents(textInput);
+  }));
+  return modal;
+}
+
+function stepButton(step, label, style) {
+  return new ButtonBuilder()
+    .setCustomId(CUSTOM_IDS.builderStep.build(step.key))
+    .setLabel(label)
+    .setStyle(style);
+}
+
+/**
+ * Reply shown when a step submission fails validation. Modals cannot be opened
+ * from a modal submit, so the host gets a button to reopen the step instead.
+ */
+function buildValidationReply(step, errors) {
+  return {
+    content: `Some of the **${step.label}** values need fixing:\n${errors.map(e => `• ${e}`).join('\n')}`,
+    components: [new ActionRowBuilder().addComponents(stepButton(step, `Edit ${step.label}`, ButtonStyle.Primary))],
+    ephemeral: true
+  };
+}
+
+/**
+ * Reply shown after a step is saved: a preview of the step plus navigation.
+ * Once every step has been completed the full preview with the submit button is shown.
+ */
+function buildStepReply(session, step) {
+  if (isSessionComplete(session)) {
+    return buildFinalReply(session);
+  }
+
+  const nextStep = STEPS.find(s => !session.completedSteps.includes(s.key));
+  const previewEmbed = new EmbedBuilder()
+    .setTitle(`Giveaway Preview - ${step.label}`)
+    .addFields(step.fields(session.data))
+    .setColor(session.data.embedColor || DEFAULT_EMBED_COLOR)
+    .setTimestamp();
+
+  const row = new ActionRowBuilder().addComponents(
+    stepButton(step, `Edit ${step.label}`, ButtonStyle.Secondary),
+    stepButton(nextStep, `Next: ${nextStep.label}`, ButtonStyle.Primary)
+  );
+
+  return {
+    content: `${step.label} saved. See preview below:`,
+    embeds: [previewEmbed],
+    components: [row],
+    ephemeral: true
+  };
+}
+
+function buildFinalReply(session) {
+  const { data } = session;
+  const previewEmbed = new EmbedBuilder()
+    .setTitle('Giveaway Preview - Complete')
+    .setColor(data.embedColor || DEFAULT_EMBED_COLOR)
+    .setThumbnail(data.thumbnailUrl || null)
+    .setImage(data.bannerUrl || null)
+    .addFields(STEPS.flatMap(step => step.fields(data)))
+    .setTimestamp();
+
+  const editRow = new ActionRowBuilder().addComponents(
+    STEPS.map(step => stepButton(step, `Edit ${step.label}`, ButtonStyle.Secondary))
+  );
+  const submitRow = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(CUSTOM_IDS.submitGiveaway.build())
+      .setLabel('Submit Giveaway')
+      .setStyle(ButtonStyle.Success)
+  );
+
+  return {
+    content: 'All steps saved. Review the full preview below, edit any step, or click **Submit Giveaway** to post it.',
+    embeds: [previewEmbed],
+    components: [editRow, submitRow],
+    ephemeral: true
+  };
+}
+
+/**
+ * Returns true once every step of the session has been completed.
+ */
+function isSessionComplete(session) {
+  return STEPS.every(step => session.completedSteps.includes(step.key));
+}
+
+module.exports = {
+  STEPS,
+  getStep,
+  getStepByModalId,
+  createSession,
+  buildStepModal,
+  buildValidationReply,
+  buildStepReply,
+  isSessionComplete
+};
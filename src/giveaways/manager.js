@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { parseDuration } = require('../utils/duration');
+const { scheduleAt } = require('../utils/timers');
+const { generateId } = require('../utils/ids');
+const { checkEntryRequirements } = require('./requirements');
+const {
+  buildGiveawayMessage,
+  buildWinnerAnnouncement,
+  buildEntryConfirmation
+} = require('./messages');
+const { logger, withNewContext } = require('../logger');
+
+const log = logger.child({ component: 'giveaways' });
+
+/**
+ * Picks up to `count` distinct random entries from `pool` (partial Fisher-Yates).
+ */
+function drawRandom(pool, count) {
+  const candidates = [...pool];
+  const picked = [];
+  while (picked.length < count && candidates.length) {
+    const index = crypto.randomInt(candidates.length);
+    picked.push(candidates[index]);
+    candidates[index] = candidates[candidates.length - 1];
+    candidates.pop();
+  }
+  return picked;
+}
+
+/**
+ * Owns running giveaways: posting them, recording entries, and ending them on time.
+ * Giveaways are cached in memory and written through to the `giveaways` collection.
+ * Emits 'started', 'ended', 'cancelled' and 'rerolled' with the giveaway.
+ */
+class GiveawayManager extends EventEmitter {
+  constructor(client, { store, messageTracker }) {
+    super();
+    this.client = client;
+    this.store = store;
+    this.messageTracker = messageTracker;
+    this.giveaways = new Map();
+    this.timers = new Map();
+  }
+
+  /**
+   * Loads persisted giveaways and reschedules the ones still running. Giveaways that
+   * expired while the bot was offline are ended right away.
+   */
+  async restore() {
+    const giveaways = await this.store.list('giveaways');
+    for (const giveaway of giveaways) {
+      this.giveaways.set(giveaway.id, giveaway);
+      if (giveaway.status === 'running') this.schedule(giveaway);
+    }
+    const running = giveaways.filter(g => g.status === 'running').length;
+    log.info('Giveaways restored', { total: giveaways.length, running });
+  }
+
+  save(giveaway) {
+    return this.store.set('giveaways', giveaway.id, giveaway);
+  }
+
+  /**
+   * Looks a giveaway up by its ID or by the ID of its public message.
+   */
+  find(idOrMessageId) {
+    if (this.giveaways.has(idOrMessageId)) return this.giveaways.get(idOrMessageId);
+    for (const giveaway of this.giveaways.values()) {
+      if (giveaway.messageId === idOrMessageId) return giveaway;
+    }
+    return null;
+  }
+
+  /**
+   * The running giveaways a member hosts in a guild.
+   */
+  running(hostId, guildId) {
+    return [...this.giveaways.values()]
+      .filter(giveaway => giveaway.status === 'running' && giveaway.hostId === hostId && giveaway.guildId === guildId);
+  }
+
+  /**
+   * Posts a new giveaway in `channel` from the builder's session data and schedules its end.
+   */
+  async start({ channel, host, data }) {
+    const now = Date.now();
+    const giveaway = {
+      id: generateId(),
+      guildId: channel.guildId,
+      channelId: channel.id,
+      messageId: null,
+      hostId: host.id,
+      data,
+      entrants: [],
+      winnerIds: [],
+      status: 'running',
+      createdAt: now,
+      endsAt: now + parseDuration(data.duration),
+      endedAt: null
+    };
+
+    const message = await channel.send({
+      content: data.startMessage || undefined,
+      ...buildGiveawayMessage(giveaway),
+      // The start message is the host's free text: it must not ping @everyone or roles.
+      allowedMentions: { parse: [] }
+    });
+    giveaway.messageId = message.id;
+    this.giveaways.set(giveaway.id, giveaway);
+    await this.save(giveaway);
+    this.schedule(giveaway);
+    this.emit('started', giveaway);
+    return giveaway;
+  }
+
+  schedule(giveaway) {
+    this.timers.get(giveaway.id)?.cancel();
+    this.timers.set(giveaway.id, scheduleAt(giveaway.endsAt, () => {
+      withNewContext({ correlationId: generateId(), giveawayId: giveaway.id }, () => this.end(giveaway.id)).catch(error => {
+        log.error('Error ending giveaway', { giveawayId: giveaway.id, error });
+      });
+    }));
+  }
+
+  /**
+   * Records an entry for a guild member after checking the giveaway's entry requirements.
+   * Returns `{ ok: false, reason }` if the member cannot enter.
+   */
+  async enter(giveaway, member) {
+    if (giveaway.status !== 'running') {
+      return { ok: false, reason: 'This giveaway is no longer accepting entries.' };
+    }
+    if (giveaway.entrants.includes(member.id)) {
+      return { ok: false, reason: 'You have already entered this giveaway.' };
+    }
+    const eligibility = checkEntryRequirements(giveaway, member, this.messageTracker);
+    if (!eligibility.ok) {
+      return {
+        ok: false,
+        reason: `You don't meet the entry requirements for this giveaway:\n${eligibility.reasons.map(r => `• ${r}`).join('\n')}`
+      };
+    }
+    giveaway.entrants.push(member.id);
+    await this.save(giveaway);
+    return { ok: true, confirmation: buildEntryConfirmation(giveaway) };
+  }
+
+  /**
+   * Ends a running giveaway now: draws winners, edits the embed and announces the result.
+   */
+  async end(id) {
+    const giveaway = this.giveaways.get(id);
+    if (!giveaway || giveaway.status !== 'running') return null;
+
+    this.timers.get(id)?.cancel();
+    this.timers.delete(id);
+    giveaway.status = 'ended';
+    giveaway.endedAt = Date.now();
+    giveaway.winnerIds = drawRandom(giveaway.entrants, giveaway.data.winners);
+    await this.save(giveaway);
+
+    const message = await this.updateMessage(giveaway);
+    await this.announce(giveaway, message, buildWinnerAnnouncement(giveaway, giveaway.winnerIds));
+    log.info('Giveaway ended', { giveawayId: giveaway.id, winners: giveaway.winnerIds.length });
+    this.emit('ended', giveaway);
+    return giveaway;
+  }
+
+  /**
+   * Draws replacement winners for an ended giveaway from entrants who have not won yet.
+   */
+  async reroll(id, count) {
+    const giveaway = this.giveaways.get(id);
+    if (!giveaway || giveaway.status !== 'ended') return null;
+
+    const pool = giveaway.entrants.filter(userId => !giveaway.winnerIds.includes(userId));
+    const newWinners = drawRandom(pool, count || giveaway.data.winners);
+    if (!newWinners.length) return { giveaway, newWinners };
+
+    giveaway.winnerIds = [...giveaway.winnerIds, ...newWinners];
+    await this.save(giveaway);
+    const message = await this.updateMessage(giveaway);
+    await this.announce(giveaway, message, buildWinnerAnnouncement(giveaway, newWinners, { reroll: true }));
+    this.emit('rerolled', giveaway, newWinners);
+    return { giveaway, newWinners };
+  }
+
+  /**
+   * Cancels a running giveaway without drawing winners.
+   */
+  async cancel(id) {
+    const giveaway = this.giveaways.get(id);
+    if (!giveaway || giveaway.status !== 'running') return null;
+
+    this.timers.get(id)?.cancel();
+    this.timers.delete(id);
+    giveaway.status = 'cancelled';
+    giveaway.endedAt = Date.now();
+    await this.save(giveaway);
+    await this.updateMessage(giveaway);
+    this.emit('cancelled', giveaway);
+    return giveaway;
+  }
+
+  async updateMessage(giveaway) {
+    try {
+      const channel = await this.client.channels.fetch(giveaway.channelId);
+      const message = await channel.messages.fetch(giveaway.messageId);
+      await message.edit(buildGiveawayMessage(giveaway));
+      return message;
+    } catch (error) {
+      log.error('Error updating giveaway message', { giveawayId: giveaway.id, error });
+      return null;
+    }
+  }
+
+  /**
+   * Posts a winner announcement. Only the winners are pinged, whatever the host's
+   * end message contains.
+   */
+  async announce(giveaway, message, content) {
+    const allowedMentions = { parse: [], users: giveaway.winnerIds, repliedUser: false };
+    try {
+      if (message) {
+        await message.reply({ content, allowedMentions });
+      } else {
+        const channel = await this.client.channels.fetch(giveaway.channelId);
+        await channel.send({ content, allowedMentions });
+      }
+    } catch (error) {
+      log.error('Error announcing giveaway winners', { giveawayId: giveaway.id, error });
+    }
+  }
+}
+
+module.exports = { GiveawayManager, drawRandom };
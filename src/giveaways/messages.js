@@ -0,0 +1,129 @@
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder
+} = require('discord.js');
+const { CUSTOM_IDS } = require('../interactions/customIds');
+
+const DEFAULT_EMBED_COLOR = '#00BFFF';
+const DEFAULT_BUTTON_TEXT = 'Enter';
+const DEFAULT_WINNER_MESSAGE = '🎉 Congratulations {winners}! You won **{prize}**!';
+const DEFAULT_ENTRY_CONFIRMATION = 'You have entered **{title}**. Good luck! 🍀';
+const EMBED_FIELD_LIMIT = 1024;
+
+function formatRoles(roleIds) {
+  return roleIds && roleIds.length ? roleIds.map(id => `<@&${id}>`).join(', ') : 'None';
+}
+
+function mentionUsers(userIds) {
+  return userIds.map(id => `<@${id}>`).join(', ');
+}
+
+/**
+ * The Winners field. Rerolls keep adding winners, so once they no longer fit in an
+ * embed field only the most recent are listed, followed by how many were left out.
+ */
+function formatWinners(winnerIds) {
+  let shown = winnerIds.length;
+  const value = () => {
+    const omitted = winnerIds.length - shown;
+    const mentions = mentionUsers(winnerIds.slice(winnerIds.length - shown));
+    return omitted ? `${mentions} …and ${omitted} more` : mentions;
+  };
+  while (shown > 1 && value().length > EMBED_FIELD_LIMIT) shown -= 1;
+  return value();
+}
+
+/**
+ * Replaces `{placeholder}` tokens in a host-provided message. Unknown tokens are left as-is.
+ */
+function fillPlaceholders(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+function statusLine(giveaway) {
+  const endsAt = Math.floor(giveaway.endsAt / 1000);
+  switch (giveaway.status) {
+    case 'ended':
+      return `Ended <t:${Math.floor(giveaway.endedAt / 1000)}:R>`;
+    case 'cancelled':
+      return '**This giveaway was cancelled.**';
+    default:
+      return `Ends <t:${endsAt}:R> (<t:${endsAt}:f>)`;
+  }
+}
+
+/**
+ * Builds the public giveaway message (embed + Enter button) for the giveaway's current state.
+ */
+function buildGiveawayMessage(giveaway) {
+  const { data } = giveaway;
+  const embed = new EmbedBuilder()
+    .setTitle(`🎉 ${data.title} 🎉`)
+    .setDescription(`**Prize:** ${data.prize}\n\n${statusLine(giveaway)}`)
+    .setColor(giveaway.status === 'running' ? (data.embedColor || DEFAULT_EMBED_COLOR) : 'Grey')
+    .setThumbnail(data.thumbnailUrl || null)
+    .setImage(data.bannerUrl || null)
+    .addFields(
+      { name: 'Number of Winners', value: String(data.winners), inline: true },
+      { name: 'Entries', value: String(giveaway.entrants.length), inline: true },
+      { name: 'Hosted by', value: `<@${giveaway.hostId}>`, inline: true },
+      { name: 'Membership Requirement', value: data.membership || 'None', inline: true },
+      { name: 'Min. Message Count', value: data.minMessages != null ? String(data.minMessages) : 'None', inline: true },
+      { name: 'Required Roles', value: formatRoles(data.requiredRoles), inline: true },
+      { name: 'Additional Entry Requirements', value: data.customEntry || 'None', inline: false }
+    )
+    .setFooter({ text: `Giveaway ID: ${giveaway.id}` })
+    .setTimestamp(giveaway.endsAt);
+
+  if (giveaway.status === 'ended') {
+    embed.addFields({
+      name: 'Winners',
+      value: giveaway.winnerIds.length ? formatWinners(giveaway.winnerIds) : 'No valid entries.',
+      inline: false
+    });
+  }
+
+  const enterButton = new ButtonBuilder()
+    .setCustomId(CUSTOM_IDS.enterGiveaway.build(giveaway.id))
+    .setLabel(data.buttonText || DEFAULT_BUTTON_TEXT)
+    .setEmoji('🎉')
+    .setStyle(ButtonStyle.Primary)
+    .setDisabled(giveaway.status !== 'running');
+
+  return { embeds: [embed], components: [new ActionRowBuilder().addComponents(enterButton)] };
+}
+
+/**
+ * Builds the winner announcement from the host's custom message (or the default).
+ */
+function buildWinnerAnnouncement(giveaway, winnerIds, { reroll = false } = {}) {
+  if (!winnerIds.length) {
+    return `No valid entries for **${giveaway.data.title}**, so no winners could be determined.`;
+  }
+  const message = fillPlaceholders(giveaway.data.winnerMessage || DEFAULT_WINNER_MESSAGE, {
+    winners: mentionUsers(winnerIds),
+    prize: giveaway.data.prize,
+    title: giveaway.data.title,
+    host: `<@${giveaway.hostId}>`
+  });
+  return reroll ? `🔁 **Reroll!** ${message}` : message;
+}
+
+function buildEntryConfirmation(giveaway) {
+  return fillPlaceholders(giveaway.data.entryConfirmation || DEFAULT_ENTRY_CONFIRMATION, {
+    prize: giveaway.data.prize,
+    title: giveaway.data.title,
+    host: `<@${giveaway.hostId}>`
+  });
+}
+
+module.exports = {
+  DEFAULT_EMBED_COLOR,
+  formatRoles,
+  fillPlaceholders,
+  buildGiveawayMessage,
+  buildWinnerAnnouncement,
+  buildEntryConfirmation
+};
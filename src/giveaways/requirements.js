@@ -0,0 +1,37 @@
+const { parseDuration, formatDuration } = require('../utils/duration');
+
+/**
+ * Checks a guild member against a giveaway's entry requirements (membership duration,
+ * required roles and minimum tracked message count).
+ * Returns `{ ok: true }` or `{ ok: false, reasons: [...] }`.
+ */
+function checkEntryRequirements(giveaway, member, messageTracker) {
+  const { data } = giveaway;
+  const reasons = [];
+
+  const membershipMs = data.membership ? parseDuration(data.membership) : null;
+  if (membershipMs) {
+    const memberFor = member.joinedTimestamp ? Date.now() - member.joinedTimestamp : 0;
+    if (memberFor < membershipMs) {
+      const eligibleAt = Math.floor(((member.joinedTimestamp || Date.now()) + membershipMs) / 1000);
+      reasons.push(`You must be a member of this server for at least **${formatDuration(membershipMs)}** (eligible <t:${eligibleAt}:R>).`);
+    }
+  }
+
+  const requiredRoles = data.requiredRoles || [];
+  const missingRoles = requiredRoles.filter(roleId => !member.roles.cache.has(roleId));
+  if (missingRoles.length) {
+    reasons.push(`You are missing the required role(s): ${missingRoles.map(id => `<@&${id}>`).join(', ')}.`);
+  }
+
+  if (data.minMessages) {
+    const count = messageTracker.getCount(member.guild.id, member.id);
+    if (count < data.minMessages) {
+      reasons.push(`You need at least **${data.minMessages}** messages in this server (you have ${count}).`);
+    }
+  }
+
+  return reasons.length ? { ok: false, reasons } : { ok: true };
+}
+
+module.exports = { checkEntryRequirements };
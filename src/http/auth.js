@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const { loadJsonList } = require('../utils/jsonConfig');
+const { logger } = require('../logger');
+const { REQUEST_ID_HEADER } = require('./requestContext');
+
+// --------------------------- API Authentication --------------------------- //
+//
+// Callers authenticate with a shared secret in one of two ways:
+//
+//   Bearer:  Authorization: Bearer <secret>
+//   HMAC:    X-Key-Id: <key id>
+//            X-Timestamp: <unix seconds>
+//            X-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the secret>
+//
+// Keys come from API_KEYS_FILE (re-read on SIGHUP) or the API_KEYS env var, as JSON:
+//   [{ "id": "app-2025", "secret": "...", "scopes": ["notify:send"],
+//      "expiresAt": "2026-01-01T00:00:00Z", "requireSignature": false }]
+// Rotation: add the new key, move callers over, then expire or remove the old one.
+
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+const log = logger.child({ component: 'auth' });
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// Compares secrets in constant time regardless of their lengths.
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(sha256(a), sha256(b));
+}
+
+/**
+ * Computes the signature header value a caller must send for a request body.
+ */
+function signPayload(secret, timestamp, rawBody) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+class ApiKeyring {
+  constructor({ file = process.env.API_KEYS_FILE, json = process.env.API_KEYS } = {}) {
+    this.file = file;
+    this.json = json;
+    this.keys = [];
+    this.reload();
+  }
+
+  /**
+   * (Re)loads keys from the configured file or env var. On a parse error the
+   * previously loaded keys stay active.
+   */
+  reload() {
+    try {
+      const keys = loadJsonList({ file: this.file, json: this.json });
+      for (const key of keys) {
+        if (!key.id || !key.secret) throw new Error('Every API key needs an "id" and a "secret".');
+      }
+      this.keys = keys.map(key => ({
+        id: String(key.id),
+        secret: String(key.secret),
+        scopes: key.scopes || [],
+        expiresAt: key.expiresAt ? Date.parse(key.expiresAt) : null,
+        requireSignature: Boolean(key.requireSignature),
+        disabled: Boolean(key.disabled)
+      }));
+      if (!this.keys.length) {
+        log.warn('No API keys configured (API_KEYS / API_KEYS_FILE): authenticated endpoints will reject all requests.');
+      }
+    } catch (error) {
+      log.error('Error loading API keys', { error });
+    }
+  }
+
+  findById(id) {
+    return this.keys.find(key => key.id === id) || null;
+  }
+
+  findBySecret(secret) {
+    // Check every key so the time taken does not reveal which one matched.
+    let match = null;
+    for (const key of this.keys) {
+      if (safeEqual(key.secret, secret) && !match) match = key;
+    }
+    return match;
+  }
+}
+
+function isExpired(key) {
+  return key.disabled || (key.expiresAt !== null && key.expiresAt <= Date.now());
+}
+
+function hasScope(key, scope) {
+  return key.scopes.includes('*') || key.scopes.includes(scope);
+}
+
+function reject(res, status, code, error) {
+  if (status === 401) res.set('WWW-Authenticate', 'Bearer realm="api", HMAC realm="api"');
+  return res.status(status).json({ error, code });
+}
+
+/**
+ * Creates the `requireAuth(scope)` middleware factory bound to a keyring.
+ * Authenticated requests get `req.apiKey = { id, scopes }`.
+ */
+function createAuth(keyring) {
+  // Signatures already seen within the tolerance window, to reject replays.
+  const seenSignatures = new Map();
+
+  function rememberSignature(signature) {
+    const now = Date.now();
+    for (const [seen, expiresAt] of seenSignatures) {
+      if (expiresAt <= now) seenSignatures.delete(seen);
+    }
+    seenSignatures.set(signature, now + SIGNATURE_TOLERANCE_SECONDS * 2 * 1000);
+  }
+
+  function verifySignature(req, res) {
+    const keyId = req.get('X-Key-Id');
+    const timestamp = req.get('X-Timestamp');
+    const signature = req.get('X-Signature');
+    if (!keyId || !timestamp || !signature) {
+      reject(res, 401, 'incomplete_signature', 'Signed requests need X-Key-Id, X-Timestamp and X-Signature headers.');
+      return null;
+    }
+
+    const key = keyring.findById(keyId);
+    if (!key) {
+      reject(res, 401, 'invalid_api_key', 'Unknown API key ID.');
+      return null;
+    }
+    if (isExpired(key)) {
+      reject(res, 401, 'expired_api_key', 'This API key has expired or been disabled.');
+      return null;
+    }
+    const seconds = Number(timestamp);
+    if (!Number.isInteger(seconds) || Math.abs(Date.now() / 1000 - seconds) > SIGNATURE_TOLERANCE_SECONDS) {
+      reject(res, 401, 'timestamp_out_of_range', `X-Timestamp must be a Unix time in seconds within ${SIGNATURE_TOLERANCE_SECONDS}s of the server clock.`);
+      return null;
+    }
+    const expected = signPayload(key.secret, timestamp, req.rawBody || '');
+    if (!safeEqual(expected, signature)) {
+      reject(res, 401, 'invalid_signature', 'X-Signature does not match the request body.');
+      return null;
+    }
+    if (seenSignatures.has(signature)) {
+      reject(res, 401, 'replayed_request', 'This signed request has already been processed.');
+      return null;
+    }
+    rememberSignature(signature);
+    return key;
+  }
+
+  function verifyBearer(req, res) {
+    const [scheme, secret] = req.get('Authorization').split(' ');
+    if (scheme.toLowerCase() !== 'bearer' || !secret) {
+      reject(res, 401, 'invalid_authorization_header', 'Authorization header must be "Bearer <api key>".');
+      return null;
+    }
+    const key = keyring.findBySecret(secret);
+    if (!key) {
+      reject(res, 401, 'invalid_api_key', 'Invalid API key.');
+      return null;
+    }
+    if (isExpired(key)) {
+      reject(res, 401, 'expired_api_key', 'This API key has expired or been disabled.');
+      return null;
+    }
+    if (key.requireSignature) {
+      reject(res, 401, 'signature_required', 'This API key may only be used with signed (HMAC) requests.');
+      return null;
+    }
+    return key;
+  }
+
+  return function requireAuth(scope) {
+    return (req, res, next) => {
+      let key;
+      if (req.get('X-Signature')) {
+        key = verifySignature(req, res);
+      } else if (req.get('Authorization')) {
+        key = verifyBearer(req, res);
+      } else {
+        return reject(res, 401, 'missing_credentials', 'Authentication required: send a Bearer API key or a signed request.');
+      }
+      if (!key) return;
+
+      if (scope && !hasScope(key, scope)) {
+        return reject(res, 403, 'insufficient_scope', `This API key is missing the required scope "${scope}".`);
+      }
+      req.apiKey = { id: key.id, scopes: key.scopes };
+      next();
+    };
+  };
+}
+
+/**
+ * CORS options from CORS_ORIGINS (comma separated, "*" for any). Unlisted origins
+ * get no CORS headers, so browsers block the response.
+ */
+function corsOptions(origins = process.env.CORS_ORIGINS) {
+  const allowlist = (origins || '').split(',').map(origin => origin.trim()).filter(Boolean);
+  return {
+    origin: allowlist.includes('*') ? true : allowlist,
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Key-Id', 'X-Timestamp', 'X-Signature', 'Idempotency-Key', REQUEST_ID_HEADER],
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'Idempotent-Replayed', REQUEST_ID_HEADER]
+  };
+}
+
+module.exports = { ApiKeyring, createAuth, corsOptions, signPayload };
@@ -0,0 +1,98 @@
+const { logger } = require('../logger');
+
+// -------------------------------- Metrics -------------------------------- //
+//
+// A small registry that renders the Prometheus text format for GET /metrics. Counters
+// are incremented as things happen; gauges are read from the bot's state on each scrape.
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatSample(name, labels, value) {
+  const pairs = Object.entries(labels || {}).map(([key, label]) => `${key}="${escapeLabel(label)}"`);
+  return `${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${Number.isFinite(value) ? value : 'NaN'}`;
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.labelNames = labelNames;
+    // JSON of the label values -> count
+    this.values = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = JSON.stringify(this.labelNames.map(label => labels[label] ?? ''));
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  collect() {
+    return [...this.values].map(([key, value]) => {
+      const labelValues = JSON.parse(key);
+      return { labels: Object.fromEntries(this.labelNames.map((label, i) => [label, labelValues[i]])), value };
+    });
+  }
+}
+
+class Gauge {
+  /**
+   * `collect()` returns a number, `[{ labels, value }]`, or null to leave the gauge
+   * out of this scrape; it may be async.
+   */
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.type = 'gauge';
+    this.collectValue = collect;
+  }
+
+  async collect() {
+    const value = await this.collectValue();
+    if (value === null || value === undefined) return [];
+    return typeof value === 'number' ? [{ labels: {}, value }] : value;
+  }
+}
+
+class MetricsRegistry {
+  constructor({ prefix = '' } = {}) {
+    this.prefix = prefix;
+    this.metrics = [];
+  }
+
+  counter({ name, help, labelNames }) {
+    const counter = new Counter(this.prefix + name, help, labelNames);
+    this.metrics.push(counter);
+    return counter;
+  }
+
+  gauge({ name, help, collect }) {
+    const gauge = new Gauge(this.prefix + name, help, collect);
+    this.metrics.push(gauge);
+    return gauge;
+  }
+
+  /**
+   * Renders every metric in the Prometheus text exposition format. A gauge that fails
+   * to collect is logged and left out rather than failing the whole scrape.
+   */
+  async render() {
+    const lines = [];
+    for (const metric of this.metrics) {
+      let samples;
+      try {
+        samples = await metric.collect();
+      } catch (error) {
+        logger.error('Error collecting metric', { component: 'metrics', metric: metric.name, error });
+        continue;
+      }
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+      for (const { labels, value } of samples) lines.push(formatSample(metric.name, labels, value));
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = { MetricsRegistry };
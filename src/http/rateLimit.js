@@ -0,0 +1,264 @@
+const { loadJsonList } = require('../utils/jsonConfig');
+const { parseDuration } = require('../utils/duration');
+const { logger } = require('../logger');
+
+// ----------------------------- Rate Limiting ----------------------------- //
+//
+// Requests are counted against rules from RATE_LIMITS_FILE (re-read on SIGHUP) or the
+// RATE_LIMITS env var, as JSON:
+//   [{ "id": "notify", "routes": ["POST /notify", "POST /notify/*"], "by": "key",
+//      "limit": 60, "window": "1m", "algorithm": "token-bucket", "keys": { "app-2025": 600 } }]
+//
+//   routes     "METHOD /path" or "/path" patterns, where a trailing "*" matches the rest
+//              of the path; omitted = every route
+//   by         "ip" counts per client address, before authentication; "key" counts per
+//              API key, once the request is authenticated
+//   limit      requests per window; null exempts the matching routes
+//   window     duration string such as "1m" or "1h"
+//   algorithm  "sliding-window" (default) or "token-bucket", which allows bursts of up
+//              to `limit` requests and refills evenly over the window
+//   keys       per-API-key limits that override `limit` ("by": "key" rules only)
+//
+// Each request is checked against the first matching "ip" rule and the first matching
+// "key" rule. Responses carry RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and
+// RateLimit-Policy headers; refused requests get 429 with Retry-After. The client
+// address is req.ip, so set TRUST_PROXY when running behind a reverse proxy.
+
+const log = logger.child({ component: 'rateLimit' });
+
+const DEFAULT_RULES = [
+  { id: 'probes', routes: ['GET /health', 'GET /ready'], by: 'ip', limit: null },
+  { id: 'per-ip', by: 'ip', limit: 120, window: '1m' },
+  { id: 'per-key', by: 'key', limit: 60, window: '1m' }
+];
+
+const ALGORITHMS = {
+  // Weighs the previous fixed window's count by how much of it still overlaps the
+  // sliding window, which smooths out bursts at window boundaries.
+  'sliding-window': {
+    ttlMs: windowMs => 2 * windowMs,
+    consume(state, { limit, windowMs }, now) {
+      const windowStart = now - (now % windowMs);
+      let { start, count = 0, previous = 0 } = state || {};
+      if (start !== windowStart) {
+        previous = start === windowStart - windowMs ? count : 0;
+        count = 0;
+      }
+      const overlap = 1 - (now - windowStart) / windowMs;
+      const used = previous * overlap + count;
+      const allowed = used + 1 <= limit;
+      if (allowed) count += 1;
+      const windowEnd = windowStart + windowMs;
+      let retryAfterMs = 0;
+      if (!allowed) {
+        // When enough of the previous window has slid out, or else the next window.
+        retryAfterMs = count + 1 <= limit && previous
+          ? Math.min(windowEnd, windowStart + windowMs * (1 - (limit - 1 - count) / previous)) - now
+          : windowEnd - now;
+      }
+      return {
+        state: { start: windowStart, count, previous },
+        allowed,
+        remaining: Math.max(0, Math.floor(limit - used - (allowed ? 1 : 0))),
+        resetMs: windowEnd - now,
+        retryAfterMs
+      };
+    }
+  },
+  'token-bucket': {
+    ttlMs: windowMs => windowMs,
+    consume(state, { limit, windowMs }, now) {
+      const refillPerMs = limit / windowMs;
+      const { tokens: saved = limit, at = now } = state || {};
+      let tokens = Math.min(limit, saved + (now - at) * refillPerMs);
+      const allowed = tokens >= 1;
+      if (allowed) tokens -= 1;
+      return {
+        state: { tokens, at: now },
+        allowed,
+        remaining: Math.floor(tokens),
+        resetMs: (limit - tokens) / refillPerMs,
+        retryAfterMs: allowed ? 0 : (1 - tokens) / refillPerMs
+      };
+    }
+  }
+};
+
+/**
+ * Counters kept in this process. Expired counters are dropped by `sweep()`, and the
+ * least recently used ones once there are more than `maxKeys`.
+ *
+ * Any store with the same interface can replace it, e.g. to share limits between
+ * instances through Redis (running the read-modify-write in a Lua script):
+ *   update(key, ttlMs, updater)  runs updater(state | null) -> { state, ... } atomically,
+ *                                keeps `state` for ttlMs and returns the updater's result
+ *   sweep()                      drops expired counters
+ */
+class MemoryRateLimitStore {
+  constructor({ maxKeys = 100000 } = {}) {
+    this.maxKeys = maxKeys;
+    // key -> { state, expiresAt }, least recently used first
+    this.entries = new Map();
+  }
+
+  async update(key, ttlMs, updater) {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+    const result = updater(entry && entry.expiresAt > now ? entry.state : null);
+    this.entries.delete(key);
+    this.entries.set(key, { state: result.state, expiresAt: now + ttlMs });
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxKeys) break;
+      this.entries.delete(oldest);
+    }
+    return result;
+  }
+
+  async sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+function compileRoute(pattern) {
+  const [method, path] = pattern.includes(' ') ? pattern.split(/\s+/, 2) : [null, pattern];
+  const escaped = path.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  return {
+    method: method ? method.toUpperCase() : null,
+    regex: new RegExp(`^${escaped.endsWith('*') ? `${escaped.slice(0, -1)}.*` : escaped}$`)
+  };
+}
+
+function compileRule(rule, index) {
+  const id = String(rule.id || `rule-${index + 1}`);
+  if (!['ip', 'key'].includes(rule.by)) throw new Error(`Rate limit "${id}": "by" must be "ip" or "key".`);
+  const algorithm = rule.algorithm || 'sliding-window';
+  if (!ALGORITHMS[algorithm]) throw new Error(`Rate limit "${id}": unknown algorithm "${algorithm}".`);
+  const isLimit = limit => Number.isInteger(limit) && limit > 0;
+  if (rule.limit !== null && !isLimit(rule.limit)) throw new Error(`Rate limit "${id}": "limit" must be a positive integer or null.`);
+  const keys = rule.keys || {};
+  if (Object.values(keys).some(limit => limit !== null && !isLimit(limit))) {
+    throw new Error(`Rate limit "${id}": "keys" limits must be positive integers or null.`);
+  }
+  const windowMs = rule.limit === null ? null : parseDuration(rule.window);
+  if (rule.limit !== null && !windowMs) throw new Error(`Rate limit "${id}": "window" must be a duration such as "1m".`);
+  return {
+    id,
+    by: rule.by,
+    routes: rule.routes ? rule.routes.map(compileRoute) : null,
+    limit: rule.limit,
+    windowMs,
+    algorithm,
+    keys
+  };
+}
+
+class RateLimiter {
+  constructor({
+    file = process.env.RATE_LIMITS_FILE,
+    json = process.env.RATE_LIMITS,
+    store = new MemoryRateLimitStore(),
+    sweepIntervalMs = 60 * 1000
+  } = {}) {
+    this.file = file;
+    this.json = json;
+    this.store = store;
+    this.sweepIntervalMs = sweepIntervalMs;
+    this.rules = [];
+    this.timer = null;
+    this.reload();
+  }
+
+  /**
+   * (Re)loads the rules from the configured file or env var, or the defaults when
+   * neither is set. On an error the previously loaded rules stay active.
+   */
+  reload() {
+    try {
+      const rules = loadJsonList({ file: this.file, json: this.json });
+      this.rules = (rules.length ? rules : DEFAULT_RULES).map(compileRule);
+    } catch (error) {
+      log.error('Error loading rate limits', { error });
+      if (!this.rules.length) this.rules = DEFAULT_RULES.map(compileRule);
+    }
+  }
+
+  /**
+   * Starts evicting expired counters.
+   */
+  start() {
+    clearInterval(this.timer);
+    this.timer = setInterval(() => {
+      this.store.sweep().catch(error => log.error('Error evicting rate limit counters', { error }));
+    }, this.sweepIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  findRule(by, req) {
+    return this.rules.find(rule => rule.by === by
+      && (!rule.routes || rule.routes.some(route => (!route.method || route.method === req.method) && route.regex.test(req.path))))
+      || null;
+  }
+
+  /**
+   * Middleware counting requests per client address (`by` "ip") or per API key (`by`
+   * "key", for routes behind requireAuth).
+   */
+  middleware(by) {
+    return async (req, res, next) => {
+      const rule = this.findRule(by, req);
+      const identity = by === 'key' ? req.apiKey?.id : req.ip;
+      const limit = rule && identity !== undefined && (by === 'key' && identity in rule.keys ? rule.keys[identity] : rule.limit);
+      if (!limit) return next();
+
+      let result;
+      try {
+        const algorithm = ALGORITHMS[rule.algorithm];
+        result = await this.store.update(`${rule.id}:${identity}`, algorithm.ttlMs(rule.windowMs), state => (
+          algorithm.consume(state, { limit, windowMs: rule.windowMs }, Date.now())
+        ));
+      } catch (error) {
+        // Fail open: a broken counter store should not take the API down.
+        log.error('Error checking rate limit', { rule: rule.id, error });
+        return next();
+      }
+
+      // With both an address and a key limit, report whichever has less left.
+      const reported = res.get('RateLimit-Remaining');
+      if (reported === undefined || result.remaining <= Number(reported)) {
+        res.set({
+          'RateLimit-Limit': String(limit),
+          'RateLimit-Remaining': String(result.remaining),
+          'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+          'RateLimit-Policy': `${limit};w=${Math.round(rule.windowMs / 1000)}`
+        });
+      }
+      if (!result.allowed) {
+        res.set('Retry-After', String(Math.max(1, Math.ceil(result.retryAfterMs / 1000))));
+        return res.status(429).json({ error: "Rate limit exceeded. Try again later.", code: 'rate_limited' });
+      }
+      next();
+    };
+  }
+}
+
+/**
+ * Express's "trust proxy" setting from TRUST_PROXY: "true", a number of proxy hops, or
+ * a comma-separated list of proxy addresses/subnets (e.g. "loopback, 10.0.0.0/8").
+ * Unset trusts no proxy, so req.ip is the address of the direct peer.
+ */
+function trustProxySetting(value = process.env.TRUST_PROXY) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+module.exports = { RateLimiter, MemoryRateLimitStore, ALGORITHMS, trustProxySetting };
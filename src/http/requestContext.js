@@ -0,0 +1,65 @@
+const { generateId } = require('../utils/ids');
+const { logger, withContext } = require('../logger');
+
+// --------------------------- Request Context --------------------------- //
+//
+// Every request gets a correlation ID: the caller's X-Request-Id when it is a sensible
+// token (so an ID can be followed from the calling system), or a new one. It is sent
+// back in the X-Request-Id response header, attached to every log line the request
+// triggers and stored with the notifications it queues.
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+// Polled constantly by orchestrators and Prometheus; logged at debug level only.
+const QUIET_PATHS = new Set(['/health', '/ready', '/metrics']);
+
+const log = logger.child({ component: 'http' });
+
+/**
+ * Middleware running the rest of the request inside its logging context, and logging
+ * one line per request once the response has been sent.
+ */
+function requestContext() {
+  return (req, res, next) => {
+    const header = req.get(REQUEST_ID_HEADER);
+    const correlationId = header && VALID_REQUEST_ID.test(header) ? header : generateId();
+    const startedAt = process.hrtime.bigint();
+    req.id = correlationId;
+    res.set(REQUEST_ID_HEADER, correlationId);
+    res.on('finish', () => {
+      const fields = {
+        correlationId,
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+        keyId: req.apiKey?.id
+      };
+      if (QUIET_PATHS.has(req.path) && res.statusCode < 500) log.debug('HTTP request', fields);
+      else log.log(res.statusCode >= 500 ? 'warn' : 'info', 'HTTP request', fields);
+    });
+    withContext({ correlationId }, next);
+  };
+}
+
+/**
+ * Final error handler: logs errors that escaped a route and answers in JSON with the
+ * correlation ID, instead of Express's HTML error page. Also covers malformed bodies
+ * rejected by express.json().
+ */
+function errorHandler() {
+  // Express recognizes error handlers by their four parameters.
+  return (error, req, res, next) => {
+    const status = error.status || error.statusCode || 500;
+    if (status >= 500) log.error('Unhandled error in route', { error, method: req.method, path: req.path });
+    if (res.headersSent) return res.end();
+    res.status(status).json({
+      error: status >= 500 ? "Internal server error."
+        : error.type === 'entity.parse.failed' ? "Request body is not valid JSON."
+          : error.expose ? error.message : "Invalid request.",
+      requestId: req.id
+    });
+  };
+}
+
+module.exports = { requestContext, errorHandler, REQUEST_ID_HEADER };
@@ -0,0 +1,458 @@
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const { CUSTOM_IDS } = require('./customIds');
+const {
+  VOTES,
+  createReview,
+  castVote,
+  reviewOutcome,
+  buildTallyField,
+  buildVoteButtons,
+  buildVoteModal
+} = require('../applications/review');
+const { buildDecisionModal, readDecisionModal } = require('../applications/decision');
+const { buildHistoryDetail } = require('../applications/history');
+const { buildStatusEmbed } = require('../applications/limits');
+const { generateId } = require('../utils/ids');
+const { createKeyedLock } = require('../utils/lock');
+const { logger } = require('../logger');
+
+// Giveaway applications: /host-giveaway apply|status|withdraw, submission, moderator review (single click or
+// vote), contact channels and /applications.
+
+function buildApplicationModal() {
+  const inputs = [
+    new TextInputBuilder()
+      .setCustomId('giveawayTitle')
+      .setLabel('Giveaway Title')
+      .setStyle(TextInputStyle.Short)
+      .setRequired(true),
+    new TextInputBuilder()
+      .setCustomId('giveawayDescription')
+      .setLabel('Description / Contents')
+      .setStyle(TextInputStyle.Paragraph)
+      .setRequired(true),
+    new TextInputBuilder()
+      .setCustomId('giveawayDuration')
+      .setLabel('Duration (e.g., 1h, 30m)')
+      .setStyle(TextInputStyle.Short)
+      .setRequired(true),
+    new TextInputBuilder()
+      .setCustomId('giveawayConditions')
+      .setLabel('Entry Conditions (optional)')
+      .setStyle(TextInputStyle.Paragraph)
+      .setRequired(false)
+  ];
+  return new ModalBuilder()
+    .setCustomId(CUSTOM_IDS.giveawayModal.build())
+    .setTitle('Host Giveaway Application')
+    .addComponents(inputs.map(input => new ActionRowBuilder().addComponents(input)));
+}
+
+function buildReviewEmbed(application) {
+  return new EmbedBuilder()
+    .setTitle('New Giveaway Application')
+    .setDescription('A new giveaway application has been submitted and awaits review.')
+    .addFields(
+      { name: 'Title', value: application.title, inline: true },
+      { name: 'Description / Contents', value: application.description, inline: false },
+      { name: 'Duration', value: application.duration, inline: true },
+      { name: 'Conditions', value: application.conditions || 'None', inline: true },
+      { name: 'Applicant', value: `<@${application.applicantId}> (${application.applicantTag})`, inline: false }
+    )
+    .setTimestamp();
+}
+
+/**
+ * Buttons under the moderator review message; in vote mode moderators vote instead of
+ * deciding with a single click.
+ */
+function buildReviewComponents(applicationId, review) {
+  const contactButton = new ButtonBuilder()
+    .setCustomId(CUSTOM_IDS.contact.build(applicationId))
+    .setLabel('Contact User')
+    .setStyle(ButtonStyle.Primary);
+  const interviewButton = new ButtonBuilder()
+    .setCustomId(CUSTOM_IDS.startInterview.build(applicationId))
+    .setLabel('Start Interview')
+    .setStyle(ButtonStyle.Secondary);
+  if (review) {
+    return [
+      new ActionRowBuilder().addComponents(buildVoteButtons(applicationId)),
+      new ActionRowBuilder().addComponents(contactButton, interviewButton)
+    ];
+  }
+  return [new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(CUSTOM_IDS.approve.build(applicationId))
+      .setLabel('Approve')
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(CUSTOM_IDS.deny.build(applicationId))
+      .setLabel('Deny')
+      .setStyle(ButtonStyle.Danger),
+    contactButton,
+    interviewButton
+  )];
+}
+
+function createApplicationHandlers(ctx) {
+  const {
+    client,
+    store,
+    guildConfigs,
+    webhooks,
+    audit,
+    permissions,
+    contacts,
+    applicationHistory,
+    withApplicationLock,
+    findApplication,
+    applicationLimits,
+    decideApplication,
+    withdrawApplication,
+    buildDecidedEmbed,
+    applicationEventData,
+    createHistoryPager,
+    renderHistoryPage,
+    historyPagers,
+    defaultGuildId
+  } = ctx;
+
+  // Serializes an applicant's submissions, so a double click can't open two applications.
+  const withApplicantLock = createKeyedLock();
+
+  // Moderator approves or denies (single review mode): ask for the reason (and the
+  // reapply date when denying) before deciding.
+  async function showDecisionModal(interaction, { applicationId }, action) {
+    const application = await findApplication(applicationId);
+    if (application && application.status !== 'pending') {
+      return interaction.reply({ content: `This application has already been ${application.status}.`, ephemeral: true });
+    }
+    await interaction.showModal(buildDecisionModal(applicationId, action));
+  }
+
+  return [
+    // /host-giveaway apply|status|withdraw
+    {
+      type: 'command',
+      name: 'host-giveaway',
+      async run(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'apply') {
+          const allowed = await applicationLimits.checkApply(interaction.user.id, interaction.guildId);
+          if (!allowed.ok) {
+            return interaction.reply({ content: allowed.reason, ephemeral: true });
+          }
+          await interaction.showModal(buildApplicationModal());
+        } else if (subcommand === 'status') {
+          const status = await applicationLimits.status(interaction.user.id, interaction.guildId);
+          await interaction.reply({ embeds: [buildStatusEmbed(status)], ephemeral: true });
+        } else if (subcommand === 'withdraw') {
+          const id = interaction.options.getString('id')?.trim();
+          const [open] = id ? [await store.get('applications', id)] : await applicationLimits.openApplications(interaction.user.id, interaction.guildId);
+          if (!open || open.applicantId !== interaction.user.id || open.status === 'draft') {
+            return interaction.reply({ content: id ? 'Application not found.' : 'You have no application awaiting review.', ephemeral: true });
+          }
+          await withApplicationLock(open.id, async () => {
+            const application = await store.get('applications', open.id);
+            if (application.status !== 'pending') {
+              return interaction.reply({ content: `This application has already been ${application.status}.`, ephemeral: true });
+            }
+            await withdrawApplication(application);
+            await interaction.reply({ content: `Your application \`${application.id}\` (**${application.title}**) was withdrawn.`, ephemeral: true });
+          });
+        }
+      }
+    },
+    // The application form: stored as a draft until the applicant agrees to submit it.
+    {
+      type: 'modal',
+      customId: CUSTOM_IDS.giveawayModal,
+      async run(interaction) {
+        const allowed = await applicationLimits.checkApply(interaction.user.id, interaction.guildId);
+        if (!allowed.ok) {
+          return interaction.reply({ content: allowed.reason, ephemeral: true });
+        }
+        // Only the latest unconfirmed form is kept.
+        const drafts = await store.list('applications', app => app.applicantId === interaction.user.id
+          && app.status === 'draft'
+          && app.guildId === interaction.guildId);
+        await Promise.all(drafts.map(draft => store.delete('applications', draft.id)));
+        const application = {
+          id: generateId(),
+          status: 'draft',
+          title: interaction.fields.getTextInputValue('giveawayTitle'),
+          description: interaction.fields.getTextInputValue('giveawayDescription'),
+          duration: interaction.fields.getTextInputValue('giveawayDuration'),
+          conditions: interaction.fields.getTextInputValue('giveawayConditions'),
+          applicantId: interaction.user.id,
+          applicantTag: interaction.user.tag,
+          guildId: interaction.guildId,
+          createdAt: Date.now()
+        };
+        await store.set('applications', application.id, application);
+
+        const confirmButton = new ButtonBuilder()
+          .setCustomId(CUSTOM_IDS.agreeSubmission.build(application.id))
+          .setLabel('I Agree')
+          .setStyle(ButtonStyle.Primary);
+        await interaction.reply({
+          content: 'Your giveaway application details have been submitted for review. Please click **I Agree** to confirm and forward your application to the moderators.',
+          components: [new ActionRowBuilder().addComponents(confirmButton)],
+          ephemeral: true
+        });
+      }
+    },
+    // Applicant clicks "I Agree": forward the application to the moderator channel.
+    {
+      type: 'button',
+      customId: CUSTOM_IDS.agreeSubmission,
+      run: (interaction, { applicationId }) => withApplicantLock(interaction.user.id, async () => {
+        const draft = await store.get('applications', applicationId);
+        if (!draft || draft.status !== 'draft') {
+          return interaction.reply({ content: 'No pending giveaway application found.', ephemeral: true });
+        }
+        if (!(await permissions.check(interaction, 'application.submit', { ownerId: draft.applicantId }))) return;
+        const allowed = await applicationLimits.checkApply(interaction.user.id, draft.guildId);
+        if (!allowed.ok) {
+          return interaction.update({ content: allowed.reason, components: [] });
+        }
+
+        const config = await guildConfigs.get(draft.guildId || defaultGuildId);
+        const review = config.reviewMode === 'vote' ? createReview(config) : null;
+        const embed = buildReviewEmbed(draft);
+        if (review) embed.addFields(buildTallyField(review));
+        const modChannel = config.modChannelId
+          ? await client.channels.fetch(config.modChannelId).catch(() => null)
+          : null;
+        if (!modChannel) {
+          return interaction.reply({
+            content: 'This server has no moderator channel configured yet. Please ask an administrator to run `/config set mod-channel`.',
+            ephemeral: true
+          });
+        }
+        const modMessage = await modChannel.send({ embeds: [embed], components: buildReviewComponents(draft.id, review) });
+
+        const submitted = {
+          ...draft,
+          ...(review && { review }),
+          status: 'pending',
+          submittedAt: Date.now(),
+          modChannelId: modChannel.id,
+          modMessageId: modMessage.id
+        };
+        await store.set('applications', submitted.id, submitted);
+        webhooks.dispatch('application.submitted', applicationEventData(submitted));
+        await interaction.update({ content: 'Your giveaway application has been forwarded to the moderators for review.', components: [] });
+      })
+    },
+    {
+      type: 'button',
+      customId: CUSTOM_IDS.approve,
+      permission: 'application.decide',
+      run: (interaction, params) => showDecisionModal(interaction, params, 'approve')
+    },
+    {
+      type: 'button',
+      customId: CUSTOM_IDS.deny,
+      permission: 'application.decide',
+      run: (interaction, params) => showDecisionModal(interaction, params, 'deny')
+    },
+    // The approve/deny reason modal (single review mode)
+    {
+      type: 'modal',
+      customId: CUSTOM_IDS.decision,
+      permission: 'application.decide',
+      async run(interaction, { applicationId, action }) {
+        const { errors, reason, reapplyAt } = readDecisionModal(interaction.fields, action);
+        if (errors.length) {
+          return interaction.reply({ content: errors.join('\n'), ephemeral: true });
+        }
+        const status = action === 'approve' ? 'approved' : 'denied';
+        await withApplicationLock(applicationId, async () => {
+          const application = await findApplication(applicationId);
+          if (application && application.status !== 'pending') {
+            return interaction.reply({ content: `This application has already been ${application.status}.`, ephemeral: true });
+          }
+          const decided = await decideApplication(application, status, {
+            guildId: interaction.guildId,
+            decidedBy: interaction.user.id,
+            applicantId: application ? application.applicantId : applicationId,
+            reason,
+            reapplyAt
+          });
+          // Update the original moderator message and remove the buttons so they cannot be clicked again
+          await interaction.update({
+            embeds: [buildDecidedEmbed(interaction.message.embeds[0], status, { by: interaction.user.tag, reason, reapplyAt: decided?.reapplyAt })],
+            components: []
+          });
+          await interaction.followUp({ content: `Application ${status}.`, ephemeral: true });
+        });
+      }
+    },
+    // Moderator votes on an application (vote review mode): ask for an optional note
+    {
+      type: 'button',
+      customId: CUSTOM_IDS.vote,
+      async run(interaction, { applicationId, vote }) {
+        const application = await findApplication(applicationId);
+        if (!application || application.status !== 'pending' || !VOTES[vote]) {
+          return interaction.reply({ content: `This application has already been ${application?.status || 'removed'}.`, ephemeral: true });
+        }
+        if (!(await permissions.check(interaction, 'application.vote'))) return;
+        await interaction.showModal(buildVoteModal(applicationId, vote));
+      }
+    },
+    // A moderator's vote (with optional note)
+    {
+      type: 'modal',
+      customId: CUSTOM_IDS.voteNote,
+      permission: 'application.vote',
+      async run(interaction, { applicationId, vote }) {
+        await withApplicationLock(applicationId, async () => {
+          const application = await findApplication(applicationId);
+          if (!application || application.status !== 'pending' || !application.review || !VOTES[vote]) {
+            return interaction.reply({ content: 'This application is no longer open for voting.', ephemeral: true });
+          }
+          const note = interaction.fields.getTextInputValue('note').trim();
+          castVote(application.review, interaction.user.id, vote, note);
+          await audit.record({
+            action: 'application.vote',
+            guildId: interaction.guildId,
+            actorId: interaction.user.id,
+            targetId: application.applicantId,
+            details: { applicationId: application.id, vote, note }
+          });
+          const outcome = reviewOutcome(application.review);
+          const embed = EmbedBuilder.from(interaction.message.embeds[0]);
+          const tallyIndex = (embed.data.fields || []).findIndex(field => field.name === 'Moderator votes');
+          if (tallyIndex === -1) embed.addFields(buildTallyField(application.review));
+          else embed.spliceFields(tallyIndex, 1, buildTallyField(application.review));
+
+          if (outcome) {
+            // The notes of the moderators who voted for the outcome become the reason.
+            const notes = Object.values(application.review.votes)
+              .filter(v => v.note && v.vote === (outcome === 'approved' ? 'approve' : 'deny'))
+              .map(v => v.note);
+            const reason = notes.length ? notes.join('\n') : null;
+            const decided = await decideApplication(application, outcome, {
+              guildId: interaction.guildId,
+              decidedBy: 'vote',
+              applicantId: application.applicantId,
+              reason
+            });
+            await interaction.update({
+              embeds: [buildDecidedEmbed(embed, outcome, { by: 'moderator vote', reason, reapplyAt: decided.reapplyAt })],
+              components: []
+            });
+            await interaction.followUp({ content: `Your vote decided the review: application ${outcome}.`, ephemeral: true });
+          } else {
+            await store.set('applications', application.id, application);
+            await interaction.update({ embeds: [embed] });
+            await interaction.followUp({ content: `Your vote (${VOTES[vote].label.toLowerCase()}) was recorded.`, ephemeral: true });
+          }
+        });
+      }
+    },
+    // Moderator "Contact User": open (or reuse) a private channel with the applicant.
+    {
+      type: 'button',
+      customId: CUSTOM_IDS.contact,
+      permission: 'application.contact',
+      defer: true,
+      async run(interaction, { applicationId }) {
+        if (!interaction.guild) return interaction.editReply({ content: 'Guild not found.' });
+        const application = await findApplication(applicationId);
+        try {
+          const { channel, existing } = await contacts.open({
+            guild: interaction.guild,
+            applicantId: application ? application.applicantId : applicationId,
+            applicationId: application?.id,
+            moderator: interaction.user
+          });
+          await interaction.editReply({
+            content: existing
+              ? `This applicant already has an open contact channel: ${channel}.`
+              : `A private contact channel has been created: ${channel}.`
+          });
+        } catch (error) {
+          logger.error('Error creating contact channel', { component: 'interactions', error });
+          await interaction.editReply({ content: 'Failed to create a private contact channel.' });
+        }
+      }
+    },
+    // Moderator closes a contact channel
+    {
+      type: 'button',
+      customId: CUSTOM_IDS.closeContact,
+      async run(interaction, { channelId }) {
+        const contact = contacts.get(channelId);
+        if (!contact) {
+          return interaction.reply({ content: 'This contact channel is already closed.', ephemeral: true });
+        }
+        if (!(await permissions.check(interaction, 'contact.close'))) return;
+        await interaction.reply({ content: 'Closing this channel and archiving the transcript...', ephemeral: true });
+        await contacts.close(contact.channelId, { closedBy: interaction.user.id });
+      }
+    },
+    // /applications list|view|search
+    {
+      type: 'command',
+      name: 'applications',
+      permission: 'applications.browse',
+      async run(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        if (subcommand === 'view') {
+          const record = await applicationHistory.find(interaction.options.getString('id').trim());
+          if (!record || record.status === 'draft' || (record.guildId || defaultGuildId) !== interaction.guildId) {
+            return interaction.reply({ content: 'Application not found.', ephemeral: true });
+          }
+          return interaction.reply({ embeds: [buildHistoryDetail(record)], ephemeral: true });
+        }
+
+        const query = {
+          guildId: interaction.guildId,
+          type: interaction.options.getString('type') || undefined,
+          status: interaction.options.getString('status') || undefined
+        };
+        let title = 'Applications';
+        if (subcommand === 'search') {
+          query.text = interaction.options.getString('query').trim();
+          title = `Applications matching "${query.text.slice(0, 200)}"`;
+        } else {
+          const user = interaction.options.getUser('user');
+          if (user) {
+            query.userId = user.id;
+            title = `Applications from ${user.tag}`;
+          }
+        }
+        const pagerId = createHistoryPager({ query, title, userId: interaction.user.id });
+        await interaction.reply({ ...(await renderHistoryPage(pagerId, 0)), ephemeral: true });
+      }
+    },
+    // Previous/next page of an /applications result list
+    {
+      type: 'button',
+      customId: CUSTOM_IDS.appsPage,
+      async run(interaction, { pagerId, page }) {
+        const pager = historyPagers.get(pagerId);
+        if (!pager || pager.expiresAt <= Date.now()) {
+          return interaction.update({ content: 'These results have expired. Run the command again.', embeds: [], components: [] });
+        }
+        if (!(await permissions.check(interaction, 'results.page', { ownerId: pager.userId }))) return;
+        await interaction.update(await renderHistoryPage(pagerId, page));
+      }
+    }
+  ];
+}
+
+module.exports = { createApplicationHandlers };
@@ -0,0 +1,91 @@
+// ------------------------------ Custom IDs ------------------------------ //
+//
+// Every customId the bot puts on a button, select menu or modal is declared here as
+// `prefix_param1_param2`. Parameters are encoded so they never contain the separator,
+// and typed ("index:int") so handlers receive parsed values. Prefixes are unique and
+// contain no underscore, which lets the interaction registry look handlers up by prefix.
+// IDs generated with generateId() encode to themselves, so buttons posted before this
+// format existed keep working.
+
+const SEPARATOR = '_';
+
+const encodeParam = value => String(value).replace(/%/g, '%25').replace(/_/g, '%5F');
+const decodeParam = value => value.replace(/%5F/gi, '_').replace(/%25/g, '%');
+
+const PARAM_TYPES = {
+  string: value => value,
+  int: value => (/^-?\d+$/.test(value) ? Number(value) : undefined)
+};
+
+/**
+ * Declares a customId. `params` are names, optionally typed: ['applicationId', 'index:int'].
+ * Returns `{ prefix, build(...values), parse(customId) }`; `parse` returns the params as
+ * an object, or null if the customId doesn't match.
+ */
+function defineCustomId(prefix, params = []) {
+  if (prefix.includes(SEPARATOR)) throw new Error(`customId prefix "${prefix}" must not contain "${SEPARATOR}".`);
+  const specs = params.map(param => {
+    const [name, type = 'string'] = param.split(':');
+    return { name, convert: PARAM_TYPES[type] };
+  });
+
+  return {
+    prefix,
+    build(...values) {
+      if (values.length !== specs.length) {
+        throw new Error(`customId "${prefix}" takes ${specs.length} parameter(s), got ${values.length}.`);
+      }
+      return [prefix, ...values.map(encodeParam)].join(SEPARATOR);
+    },
+    parse(customId) {
+      const [head, ...parts] = customId.split(SEPARATOR);
+      if (head !== prefix || parts.length !== specs.length) return null;
+      const result = {};
+      for (const [i, { name, convert }] of specs.entries()) {
+        const value = convert(decodeParam(parts[i]));
+        if (value === undefined || value === '') return null;
+        result[name] = value;
+      }
+      return result;
+    }
+  };
+}
+
+/**
+ * The prefix a customId was built with.
+ */
+function customIdPrefix(customId) {
+  return customId.split(SEPARATOR, 1)[0];
+}
+
+const CUSTOM_IDS = {
+  // Giveaway applications
+  giveawayModal: defineCustomId('giveawayModal'),
+  agreeSubmission: defineCustomId('agreeSubmission', ['applicationId']),
+  approve: defineCustomId('approve', ['applicationId']),
+  deny: defineCustomId('deny', ['applicationId']),
+  decision: defineCustomId('decision', ['applicationId', 'action']),
+  vote: defineCustomId('vote', ['applicationId', 'vote']),
+  voteNote: defineCustomId('voteNote', ['applicationId', 'vote']),
+  contact: defineCustomId('contact', ['applicationId']),
+  closeContact: defineCustomId('closeContact', ['channelId']),
+  appsPage: defineCustomId('appsPage', ['pagerId', 'page:int']),
+  // Giveaway builder and giveaways
+  hostGiveaway: defineCustomId('hostGiveaway', ['userId']),
+  builderStep: defineCustomId('builderStep', ['step']),
+  submitGiveaway: defineCustomId('submitGiveaway'),
+  enterGiveaway: defineCustomId('enterGiveaway', ['giveawayId']),
+  // Interviews
+  startInterview: defineCustomId('startInterview', ['applicationId']),
+  interviewQuestions: defineCustomId('interviewQuestions'),
+  interviewAnswer: defineCustomId('interviewAnswer', ['sessionId', 'index:int']),
+  interviewAnswerModal: defineCustomId('interviewAnswerModal', ['sessionId', 'index:int']),
+  interviewSkip: defineCustomId('interviewSkip', ['sessionId', 'index:int']),
+  interviewClose: defineCustomId('interviewClose', ['sessionId']),
+  bookInterview: defineCustomId('bookInterview', ['guildId']),
+  interviewSlot: defineCustomId('interviewSlot', ['guildId']),
+  // Settings
+  templateEdit: defineCustomId('templateEdit', ['status', 'locale'])
+};
+
+module.exports = { CUSTOM_IDS, defineCustomId, customIdPrefix };
@@ -0,0 +1,249 @@
+const { CUSTOM_IDS, defineCustomId } = require('./customIds');
+const {
+  STEPS,
+  getStep,
+  createSession,
+  buildStepModal,
+  buildValidationReply,
+  buildStepReply,
+  isSessionComplete
+} = require('../giveaways/builder');
+const { buildGiveawayMessage } = require('../giveaways/messages');
+const { createKeyedLock } = require('../utils/lock');
+const { logger } = require('../logger');
+
+// Giveaways: the builder approved applicants use to configure theirs, entering, and
+// /giveaway end|cancel|reroll.
+
+const NO_SESSION_MESSAGE = 'No builder session found. Click **Host** again to start over.';
+
+function createGiveawayHandlers(ctx) {
+  const { client, store, guildConfigs, audit, permissions, giveawayManager, applicationLimits, defaultGuildId } = ctx;
+
+  // Serializes a host's submissions, so a double click can't post the giveaway twice.
+  const withHostLock = createKeyedLock();
+
+  async function submitGiveaway(interaction) {
+    const builderSession = await store.get('builderSessions', interaction.user.id);
+    if (!builderSession) {
+      return interaction.followUp({ content: NO_SESSION_MESSAGE, ephemeral: true });
+    }
+    if (!isSessionComplete(builderSession)) {
+      return interaction.followUp({ content: 'Please complete every step before submitting.', ephemeral: true });
+    }
+    const allowed = await applicationLimits.checkHost(interaction.user.id, builderSession.guildId);
+    if (!allowed.ok) {
+      return interaction.followUp({ content: allowed.reason, ephemeral: true });
+    }
+
+    const config = await guildConfigs.get(builderSession.guildId);
+    let giveawayChannel;
+    if (config.giveawayChannelId) {
+      try {
+        giveawayChannel = await client.channels.fetch(config.giveawayChannelId);
+      } catch (error) {
+        logger.error('Error fetching giveaway channel', { component: 'interactions', error });
+      }
+    }
+    if (!giveawayChannel) {
+      return interaction.followUp({
+        content: 'Giveaway channel not found. Please ask a server administrator to run `/config set giveaway-channel`.',
+        ephemeral: true
+      });
+    }
+
+    // The session is used up from here on; it is put back if the giveaway can't be posted.
+    await store.delete('builderSessions', interaction.user.id);
+    const hostUser = interaction.user;
+    let giveaway;
+    try {
+      giveaway = await giveawayManager.start({ channel: giveawayChannel, host: hostUser, data: builderSession.data });
+    } catch (error) {
+      logger.error('Error posting giveaway', { component: 'interactions', error });
+      await store.set('builderSessions', interaction.user.id, builderSession);
+      return interaction.followUp({ content: 'Failed to post the giveaway. Please try again.', ephemeral: true });
+    }
+
+    // Each approval is good for one giveaway.
+    const application = builderSession.applicationId && await store.get('applications', builderSession.applicationId);
+    if (application) {
+      await store.set('applications', application.id, { ...application, hostedGiveawayId: giveaway.id });
+    }
+
+    // Assign the configured "Giveaway Host" role to the user
+    if (config.hostRoleId) {
+      try {
+        const member = await giveawayChannel.guild.members.fetch(hostUser.id);
+        await member.roles.add(config.hostRoleId);
+        await audit.record({
+          action: 'role.granted',
+          guildId: giveawayChannel.guild.id,
+          targetId: hostUser.id,
+          details: { role: `<@&${config.hostRoleId}>`, reason: 'Hosted an approved giveaway' }
+        });
+      } catch (error) {
+        logger.error('Error assigning Giveaway Host role', { component: 'interactions', error });
+      }
+    }
+
+    await interaction.editReply({
+      content: 'Your giveaway has been successfully created and posted!',
+      embeds: [],
+      components: []
+    });
+  }
+
+  return [
+    // /giveaway end|cancel|reroll from the host or moderators
+    {
+      type: 'command',
+      name: 'giveaway',
+      async run(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const giveaway = giveawayManager.find(interaction.options.getString('id').trim());
+        if (!giveaway || giveaway.guildId !== interaction.guildId) {
+          return interaction.reply({ content: 'Giveaway not found.', ephemeral: true });
+        }
+        if (!(await permissions.check(interaction, 'giveaway.manage', { ownerId: giveaway.hostId }))) return;
+
+        if (subcommand === 'end') {
+          if (giveaway.status !== 'running') {
+            return interaction.reply({ content: 'This giveaway is not running.', ephemeral: true });
+          }
+          await interaction.deferReply({ ephemeral: true });
+          await giveawayManager.end(giveaway.id);
+          await audit.record({ action: 'giveaway.ended', guildId: interaction.guildId, actorId: interaction.user.id, targetId: giveaway.hostId, details: { giveawayId: giveaway.id } });
+          await interaction.editReply({ content: `Giveaway ended with ${giveaway.winnerIds.length} winner(s).` });
+        } else if (subcommand === 'cancel') {
+          if (giveaway.status !== 'running') {
+            return interaction.reply({ content: 'This giveaway is not running.', ephemeral: true });
+          }
+          await giveawayManager.cancel(giveaway.id);
+          await audit.record({ action: 'giveaway.cancelled', guildId: interaction.guildId, actorId: interaction.user.id, targetId: giveaway.hostId, details: { giveawayId: giveaway.id } });
+          await interaction.reply({ content: 'Giveaway cancelled.', ephemeral: true });
+        } else if (subcommand === 'reroll') {
+          if (giveaway.status !== 'ended') {
+            return interaction.reply({ content: 'Only ended giveaways can be rerolled.', ephemeral: true });
+          }
+          await interaction.deferReply({ ephemeral: true });
+          const result = await giveawayManager.reroll(giveaway.id, interaction.options.getInteger('winners'));
+          if (!result) {
+            // Deleted or no longer ended while the reply was being deferred.
+            return interaction.editReply({ content: 'This giveaway can no longer be rerolled.' });
+          }
+          const { newWinners } = result;
+          await audit.record({
+            action: 'giveaway.rerolled',
+            guildId: interaction.guildId,
+            actorId: interaction.user.id,
+            targetId: giveaway.hostId,
+            details: { giveawayId: giveaway.id, newWinners: newWinners.map(id => `<@${id}>`).join(', ') }
+          });
+          await interaction.editReply({
+            content: newWinners.length
+              ? `Rerolled ${newWinners.length} new winner(s).`
+              : 'There are no remaining entrants to draw from.'
+          });
+        }
+      }
+    },
+    // The "Host" button from an approval DM: start (or resume) the builder.
+    {
+      type: 'button',
+      customId: CUSTOM_IDS.hostGiveaway,
+      async run(interaction, { userId }) {
+        if (!(await permissions.check(interaction, 'giveaway.host', { ownerId: userId }))) return;
+        let builderSession = await store.get('builderSessions', interaction.user.id);
+        if (!builderSession) {
+          // Each approval is good for one giveaway, posted in the guild the application
+          // was approved in.
+          const approved = await store.list('applications', app => app.applicantId === interaction.user.id
+            && app.status === 'approved'
+            && !app.hostedGiveawayId);
+          const application = approved.sort((a, b) => b.decidedAt - a.decidedAt)[0];
+          if (!application) {
+            return interaction.reply({
+              content: 'You have no approved application left to host a giveaway with: each approval is good for one giveaway. '
+                + 'Apply again with `/host-giveaway apply`.',
+              ephemeral: true
+            });
+          }
+          builderSession = createSession(interaction.user.id);
+          builderSession.guildId = application.guildId || defaultGuildId;
+          builderSession.applicationId = application.id;
+          await store.set('builderSessions', interaction.user.id, builderSession);
+        }
+        await interaction.showModal(buildStepModal(getStep('basic'), builderSession.data));
+      }
+    },
+    // Builder navigation: "Next", "Edit" and "Try again" buttons all reopen a step's modal.
+    {
+      type: 'button',
+      customId: CUSTOM_IDS.builderStep,
+      async run(interaction, params) {
+        const builderSession = await store.get('builderSessions', interaction.user.id);
+        const step = getStep(params.step);
+        if (!builderSession || !step) {
+          return interaction.reply({ content: NO_SESSION_MESSAGE, ephemeral: true });
+        }
+        await interaction.showModal(buildStepModal(step, builderSession.data));
+      }
+    },
+    // Builder step submissions (basic info, entry requirements, visuals, messages)
+    ...STEPS.map(step => ({
+      type: 'modal',
+      customId: defineCustomId(step.modalId),
+      async run(interaction) {
+        const builderSession = await store.get('builderSessions', interaction.user.id);
+        if (!builderSession) {
+          return interaction.reply({ content: NO_SESSION_MESSAGE, ephemeral: true });
+        }
+        const { errors, data } = step.read(interaction.fields);
+        if (errors.length) {
+          return interaction.reply(buildValidationReply(step, errors));
+        }
+
+        Object.assign(builderSession.data, data);
+        if (!builderSession.completedSteps.includes(step.key)) {
+          builderSession.completedSteps.push(step.key);
+        }
+        await store.set('builderSessions', interaction.user.id, builderSession);
+        await interaction.reply(buildStepReply(builderSession, step));
+      }
+    })),
+    // Final step: post the giveaway and assign the host role.
+    {
+      type: 'button',
+      customId: CUSTOM_IDS.submitGiveaway,
+      async run(interaction) {
+        // Acknowledge first: posting the giveaway can take longer than Discord allows.
+        await interaction.deferUpdate();
+        await withHostLock(interaction.user.id, () => submitGiveaway(interaction));
+      }
+    },
+    // Entrant clicks the giveaway's "Enter" button
+    {
+      type: 'button',
+      customId: CUSTOM_IDS.enterGiveaway,
+      async run(interaction, { giveawayId }) {
+        const giveaway = giveawayManager.find(giveawayId);
+        if (!giveaway) {
+          return interaction.reply({ content: 'This giveaway no longer exists.', ephemeral: true });
+        }
+        let member = interaction.member;
+        if (!member?.joinedTimestamp) {
+          member = await interaction.guild.members.fetch(interaction.user.id);
+        }
+        const result = await giveawayManager.enter(giveaway, member);
+        if (!result.ok) {
+          return interaction.reply({ content: result.reason, ephemeral: true });
+        }
+        // Refresh the entry count on the giveaway message, then confirm privately.
+        await interaction.update(buildGiveawayMessage(giveaway));
+        await interaction.followUp({ content: result.confirmation, ephemeral: true });
+      }
+    }
+  ];
+}
+
+module.exports = { createGiveawayHandlers };
@@ -0,0 +1,302 @@
+const { CUSTOM_IDS } = require('./customIds');
+const { describeSlot, buildBookingPrompt, buildBookingConfirmation } = require('../interviews/messages');
+const {
+  DEFAULT_INTERVIEW_QUESTIONS,
+  parseQuestions,
+  buildQuestionsModal,
+  buildInterviewIntro,
+  buildAnsweredQuestion,
+  buildAnswerModal
+} = require('../interviews/textInterview');
+const { createPrivateChannel } = require('../contacts/channels');
+const { isValidTimeZone, parseZonedTime } = require('../utils/timezone');
+const { isHttpUrl } = require('../utils/validation');
+const { logger } = require('../logger');
+
+// Interviews: /interviews slot management, booking from the approval DM, and text
+// interviews run in a private channel.
+
+const ALREADY_ANSWERED_MESSAGE = 'This question has already been answered or the interview has ended.';
+
+function createInterviewHandlers(ctx) {
+  const {
+    guildConfigs,
+    webhooks,
+    audit,
+    permissions,
+    applicants,
+    interviews,
+    interviewSessions,
+    findApplication,
+    askNextQuestion,
+    closeTextInterview,
+    bookableStatuses
+  } = ctx;
+
+  return [
+    // /interviews add-slot|list|questions|remove-slot (moderators)
+    {
+      type: 'command',
+      name: 'interviews',
+      permission: 'interviews.manage',
+      async run(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'add-slot') {
+          const timeZone = interaction.options.getString('timezone')?.trim() || 'UTC';
+          if (!isValidTimeZone(timeZone)) {
+            return interaction.reply({ content: 'Unknown time zone. Use an IANA name such as `Europe/Madrid` or `America/New_York`.', ephemeral: true });
+          }
+          const startsAt = parseZonedTime(interaction.options.getString('start'), timeZone);
+          if (startsAt === null) {
+            return interaction.reply({ content: 'Invalid start time. Use `YYYY-MM-DD HH:mm`, e.g. `2025-06-01 18:00`.', ephemeral: true });
+          }
+          const link = interaction.options.getString('link')?.trim();
+          if (link && !isHttpUrl(link)) {
+            return interaction.reply({ content: 'The meeting link must be an http(s) URL.', ephemeral: true });
+          }
+          const result = await interviews.addSlot({
+            guildId: interaction.guildId,
+            interviewerId: (interaction.options.getUser('interviewer') || interaction.user).id,
+            startsAt,
+            durationMinutes: interaction.options.getInteger('duration') || 30,
+            timeZone,
+            meetingChannel: interaction.options.getChannel('channel')?.id || link || null,
+            createdBy: interaction.user.id
+          });
+          if (!result.ok) {
+            return interaction.reply({ content: result.reason, ephemeral: true });
+          }
+          await audit.record({
+            action: 'interview.slot_added',
+            guildId: interaction.guildId,
+            actorId: interaction.user.id,
+            targetId: result.slot.interviewerId,
+            details: { slotId: result.slot.id, startsAt: new Date(result.slot.startsAt).toISOString() }
+          });
+          await interaction.reply({ content: `Slot published: ${describeSlot(result.slot)}`, ephemeral: true });
+        } else if (subcommand === 'list') {
+          const slots = interviews.list({ guildId: interaction.guildId, from: Date.now() })
+            .filter(slot => slot.status !== 'cancelled');
+          await interaction.reply({
+            content: slots.length
+              ? `**Upcoming interview slots:**\n${slots.map(describeSlot).join('\n')}`.slice(0, 2000)
+              : 'There are no upcoming interview slots. Publish one with `/interviews add-slot`.',
+            ephemeral: true
+          });
+        } else if (subcommand === 'questions') {
+          const { interviewQuestions } = await guildConfigs.get(interaction.guildId);
+          await interaction.showModal(buildQuestionsModal(interviewQuestions.length ? interviewQuestions : DEFAULT_INTERVIEW_QUESTIONS));
+        } else if (subcommand === 'remove-slot') {
+          const slot = interviews.get(interaction.options.getString('id').trim());
+          if (!slot || slot.guildId !== interaction.guildId || slot.status === 'cancelled') {
+            return interaction.reply({ content: 'Slot not found.', ephemeral: true });
+          }
+          const wasBooked = slot.status === 'booked';
+          await interviews.cancelSlot(slot.id);
+          await audit.record({
+            action: 'interview.slot_removed',
+            guildId: interaction.guildId,
+            actorId: interaction.user.id,
+            targetId: wasBooked ? slot.applicantId : slot.interviewerId,
+            details: { slotId: slot.id, startsAt: new Date(slot.startsAt).toISOString(), wasBooked }
+          });
+          await interaction.reply({
+            content: wasBooked
+              ? `Slot removed. <@${slot.applicantId}> has been asked to book another time.`
+              : 'Slot removed.',
+            ephemeral: true
+          });
+        }
+      }
+    },
+    // The /interviews questions modal
+    {
+      type: 'modal',
+      customId: CUSTOM_IDS.interviewQuestions,
+      permission: 'interviews.manage',
+      async run(interaction) {
+        const { errors, questions } = parseQuestions(interaction.fields.getTextInputValue('questions'));
+        if (errors.length) {
+          return interaction.reply({ content: errors.join('\n'), ephemeral: true });
+        }
+        await guildConfigs.update(interaction.guildId, { interviewQuestions: questions });
+        await audit.record({
+          action: 'config.updated',
+          guildId: interaction.guildId,
+          actorId: interaction.user.id,
+          details: { 'Interview questions': `${questions.length} question(s)` }
+        });
+        await interaction.reply({
+          content: `Saved ${questions.length} interview question(s):\n${questions.map((q, i) => `${i + 1}. ${q}`).join('\n')}`.slice(0, 2000),
+          ephemeral: true
+        });
+      }
+    },
+    // Approved applicant opens the interview booking menu (from their approval DM)
+    {
+      type: 'button',
+      customId: CUSTOM_IDS.bookInterview,
+      async run(interaction, { guildId }) {
+        const applicant = await applicants.get(interaction.user.id);
+        if (!bookableStatuses.includes(applicant?.status)) {
+          return interaction.reply({ content: 'Only approved applicants can book an interview.', ephemeral: true });
+        }
+        const slots = interviews.openSlots(guildId);
+        if (!slots.length) {
+          return interaction.reply({
+            content: 'There are no open interview slots right now. A moderator will publish more soon; try again later.',
+            ephemeral: true
+          });
+        }
+        await interaction.reply({
+          ...buildBookingPrompt(guildId, slots, interviews.bookingFor(guildId, interaction.user.id)),
+          ephemeral: true
+        });
+      }
+    },
+    // Slot picked from the booking menu
+    {
+      type: 'select',
+      customId: CUSTOM_IDS.interviewSlot,
+      async run(interaction) {
+        const applicant = await applicants.get(interaction.user.id);
+        if (!bookableStatuses.includes(applicant?.status)) {
+          return interaction.update({ content: 'Only approved applicants can book an interview.', components: [] });
+        }
+        const result = await interviews.book(interaction.values[0], interaction.user.id);
+        if (!result.ok) {
+          return interaction.reply({ content: result.reason, ephemeral: true });
+        }
+        await interaction.update(buildBookingConfirmation(result.slot, result.previous));
+      }
+    },
+    // Moderator starts a text interview from the application embed
+    {
+      type: 'button',
+      customId: CUSTOM_IDS.startInterview,
+      permission: 'interviews.manage',
+      async run(interaction, { applicationId }) {
+        const application = await findApplication(applicationId);
+        if (!application) {
+          return interaction.reply({ content: 'Application not found.', ephemeral: true });
+        }
+        const active = await interviewSessions.findActive(interaction.guildId, application.applicantId);
+        if (active) {
+          return interaction.reply({ content: `An interview with this applicant is already running in <#${active.channelId}>.`, ephemeral: true });
+        }
+        await interaction.deferReply({ ephemeral: true });
+        const { interviewQuestions } = await guildConfigs.get(interaction.guildId);
+        let channel;
+        try {
+          channel = await createPrivateChannel(interaction.guild, guildConfigs, {
+            name: `interview-${application.applicantId.slice(-4)}`,
+            memberIds: [application.applicantId, interaction.user.id]
+          });
+        } catch (error) {
+          logger.error('Error creating interview channel', { component: 'interactions', error });
+          return interaction.editReply({ content: 'Failed to create the interview channel.' });
+        }
+        const session = await interviewSessions.create({
+          guildId: interaction.guildId,
+          applicationId: application.id,
+          applicantId: application.applicantId,
+          moderatorId: interaction.user.id,
+          channelId: channel.id,
+          questions: interviewQuestions.length ? interviewQuestions : DEFAULT_INTERVIEW_QUESTIONS
+        });
+        await channel.send(buildInterviewIntro(session));
+        await askNextQuestion(channel, session);
+        webhooks.dispatch('interview.started', {
+          id: session.id,
+          guildId: session.guildId,
+          applicationId: session.applicationId,
+          applicantId: session.applicantId,
+          moderatorId: session.moderatorId,
+          channelId: session.channelId
+        });
+        await audit.record({
+          action: 'interview.started',
+          guildId: session.guildId,
+          actorId: session.moderatorId,
+          targetId: session.applicantId,
+          details: { sessionId: session.id, channel: `<#${session.channelId}>` }
+        });
+        await interaction.editReply({ content: `Interview started in ${channel}.` });
+      }
+    },
+    // Applicant clicks "Answer" under an interview question
+    {
+      type: 'button',
+      customId: CUSTOM_IDS.interviewAnswer,
+      async run(interaction, { sessionId, index }) {
+        const session = await interviewSessions.get(sessionId);
+        if (!session) {
+          return interaction.reply({ content: 'This interview was not found.', ephemeral: true });
+        }
+        if (!(await permissions.check(interaction, 'interview.answer', { ownerId: session.applicantId }))) return;
+        if (session.status !== 'active' || session.currentIndex !== index) {
+          return interaction.reply({ content: ALREADY_ANSWERED_MESSAGE, ephemeral: true });
+        }
+        await interaction.showModal(buildAnswerModal(session, index));
+      }
+    },
+    // The applicant's answer
+    {
+      type: 'modal',
+      customId: CUSTOM_IDS.interviewAnswerModal,
+      async run(interaction, { sessionId, index }) {
+        const session = await interviewSessions.get(sessionId);
+        if (!session) {
+          return interaction.reply({ content: 'This interview was not found.', ephemeral: true });
+        }
+        if (!(await permissions.check(interaction, 'interview.answer', { ownerId: session.applicantId }))) return;
+        const answer = interaction.fields.getTextInputValue('answer').trim();
+        const answered = await interviewSessions.recordAnswer(sessionId, index, { answer });
+        if (!answered) {
+          return interaction.reply({ content: ALREADY_ANSWERED_MESSAGE, ephemeral: true });
+        }
+        await interaction.update(buildAnsweredQuestion(answered, index));
+        await askNextQuestion(interaction.channel, answered);
+      }
+    },
+    // Moderator skips an interview question
+    {
+      type: 'button',
+      customId: CUSTOM_IDS.interviewSkip,
+      permission: 'interviews.manage',
+      async run(interaction, { sessionId, index }) {
+        const session = await interviewSessions.get(sessionId);
+        if (!session) {
+          return interaction.reply({ content: 'This interview was not found.', ephemeral: true });
+        }
+        const answered = await interviewSessions.recordAnswer(sessionId, index, { skippedBy: interaction.user.id });
+        if (!answered) {
+          return interaction.reply({ content: ALREADY_ANSWERED_MESSAGE, ephemeral: true });
+        }
+        await interaction.update(buildAnsweredQuestion(answered, index));
+        await askNextQuestion(interaction.channel, answered);
+      }
+    },
+    // Moderator ends a text interview and files the transcript
+    {
+      type: 'button',
+      customId: CUSTOM_IDS.interviewClose,
+      permission: 'interviews.manage',
+      async run(interaction, { sessionId }) {
+        const session = await interviewSessions.get(sessionId);
+        if (!session || session.status !== 'active') {
+          return interaction.reply({ content: 'This interview has already ended.', ephemeral: true });
+        }
+        await interaction.deferUpdate();
+        await closeTextInterview(session, interaction.user.id);
+        await interaction.editReply({ components: [] });
+        await interaction.followUp({
+          content: `Interview ended by <@${interaction.user.id}>. The transcript has been saved${session.transcriptMessageId ? ' to the moderator channel' : ''}.`
+        });
+      }
+    }
+  ];
+}
+
+module.exports = { createInterviewHandlers };
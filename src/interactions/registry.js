@@ -0,0 +1,139 @@
+const { EventEmitter } = require('events');
+const { customIdPrefix } = require('./customIds');
+const { logger, withContext } = require('../logger');
+
+// ------------------------- Interaction Registry ------------------------- //
+//
+// Routes slash commands, buttons, select menus and modals to the handler declared for
+// them. A handler is a plain object:
+//
+//   { type: 'command', name: 'config', run(interaction) }
+//   { type: 'button' | 'select' | 'modal', customId: CUSTOM_IDS.approve, run(interaction, params) }
+//
+// with optional `permission` (an action from src/permissions.js, checked before the
+// handler runs) and `defer: true` (acknowledge with an ephemeral "thinking" reply first,
+// for handlers that take longer than Discord's 3 seconds; they answer with editReply).
+// Every handler runs inside the same wrapper, so a thrown error is logged and the user
+// gets an ephemeral error instead of "This interaction failed". A 'handled' event
+// reports `{ type, name, outcome }` for every interaction, where outcome is 'ok',
+// 'error', 'denied' (permission check failed) or 'stale' (unknown or malformed customId).
+//
+// Each interaction is handled inside a logging context whose correlationId is the
+// interaction's ID, so everything it triggers (DMs, audit entries, webhook deliveries)
+// can be traced back to the click or command. Error replies quote it as a reference.
+
+const ERROR_MESSAGE = 'Something went wrong while handling this. Please try again later.';
+const STALE_MESSAGE = 'This action is no longer available.';
+
+const log = logger.child({ component: 'interactions' });
+
+function interactionType(interaction) {
+  if (interaction.isChatInputCommand()) return 'command';
+  if (interaction.isButton()) return 'button';
+  if (interaction.isStringSelectMenu()) return 'select';
+  if (interaction.isModalSubmit()) return 'modal';
+  return null;
+}
+
+/**
+ * Answers ephemerally whatever state the interaction is in.
+ */
+async function replyEphemeral(interaction, content, { deferredReply = false } = {}) {
+  if (deferredReply && !interaction.replied) return interaction.editReply({ content });
+  if (interaction.replied || interaction.deferred) return interaction.followUp({ content, ephemeral: true });
+  return interaction.reply({ content, ephemeral: true });
+}
+
+class InteractionRegistry extends EventEmitter {
+  constructor({ permissions }) {
+    super();
+    this.permissions = permissions;
+    // "type:name" for commands, "type:prefix" for components and modals.
+    this.handlers = new Map();
+  }
+
+  add(...handlers) {
+    for (const handler of handlers) {
+      const key = `${handler.type}:${handler.type === 'command' ? handler.name : handler.customId.prefix}`;
+      if (this.handlers.has(key)) throw new Error(`Duplicate interaction handler "${key}".`);
+      this.handlers.set(key, handler);
+    }
+    return this;
+  }
+
+  /**
+   * Finds the handler for an interaction and its parsed customId parameters.
+   * Returns null for interactions nothing is registered for.
+   */
+  resolve(interaction) {
+    const type = interactionType(interaction);
+    if (!type) return null;
+    if (type === 'command') {
+      const handler = this.handlers.get(`command:${interaction.commandName}`);
+      return handler ? { handler, params: {} } : null;
+    }
+    const handler = this.handlers.get(`${type}:${customIdPrefix(interaction.customId)}`);
+    if (!handler) return null;
+    return { handler, params: handler.customId.parse(interaction.customId) };
+  }
+
+  /**
+   * The `interactionCreate` listener.
+   */
+  handle(interaction) {
+    const context = {
+      correlationId: interaction.id,
+      interactionType: interactionType(interaction) || 'other',
+      // customIds can embed user IDs, so only their prefix is logged.
+      interaction: interaction.commandName || (interaction.customId ? customIdPrefix(interaction.customId) : null),
+      guildId: interaction.guildId,
+      userId: interaction.user.id
+    };
+    return withContext(context, () => this.dispatch(interaction, context));
+  }
+
+  async dispatch(interaction, context) {
+    const startedAt = Date.now();
+    const resolved = this.resolve(interaction);
+    if (!resolved) {
+      if (interaction.isRepliable()) {
+        await interaction.reply({ content: STALE_MESSAGE, ephemeral: true }).catch(() => null);
+      }
+      log.info('Interaction handled', { outcome: 'stale', durationMs: Date.now() - startedAt });
+      this.emit('handled', { type: context.interactionType, name: context.interaction, outcome: 'stale' });
+      return;
+    }
+    const { handler, params } = resolved;
+    const name = handler.type === 'command' ? handler.name : handler.customId.prefix;
+    let deferredReply = false;
+    let outcome = 'ok';
+    try {
+      if (!params) {
+        // A known prefix with malformed parameters: an old or forged customId.
+        outcome = 'stale';
+        await replyEphemeral(interaction, STALE_MESSAGE);
+        return;
+      }
+      if (handler.permission && !(await this.permissions.check(interaction, handler.permission))) {
+        outcome = 'denied';
+        return;
+      }
+      if (handler.defer) {
+        await interaction.deferReply({ ephemeral: true });
+        deferredReply = true;
+      }
+      await handler.run(interaction, params);
+    } catch (error) {
+      outcome = 'error';
+      log.error('Error handling interaction', { error });
+      await replyEphemeral(interaction, `${ERROR_MESSAGE} (Reference: ${interaction.id})`, { deferredReply }).catch(replyError => {
+        log.error('Could not report the interaction error', { error: replyError });
+      });
+    } finally {
+      log.info('Interaction handled', { outcome, durationMs: Date.now() - startedAt });
+      this.emit('handled', { type: handler.type, name, outcome });
+    }
+  }
+}
+
+module.exports = { InteractionRegistry, replyEphemeral };
@@ -0,0 +1,200 @@
+const { EmbedBuilder } = require('discord.js');
+const { CUSTOM_IDS } = require('./customIds');
+const {
+  DEFAULT_CONFIG,
+  SETTINGS,
+  OPTION_SETTINGS,
+  describeConfig
+} = require('../config/guildConfig');
+const {
+  DEFAULT_LOCALE,
+  SAMPLE_PAYLOAD,
+  isValidLocale,
+  buildTemplateModal,
+  readTemplateModal,
+  validateTemplate,
+  buildValues,
+  renderTemplate
+} = require('../notifications/templates');
+const { parseDuration } = require('../utils/duration');
+
+// Settings: /config (administrators), /templates (server managers) and /language.
+
+const INVALID_LOCALE_MESSAGE = 'Invalid locale. Use a code such as `en` or `pt-BR`.';
+
+function renderPreview(interaction, status, template) {
+  return renderTemplate(template, buildValues({
+    discordId: interaction.user.id,
+    username: interaction.user.username,
+    status,
+    payload: SAMPLE_PAYLOAD
+  }));
+}
+
+function createSettingsHandlers(ctx) {
+  const { guildConfigs, templates, contacts, audit } = ctx;
+
+  return [
+    // /config (administrators only; also enforced by the command's default permissions)
+    {
+      type: 'command',
+      name: 'config',
+      permission: 'config.manage',
+      async run(interaction) {
+        const group = interaction.options.getSubcommandGroup(false);
+        const subcommand = interaction.options.getSubcommand();
+        const previous = await guildConfigs.get(interaction.guildId);
+        let config = previous;
+        let message;
+
+        if (group === 'set' && subcommand === 'contact-close-action') {
+          config = await guildConfigs.update(interaction.guildId, { contactCloseAction: interaction.options.getString('action') });
+          message = `${OPTION_SETTINGS.contactCloseAction} setting updated.`;
+        } else if (group === 'set' && subcommand === 'contact-inactivity') {
+          const duration = interaction.options.getString('duration').trim().toLowerCase();
+          if (duration !== 'off' && !parseDuration(duration)) {
+            return interaction.reply({ content: 'Use a duration such as `12h`, `3d` or `1w`, or `off`.', ephemeral: true });
+          }
+          config = await guildConfigs.update(interaction.guildId, { contactInactivity: duration === 'off' ? null : duration });
+          await contacts.rescheduleGuild(interaction.guildId);
+          message = `${OPTION_SETTINGS.contactInactivity} updated.`;
+        } else if (group === 'set' && subcommand === 'denial-cooldown') {
+          const duration = interaction.options.getString('duration').trim().toLowerCase();
+          if (duration !== 'off' && !parseDuration(duration)) {
+            return interaction.reply({ content: 'Use a duration such as `14d` or `4w`, or `off`.', ephemeral: true });
+          }
+          config = await guildConfigs.update(interaction.guildId, { denialCooldown: duration === 'off' ? null : duration });
+          message = `${OPTION_SETTINGS.denialCooldown} updated. It applies to denials from now on.`;
+        } else if (group === 'set' && subcommand === 'host-limit') {
+          const limit = interaction.options.getInteger('giveaways');
+          config = await guildConfigs.update(interaction.guildId, { maxRunningGiveaways: limit || null });
+          message = `${OPTION_SETTINGS.maxRunningGiveaways} updated.`;
+        } else if (group === 'set' && subcommand === 'review') {
+          const changes = { reviewMode: interaction.options.getString('mode') };
+          const quorum = interaction.options.getInteger('quorum');
+          const threshold = interaction.options.getInteger('threshold');
+          if (quorum !== null) changes.reviewQuorum = quorum;
+          if (threshold !== null) changes.reviewThreshold = threshold;
+          config = await guildConfigs.update(interaction.guildId, changes);
+          message = `${OPTION_SETTINGS.reviewMode} updated. It applies to applications submitted from now on.`;
+        } else if (group === 'set') {
+          const settings = {
+            'mod-channel': ['modChannelId', () => interaction.options.getChannel('channel').id],
+            'giveaway-channel': ['giveawayChannelId', () => interaction.options.getChannel('channel').id],
+            'host-role': ['hostRoleId', () => interaction.options.getRole('role').id],
+            'contact-category': ['contactCategoryId', () => interaction.options.getChannel('category').id],
+            'audit-channel': ['auditChannelId', () => interaction.options.getChannel('channel').id]
+          };
+          const [key, getValue] = settings[subcommand];
+          config = await guildConfigs.update(interaction.guildId, { [key]: getValue() });
+          message = `${SETTINGS[key]} updated.`;
+        } else if (group === 'moderator-roles') {
+          const roleId = interaction.options.getRole('role').id;
+          const roles = new Set(config.moderatorRoleIds);
+          if (subcommand === 'add') roles.add(roleId);
+          else roles.delete(roleId);
+          config = await guildConfigs.update(interaction.guildId, { moderatorRoleIds: [...roles] });
+          message = `Moderator role ${subcommand === 'add' ? 'added' : 'removed'}.`;
+        } else if (subcommand === 'reset') {
+          const key = interaction.options.getString('setting');
+          config = await guildConfigs.update(interaction.guildId, { [key]: DEFAULT_CONFIG[key] });
+          if (key === 'contactInactivity') await contacts.rescheduleGuild(interaction.guildId);
+          message = `${SETTINGS[key] || OPTION_SETTINGS[key] || 'Moderator roles'} reset.`;
+        }
+
+        const changed = Object.keys(DEFAULT_CONFIG).filter(key => JSON.stringify(previous[key]) !== JSON.stringify(config[key]));
+        if (changed.length) {
+          await audit.record({
+            action: 'config.updated',
+            guildId: interaction.guildId,
+            actorId: interaction.user.id,
+            details: Object.fromEntries(changed.map(key => [
+              SETTINGS[key] || OPTION_SETTINGS[key] || key,
+              `${JSON.stringify(previous[key])} → ${JSON.stringify(config[key])}`
+            ]))
+          });
+        }
+
+        const embed = new EmbedBuilder()
+          .setTitle(`Configuration for ${interaction.guild.name}`)
+          .setDescription(describeConfig(config))
+          .setColor('Blue');
+        await interaction.reply({ content: message, embeds: [embed], ephemeral: true });
+      }
+    },
+    // /templates preview|edit|reset (server managers)
+    {
+      type: 'command',
+      name: 'templates',
+      permission: 'templates.manage',
+      async run(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const status = interaction.options.getString('status');
+        const locale = interaction.options.getString('locale') || DEFAULT_LOCALE;
+        if (!isValidLocale(locale)) {
+          return interaction.reply({ content: INVALID_LOCALE_MESSAGE, ephemeral: true });
+        }
+
+        if (subcommand === 'preview') {
+          const { template, source } = await templates.resolve(status, { guildId: interaction.guildId, locale });
+          const message = renderPreview(interaction, status, template);
+          await interaction.reply({
+            content: `**Preview of \`${status}\` (${source.locale}, ${source.scope === interaction.guildId ? 'this server' : source.scope}):**\n\n${message.content || ''}`.slice(0, 2000),
+            embeds: message.embeds || [],
+            ephemeral: true
+          });
+        } else if (subcommand === 'edit') {
+          const { template } = await templates.resolve(status, { guildId: interaction.guildId, locale });
+          await interaction.showModal(buildTemplateModal(status, locale, template));
+        } else if (subcommand === 'reset') {
+          const deleted = await templates.remove({ scope: interaction.guildId, locale, status });
+          if (deleted) {
+            await audit.record({ action: 'template.reset', guildId: interaction.guildId, actorId: interaction.user.id, details: { status, locale } });
+          }
+          await interaction.reply({
+            content: deleted
+              ? `This server's \`${status}\` template (${locale}) was removed; the default applies again.`
+              : `This server has no custom \`${status}\` template for ${locale}.`,
+            ephemeral: true
+          });
+        }
+      }
+    },
+    // The /templates edit modal
+    {
+      type: 'modal',
+      customId: CUSTOM_IDS.templateEdit,
+      permission: 'templates.manage',
+      async run(interaction, { status, locale }) {
+        const template = readTemplateModal(interaction.fields);
+        const errors = validateTemplate(template);
+        if (errors.length) {
+          return interaction.reply({ content: `The template was not saved:\n${errors.map(e => `• ${e}`).join('\n')}`, ephemeral: true });
+        }
+        await templates.save({ scope: interaction.guildId, locale, status, template, updatedBy: interaction.user.id });
+        await audit.record({ action: 'template.updated', guildId: interaction.guildId, actorId: interaction.user.id, details: { status, locale } });
+        const message = renderPreview(interaction, status, template);
+        await interaction.reply({
+          content: `Saved this server's \`${status}\` template (${locale}). Preview:\n\n${message.content || ''}`.slice(0, 2000),
+          embeds: message.embeds || [],
+          ephemeral: true
+        });
+      }
+    },
+    // /language: the user's preferred locale for notifications
+    {
+      type: 'command',
+      name: 'language',
+      async run(interaction) {
+        const locale = interaction.options.getString('locale').trim();
+        if (!isValidLocale(locale)) {
+          return interaction.reply({ content: INVALID_LOCALE_MESSAGE, ephemeral: true });
+        }
+        await templates.setUserLocale(interaction.user.id, locale);
+        await interaction.reply({ content: `Your notification language is now **${locale}**.`, ephemeral: true });
+      }
+    }
+  ];
+}
+
+module.exports = { createSettingsHandlers };
@@ -0,0 +1,58 @@
+// Minimal iCalendar (RFC 5545) export for booked interviews. Times are written in UTC
+// so every calendar app shows them in the reader's own time zone.
+
+function formatIcsTime(timestamp) {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds content lines longer than 75 octets, as the spec requires.
+ */
+function foldLine(line) {
+  const chunks = [];
+  let rest = Buffer.from(line, 'utf8');
+  let limit = 75;
+  while (rest.length > limit) {
+    let cut = limit;
+    // Don't split a multi-byte UTF-8 character.
+    while ((rest[cut] & 0xc0) === 0x80) cut--;
+    chunks.push(rest.subarray(0, cut).toString('utf8'));
+    rest = rest.subarray(cut);
+    limit = 74; // continuation lines start with a space
+  }
+  chunks.push(rest.toString('utf8'));
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Builds a single-event calendar for an interview slot.
+ */
+function buildInterviewIcs(slot, { summary = 'Moderator interview', description = '', location = '' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//discord-mod-notification-bot//interviews//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:interview-${slot.id}@discord-mod-notification-bot`,
+    `DTSTAMP:${formatIcsTime(slot.bookedAt || Date.now())}`,
+    `DTSTART:${formatIcsTime(slot.startsAt)}`,
+    `DTEND:${formatIcsTime(slot.startsAt + slot.durationMinutes * 60 * 1000)}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  lines.push('STATUS:CONFIRMED', 'END:VEVENT', 'END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildInterviewIcs };
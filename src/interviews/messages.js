@@ -0,0 +1,108 @@
+const {
+  ActionRowBuilder,
+  AttachmentBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder
+} = require('discord.js');
+const { isSnowflake } = require('../utils/validation');
+const { formatZonedTime } = require('../utils/timezone');
+const { formatDuration } = require('../utils/duration');
+const { buildInterviewIcs } = require('./ics');
+const { CUSTOM_IDS } = require('../interactions/customIds');
+
+// Discord allows at most 25 options in a select menu.
+const MAX_SLOT_OPTIONS = 25;
+
+function timestamp(time, style = 'F') {
+  return `<t:${Math.floor(time / 1000)}:${style}>`;
+}
+
+function formatLocation(meetingChannel) {
+  if (!meetingChannel) return null;
+  return isSnowflake(meetingChannel) ? `<#${meetingChannel}>` : meetingChannel;
+}
+
+/**
+ * One line per slot for moderator listings.
+ */
+function describeSlot(slot) {
+  const parts = [
+    `\`${slot.id}\``,
+    `${timestamp(slot.startsAt)} (${slot.durationMinutes} min)`,
+    `with <@${slot.interviewerId}>`,
+    slot.status === 'booked' ? `booked by <@${slot.applicantId}>` : slot.status
+  ];
+  return parts.join(' · ');
+}
+
+/**
+ * The "Book your interview" button added to approval DMs.
+ */
+function buildBookButton(guildId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(CUSTOM_IDS.bookInterview.build(guildId))
+      .setLabel('Book your interview')
+      .setEmoji('📅')
+      .setStyle(ButtonStyle.Primary)
+  );
+}
+
+/**
+ * Lists open slots and a select menu to book one. Discord timestamps in the message
+ * show each slot in the reader's own time zone; the menu labels (plain text) use the
+ * time zone the slot was published in.
+ */
+function buildBookingPrompt(guildId, slots, currentBooking) {
+  const shown = slots.slice(0, MAX_SLOT_OPTIONS);
+  const lines = shown.map((slot, index) => `**${index + 1}.** ${timestamp(slot.startsAt)} · ${slot.durationMinutes} min`);
+  const intro = currentBooking
+    ? `Your interview is booked for ${timestamp(currentBooking.startsAt)}. Pick another slot below to reschedule.`
+    : 'Pick a time for your moderator interview. Times below are shown in your own time zone.';
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(CUSTOM_IDS.interviewSlot.build(guildId))
+    .setPlaceholder('Choose an interview slot')
+    .addOptions(shown.map((slot, index) => ({
+      label: `${index + 1}. ${formatZonedTime(slot.startsAt, slot.timeZone)}`.slice(0, 100),
+      description: `${slot.durationMinutes} min · starts in ${formatDuration(Math.round((slot.startsAt - Date.now()) / 60000) * 60000)}`.slice(0, 100),
+      value: slot.id
+    })));
+  return {
+    content: `${intro}\n\n${lines.join('\n')}`.slice(0, 2000),
+    components: [new ActionRowBuilder().addComponents(menu)]
+  };
+}
+
+function buildIcsAttachment(slot) {
+  const location = formatLocation(slot.meetingChannel);
+  const ics = buildInterviewIcs(slot, {
+    description: 'Moderator interview booked through Discord.',
+    location: location && !isSnowflake(slot.meetingChannel) ? location : 'Discord'
+  });
+  return new AttachmentBuilder(Buffer.from(ics, 'utf8'), { name: `interview-${slot.id}.ics` });
+}
+
+/**
+ * Confirmation shown to the applicant after booking, with the calendar file attached.
+ */
+function buildBookingConfirmation(slot, previous) {
+  const location = formatLocation(slot.meetingChannel);
+  const lines = [
+    `✅ Your interview is ${previous ? 'rescheduled' : 'booked'} for ${timestamp(slot.startsAt)} (${timestamp(slot.startsAt, 'R')}).`,
+    `**Duration:** ${slot.durationMinutes} minutes`,
+    `**Interviewer:** <@${slot.interviewerId}>`
+  ];
+  if (location) lines.push(`**Where:** ${location}`);
+  lines.push('', 'Add it to your calendar with the attached file.');
+  return { content: lines.join('\n'), components: [], files: [buildIcsAttachment(slot)] };
+}
+
+module.exports = {
+  describeSlot,
+  formatLocation,
+  buildBookButton,
+  buildBookingPrompt,
+  buildBookingConfirmation,
+  buildIcsAttachment
+};
@@ -0,0 +1,219 @@
+const { EventEmitter } = require('events');
+const { scheduleAt } = require('../utils/timers');
+const { generateId } = require('../utils/ids');
+const { logger, withNewContext } = require('../logger');
+
+// ------------------------- Interview Scheduling ------------------------- //
+//
+// Moderators publish availability slots; approved applicants book one from a select
+// menu in their DMs. Slots live in the `interviewSlots` collection and move through:
+//
+//   open -> booked -> (open again if the applicant picks another slot)
+//        -> cancelled
+//
+// Slots are cached in memory and every check-and-update happens synchronously before
+// the write, so two applicants picking the same slot at once can't both get it.
+// Emits 'booked' (slot, previousSlot), 'cancelled' (slot, applicantId) and
+// 'reminder' (slot, offsetMs) when a reminder is due.
+
+const MIN_BOOKING_LEAD_MS = 15 * 60 * 1000;
+
+function overlaps(a, b) {
+  const endOf = slot => slot.startsAt + slot.durationMinutes * 60 * 1000;
+  return a.startsAt < endOf(b) && b.startsAt < endOf(a);
+}
+
+class InterviewScheduler extends EventEmitter {
+  constructor({ store, reminderOffsets = [] }) {
+    super();
+    this.store = store;
+    // Sorted largest first, e.g. [24h, 1h] in ms.
+    this.reminderOffsets = [...reminderOffsets].sort((a, b) => b - a);
+    this.slots = new Map();
+    this.timers = new Map();
+  }
+
+  /**
+   * Loads slots and re-arms reminders for upcoming bookings.
+   */
+  async restore() {
+    for (const slot of await this.store.list('interviewSlots')) {
+      this.slots.set(slot.id, slot);
+      if (slot.status === 'booked') this.scheduleReminders(slot);
+    }
+  }
+
+  save(slot) {
+    return this.store.set('interviewSlots', slot.id, slot);
+  }
+
+  get(id) {
+    return this.slots.get(id) || null;
+  }
+
+  /**
+   * Slots matching the filters, soonest first.
+   */
+  list({ guildId, status, applicantId, interviewerId, from, to } = {}) {
+    return [...this.slots.values()]
+      .filter(slot => (!guildId || slot.guildId === guildId)
+        && (!status || slot.status === status)
+        && (!applicantId || slot.applicantId === applicantId)
+        && (!interviewerId || slot.interviewerId === interviewerId)
+        && (from === undefined || slot.startsAt >= from)
+        && (to === undefined || slot.startsAt <= to))
+      .sort((a, b) => a.startsAt - b.startsAt);
+  }
+
+  /**
+   * Open slots in a guild that can still be booked.
+   */
+  openSlots(guildId) {
+    return this.list({ guildId, status: 'open', from: Date.now() + MIN_BOOKING_LEAD_MS });
+  }
+
+  /**
+   * The applicant's upcoming booking in a guild, if any.
+   */
+  bookingFor(guildId, applicantId) {
+    return this.list({ guildId, status: 'booked', applicantId, from: Date.now() })[0] || null;
+  }
+
+  /**
+   * Publishes a new slot. Refuses slots in the past and slots that overlap another
+   * slot of the same interviewer.
+   */
+  async addSlot({ guildId, interviewerId, startsAt, durationMinutes, timeZone, meetingChannel = null, createdBy }) {
+    if (startsAt <= Date.now()) {
+      return { ok: false, reason: 'The slot must start in the future.' };
+    }
+    const slot = {
+      id: generateId(),
+      guildId,
+      interviewerId,
+      startsAt,
+      durationMinutes,
+      timeZone,
+      meetingChannel,
+      status: 'open',
+      applicantId: null,
+      bookedAt: null,
+      remindersSent: [],
+      createdBy,
+      createdAt: Date.now()
+    };
+    const clash = this.list({ guildId, interviewerId })
+      .find(other => other.status !== 'cancelled' && overlaps(slot, other));
+    if (clash) {
+      return { ok: false, reason: `This overlaps slot \`${clash.id}\` of the same interviewer (<t:${Math.floor(clash.startsAt / 1000)}:F>).` };
+    }
+    this.slots.set(slot.id, slot);
+    await this.save(slot);
+    return { ok: true, slot };
+  }
+
+  /**
+   * Books a slot for an applicant. An applicant holds at most one upcoming interview
+   * per guild: booking another slot releases the previous one.
+   */
+  async book(slotId, applicantId) {
+    const slot = this.slots.get(slotId);
+    if (!slot || slot.status === 'cancelled') {
+      return { ok: false, reason: 'This slot no longer exists. Please pick another one.' };
+    }
+    if (slot.status === 'booked') {
+      return slot.applicantId === applicantId
+        ? { ok: false, reason: 'You have already booked this slot.' }
+        : { ok: false, reason: 'Sorry, someone else just booked this slot. Please pick another one.' };
+    }
+    if (slot.startsAt < Date.now() + MIN_BOOKING_LEAD_MS) {
+      return { ok: false, reason: 'This slot is too close to its start time to be booked.' };
+    }
+
+    const previous = this.bookingFor(slot.guildId, applicantId);
+    if (previous) this.release(previous);
+    Object.assign(slot, { status: 'booked', applicantId, bookedAt: Date.now(), remindersSent: [] });
+
+    if (previous) await this.save(previous);
+    await this.save(slot);
+    this.scheduleReminders(slot);
+    this.emit('booked', slot, previous);
+    return { ok: true, slot, previous };
+  }
+
+  release(slot) {
+    this.cancelReminders(slot.id);
+    Object.assign(slot, { status: 'open', applicantId: null, bookedAt: null, remindersSent: [] });
+  }
+
+  /**
+   * Withdraws a slot. If it was booked, 'cancelled' is emitted with the applicant's ID.
+   */
+  async cancelSlot(slotId) {
+    const slot = this.slots.get(slotId);
+    if (!slot || slot.status === 'cancelled') return null;
+    const applicantId = slot.status === 'booked' ? slot.applicantId : null;
+    this.cancelReminders(slot.id);
+    Object.assign(slot, { status: 'cancelled', cancelledAt: Date.now() });
+    await this.save(slot);
+    if (applicantId) this.emit('cancelled', slot, applicantId);
+    return slot;
+  }
+
+  /**
+   * Arms a timer for every reminder offset that hasn't fired yet. Offsets that had
+   * already passed when the slot was booked are skipped.
+   */
+  scheduleReminders(slot) {
+    this.cancelReminders(slot.id);
+    if (slot.startsAt <= Date.now()) return;
+    const handles = [];
+    for (const offset of this.reminderOffsets) {
+      const dueAt = slot.startsAt - offset;
+      if (dueAt < slot.bookedAt || slot.remindersSent.includes(offset)) continue;
+      handles.push(scheduleAt(dueAt, () => withNewContext({ correlationId: generateId(), slotId: slot.id }, () => {
+        this.sendReminder(slot.id, offset).catch(error => {
+          logger.error('Error sending interview reminder', { component: 'interviews', error });
+        });
+      })));
+    }
+    this.timers.set(slot.id, handles);
+  }
+
+  cancelReminders(slotId) {
+    for (const handle of this.timers.get(slotId) || []) handle.cancel();
+    this.timers.delete(slotId);
+  }
+
+  async sendReminder(slotId, offset) {
+    const slot = this.slots.get(slotId);
+    if (!slot || slot.status !== 'booked' || slot.startsAt <= Date.now()) return;
+    if (slot.remindersSent.includes(offset)) return;
+    slot.remindersSent.push(offset);
+    await this.save(slot);
+    this.emit('reminder', slot, offset);
+  }
+}
+
+/**
+ * Shapes a slot for API responses.
+ */
+function serializeSlot(slot) {
+  const iso = time => (time ? new Date(time).toISOString() : null);
+  return {
+    id: slot.id,
+    guildId: slot.guildId,
+    status: slot.status,
+    interviewerId: slot.interviewerId,
+    applicantId: slot.applicantId,
+    startsAt: iso(slot.startsAt),
+    endsAt: iso(slot.startsAt + slot.durationMinutes * 60 * 1000),
+    durationMinutes: slot.durationMinutes,
+    timeZone: slot.timeZone,
+    meetingChannel: slot.meetingChannel,
+    bookedAt: iso(slot.bookedAt),
+    createdAt: iso(slot.createdAt)
+  };
+}
+
+module.exports = { InterviewScheduler, serializeSlot };
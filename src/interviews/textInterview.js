@@ -0,0 +1,230 @@
+const {
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder
+} = require('discord.js');
+const { generateId } = require('../utils/ids');
+const { createKeyedLock } = require('../utils/lock');
+const { CUSTOM_IDS } = require('../interactions/customIds');
+
+// --------------------------- Text Interviews --------------------------- //
+//
+// A moderator starts an interview from an application; the bot opens a private channel
+// and asks the guild's question set one question at a time. The applicant answers each
+// question through a modal (no message content intent needed), and every answer is
+// recorded with the time it was asked and answered. Sessions live in the
+// `interviewSessions` collection: active -> closed.
+
+const DEFAULT_INTERVIEW_QUESTIONS = [
+  'Tell us a little about yourself and your experience in this community.',
+  'Have you moderated a community before? If so, where and for how long?',
+  'How would you handle two members arguing in a public channel?',
+  'A member reports harassment in DMs from another member. What do you do?',
+  'How many hours per week can you dedicate to moderation, and in which time zone?'
+];
+const MAX_QUESTIONS = 25;
+const MAX_QUESTION_LENGTH = 1000;
+const MAX_ANSWER_LENGTH = 4000;
+
+/**
+ * Parses the question set modal (one question per line).
+ */
+function parseQuestions(input) {
+  const questions = input.split('\n').map(line => line.trim()).filter(Boolean);
+  const errors = [];
+  if (!questions.length) errors.push('Add at least one question.');
+  if (questions.length > MAX_QUESTIONS) errors.push(`Use at most ${MAX_QUESTIONS} questions.`);
+  if (questions.some(question => question.length > MAX_QUESTION_LENGTH)) {
+    errors.push(`Each question can be at most ${MAX_QUESTION_LENGTH} characters.`);
+  }
+  return { errors, questions };
+}
+
+function buildQuestionsModal(questions) {
+  const input = new TextInputBuilder()
+    .setCustomId('questions')
+    .setLabel('Questions (one per line)')
+    .setStyle(TextInputStyle.Paragraph)
+    .setMaxLength(4000)
+    .setRequired(true);
+  if (questions.length) input.setValue(questions.join('\n').slice(0, 4000));
+  return new ModalBuilder()
+    .setCustomId(CUSTOM_IDS.interviewQuestions.build())
+    .setTitle('Interview question set')
+    .addComponents(new ActionRowBuilder().addComponents(input));
+}
+
+class InterviewSessionStore {
+  constructor(store) {
+    this.store = store;
+    // Serializes answers and skips per session, so only one of them takes a question.
+    this.withSessionLock = createKeyedLock();
+  }
+
+  get(id) {
+    return this.store.get('interviewSessions', id);
+  }
+
+  save(session) {
+    return this.store.set('interviewSessions', session.id, session);
+  }
+
+  async list(filters = {}) {
+    const sessions = await this.store.list('interviewSessions', session => Object.entries(filters)
+      .every(([key, value]) => value === undefined || session[key] === value));
+    return sessions.sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  async findActive(guildId, applicantId) {
+    return (await this.list({ guildId, applicantId, status: 'active' }))[0] || null;
+  }
+
+  async create({ guildId, applicationId, applicantId, moderatorId, channelId, questions }) {
+    const session = {
+      id: generateId(),
+      guildId,
+      applicationId,
+      applicantId,
+      moderatorId,
+      channelId,
+      questions,
+      currentIndex: 0,
+      answers: [],
+      status: 'active',
+      startedAt: Date.now(),
+      currentAskedAt: Date.now(),
+      closedAt: null,
+      closedBy: null,
+      transcriptMessageId: null
+    };
+    await this.save(session);
+    return session;
+  }
+
+  /**
+   * Records the answer (or a skip) to the current question and moves on. Returns the
+   * updated session, or null if `index` is no longer the current question.
+   */
+  recordAnswer(sessionId, index, { answer = null, skippedBy = null } = {}) {
+    return this.withSessionLock(sessionId, async () => {
+      const session = await this.get(sessionId);
+      if (!session || session.status !== 'active' || index !== session.currentIndex || index >= session.questions.length) {
+        return null;
+      }
+      session.answers.push({
+        index,
+        question: session.questions[index],
+        answer,
+        skippedBy,
+        askedAt: session.currentAskedAt,
+        answeredAt: Date.now()
+      });
+      session.currentIndex += 1;
+      session.currentAskedAt = Date.now();
+      await this.save(session);
+      return session;
+    });
+  }
+
+  /**
+   * Closes the session. `names` (user ID -> tag) is kept for the transcript.
+   */
+  async close(session, closedBy, names = {}) {
+    Object.assign(session, { status: 'closed', closedAt: Date.now(), closedBy, names });
+    await this.save(session);
+    return session;
+  }
+}
+
+function isFinished(session) {
+  return session.currentIndex >= session.questions.length;
+}
+
+/**
+ * Opening message of the interview channel, with the moderator's "End interview" button.
+ */
+function buildInterviewIntro(session) {
+  return {
+    content: `Hello <@${session.applicantId}>! <@${session.moderatorId}> has started your interview. `
+      + `There are **${session.questions.length}** questions; click **Answer** under each one to reply.`,
+    components: [new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(CUSTOM_IDS.interviewClose.build(session.id))
+        .setLabel('End interview')
+        .setStyle(ButtonStyle.Danger)
+    )]
+  };
+}
+
+function questionEmbed(session, index) {
+  return new EmbedBuilder()
+    .setTitle(`Question ${index + 1} of ${session.questions.length}`)
+    .setDescription(session.questions[index])
+    .setColor('Blue');
+}
+
+/**
+ * The current question with the applicant's Answer button and the moderators' Skip button.
+ */
+function buildQuestionMessage(session) {
+  const index = session.currentIndex;
+  return {
+    embeds: [questionEmbed(session, index)],
+    components: [new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(CUSTOM_IDS.interviewAnswer.build(session.id, index))
+        .setLabel('Answer')
+        .setStyle(ButtonStyle.Primary),
+      new ButtonBuilder()
+        .setCustomId(CUSTOM_IDS.interviewSkip.build(session.id, index))
+        .setLabel('Skip')
+        .setStyle(ButtonStyle.Secondary)
+    )]
+  };
+}
+
+/**
+ * The question message once it has been answered or skipped.
+ */
+function buildAnsweredQuestion(session, index) {
+  const entry = session.answers.find(a => a.index === index);
+  const embed = questionEmbed(session, index).setColor(entry.skippedBy ? 'Grey' : 'Green');
+  embed.addFields({
+    name: entry.skippedBy ? 'Skipped' : 'Answer',
+    // Field values are capped at 1024 characters; the transcript keeps the full answer.
+    value: entry.skippedBy
+      ? `Skipped by <@${entry.skippedBy}>`
+      : entry.answer.length > 1024 ? `${entry.answer.slice(0, 1021)}...` : entry.answer
+  });
+  return { embeds: [embed], components: [] };
+}
+
+function buildAnswerModal(session, index) {
+  const input = new TextInputBuilder()
+    .setCustomId('answer')
+    .setLabel(`Your answer to question ${index + 1}`)
+    .setPlaceholder(session.questions[index].slice(0, 100))
+    .setStyle(TextInputStyle.Paragraph)
+    .setMaxLength(MAX_ANSWER_LENGTH)
+    .setRequired(true);
+  return new ModalBuilder()
+    .setCustomId(CUSTOM_IDS.interviewAnswerModal.build(session.id, index))
+    .setTitle(`Question ${index + 1} of ${session.questions.length}`)
+    .addComponents(new ActionRowBuilder().addComponents(input));
+}
+
+module.exports = {
+  DEFAULT_INTERVIEW_QUESTIONS,
+  parseQuestions,
+  buildQuestionsModal,
+  InterviewSessionStore,
+  isFinished,
+  buildInterviewIntro,
+  buildQuestionMessage,
+  buildAnsweredQuestion,
+  buildAnswerModal
+};
@@ -0,0 +1,117 @@
+const { escapeHtml } = require('../utils/html');
+
+// Renders a text interview session as a transcript in Markdown, HTML or JSON.
+
+const TRANSCRIPT_FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+const iso = time => (time ? new Date(time).toISOString() : null);
+
+/**
+ * The transcript as plain data; the JSON format and the other renderers share it.
+ * `names` maps user IDs to display names where known.
+ */
+function transcriptData(session, names = {}) {
+  const person = id => (id ? { id, name: names[id] || null } : null);
+  return {
+    id: session.id,
+    guildId: session.guildId,
+    applicationId: session.applicationId,
+    channelId: session.channelId,
+    status: session.status,
+    applicant: person(session.applicantId),
+    moderator: person(session.moderatorId),
+    closedBy: person(session.closedBy),
+    startedAt: iso(session.startedAt),
+    closedAt: iso(session.closedAt),
+    questions: session.questions.map((question, index) => {
+      const entry = session.answers.find(a => a.index === index);
+      return {
+        number: index + 1,
+        question,
+        answer: entry ? entry.answer : null,
+        skipped: Boolean(entry?.skippedBy),
+        askedAt: entry ? iso(entry.askedAt) : null,
+        answeredAt: entry ? iso(entry.answeredAt) : null
+      };
+    })
+  };
+}
+
+function label(person) {
+  if (!person) return 'n/a';
+  return person.name ? `${person.name} (${person.id})` : person.id;
+}
+
+function renderMarkdown(data) {
+  const lines = [
+    `# Interview transcript ${data.id}`,
+    '',
+    `- **Applicant:** ${label(data.applicant)}`,
+    `- **Interviewer:** ${label(data.moderator)}`,
+    `- **Started:** ${data.startedAt}`,
+    `- **Closed:** ${data.closedAt || 'still open'}${data.closedBy ? ` by ${label(data.closedBy)}` : ''}`,
+    ''
+  ];
+  for (const item of data.questions) {
+    lines.push(`## ${item.number}. ${item.question}`, '');
+    if (item.skipped) lines.push('_Skipped._');
+    else if (item.answer === null) lines.push('_Not answered._');
+    else lines.push(...item.answer.split('\n').map(line => `> ${line}`));
+    if (item.answeredAt) lines.push('', `<sub>Asked ${item.askedAt} · ${item.skipped ? 'skipped' : 'answered'} ${item.answeredAt}</sub>`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function renderHtml(data) {
+  const items = data.questions.map(item => {
+    let answer;
+    if (item.skipped) answer = '<p class="muted">Skipped.</p>';
+    else if (item.answer === null) answer = '<p class="muted">Not answered.</p>';
+    else answer = `<blockquote>${escapeHtml(item.answer).replace(/\n/g, '<br>')}</blockquote>`;
+    const times = item.answeredAt
+      ? `<p class="muted">Asked ${escapeHtml(item.askedAt)} · ${item.skipped ? 'skipped' : 'answered'} ${escapeHtml(item.answeredAt)}</p>`
+      : '';
+    return `<section><h2>${item.number}. ${escapeHtml(item.question)}</h2>${answer}${times}</section>`;
+  });
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en"><head><meta charset="utf-8">',
+    `<title>Interview transcript ${escapeHtml(data.id)}</title>`,
+    '<style>body{font-family:sans-serif;max-width:50rem;margin:2rem auto;padding:0 1rem}'
+      + 'blockquote{border-left:4px solid #5865f2;margin:0;padding:.25rem 1rem;white-space:normal}'
+      + '.muted{color:#777;font-size:.85em}</style>',
+    '</head><body>',
+    `<h1>Interview transcript ${escapeHtml(data.id)}</h1>`,
+    '<ul>',
+    `<li><strong>Applicant:</strong> ${escapeHtml(label(data.applicant))}</li>`,
+    `<li><strong>Interviewer:</strong> ${escapeHtml(label(data.moderator))}</li>`,
+    `<li><strong>Started:</strong> ${escapeHtml(data.startedAt)}</li>`,
+    `<li><strong>Closed:</strong> ${escapeHtml(data.closedAt || 'still open')}${data.closedBy ? ` by ${escapeHtml(label(data.closedBy))}` : ''}</li>`,
+    '</ul>',
+    ...items,
+    '</body></html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Renders a session in one of TRANSCRIPT_FORMATS.
+ */
+function renderTranscript(session, format, names) {
+  const data = transcriptData(session, names);
+  switch (format) {
+    case 'markdown':
+      return renderMarkdown(data);
+    case 'html':
+      return renderHtml(data);
+    default:
+      return JSON.stringify(data, null, 2);
+  }
+}
+
+module.exports = { TRANSCRIPT_FORMATS, transcriptData, renderTranscript };
@@ -0,0 +1,182 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// -------------------------------- Logging -------------------------------- //
+//
+// Log lines are written one JSON object per line, to stdout (warn and error to stderr):
+//   {"time":"2025-06-01T12:00:00.000Z","level":"info","msg":"Notification sent","component":"notifications","correlationId":"...","notificationId":"..."}
+//
+//   LOG_LEVEL      debug, info (default), warn or error
+//   LOG_FORMAT     json (default) or text, a readable single line for local development
+//   LOG_HASH_SALT  salt for pseudonymized user IDs; set it to keep them comparable
+//                  across restarts (by default a random salt is picked per process)
+//
+// Work started for an HTTP request or a Discord interaction runs inside `withContext()`,
+// and its fields (the correlationId first of all) are added to every line logged while
+// it runs, including from the promises and timers it starts. Work that outlives it, such
+// as queued DMs and webhook deliveries, stores the correlationId and restores it; work
+// the bot starts on its own (timers, queue loops) runs in a fresh context.
+//
+// Everything logged is redacted: values under secret-looking keys are replaced, Discord
+// user IDs are replaced with a salted hash (so lines about one user still match up),
+// names and emails are dropped, and tokens and emails inside strings are masked.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+const SECRET_KEY = /token|secret|password|passphrase|authorization|cookie|signature|api[-_]?key/i;
+const USER_ID_KEY = /^(discordId|userId|applicantId|hostId|actorId|targetId|memberId|moderatorId|interviewerId|recipientId|winnerIds|userIds)$/i;
+const PERSONAL_KEY = /^(tag|username|globalName|displayName|nickname|recipientTag|applicantTag|email|answers|content)$/i;
+const SNOWFLAKE = /^\d{15,21}$/;
+
+// Secrets and personal data that can show up inside free text such as error messages.
+const STRING_PATTERNS = [
+  [/\b(Bearer|Bot)\s+[\w.~+/=-]{16,}/gi, `$1 ${REDACTED}`],
+  [/(discord(?:app)?\.com\/api\/(?:v\d+\/)?webhooks\/\d+\/)[\w-]+/gi, `$1${REDACTED}`],
+  [/[\w-]{23,28}\.[\w-]{6,7}\.[\w-]{27,}/g, REDACTED],
+  [/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, REDACTED]
+];
+
+const hashSalt = process.env.LOG_HASH_SALT || crypto.randomBytes(16).toString('hex');
+const contextStorage = new AsyncLocalStorage();
+
+function resolveLevel(value = process.env.LOG_LEVEL) {
+  const level = String(value || 'info').toLowerCase();
+  return level in LEVELS ? level : 'info';
+}
+
+/**
+ * A short, salted hash standing in for a Discord user ID in logs.
+ */
+function pseudonymize(id) {
+  return `user:${crypto.createHmac('sha256', hashSalt).update(String(id)).digest('hex').slice(0, 12)}`;
+}
+
+function redactString(value) {
+  return STRING_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: redactString(String(error.message)),
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.status !== undefined ? { status: error.status } : {}),
+    ...(error.stack ? { stack: redactString(error.stack) } : {})
+  };
+}
+
+/**
+ * Returns a copy of `value` that is safe to log (see the redaction rules above).
+ */
+function redact(value, key = null, depth = 0, seen = new WeakSet()) {
+  if (key !== null && (SECRET_KEY.test(key) || PERSONAL_KEY.test(key))) {
+    return value === null || value === undefined ? value : REDACTED;
+  }
+  if (key !== null && USER_ID_KEY.test(key)) {
+    const pseudonymizeId = id => (SNOWFLAKE.test(String(id)) ? pseudonymize(id) : redact(id, null, depth + 1, seen));
+    if (Array.isArray(value)) return value.map(pseudonymizeId);
+    if (typeof value === 'string' || typeof value === 'number') return pseudonymizeId(value);
+  }
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (seen.has(value) || depth >= MAX_DEPTH) return '[Truncated]';
+  seen.add(value);
+  if (Array.isArray(value)) return value.map(item => redact(item, null, depth + 1, seen));
+  return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name, depth + 1, seen)]));
+}
+
+function formatText(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const pairs = Object.entries(fields)
+    .filter(([name]) => name !== 'error')
+    .map(([name, value]) => `${name}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  const line = `${time} ${level.toUpperCase().padEnd(5)} ${msg}${pairs.length ? ` ${pairs.join(' ')}` : ''}`;
+  return fields.error ? `${line}\n  ${fields.error.stack || `${fields.error.name}: ${fields.error.message}`}` : line;
+}
+
+class Logger {
+  constructor({ fields = {}, level = resolveLevel(), format = process.env.LOG_FORMAT } = {}) {
+    this.fields = fields;
+    this.level = level;
+    this.format = format === 'text' ? 'text' : 'json';
+  }
+
+  /**
+   * A logger that adds `fields` (e.g. `{ component: 'giveaways' }`) to its lines.
+   */
+  child(fields) {
+    return new Logger({ fields: { ...this.fields, ...fields }, level: this.level, format: this.format });
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  /**
+   * Writes one line. `fields` may include `error`, which is serialized with its stack.
+   */
+  log(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: redactString(String(msg)),
+      ...redact({ ...this.fields, ...contextStorage.getStore(), ...fields })
+    };
+    let line;
+    try {
+      line = this.format === 'text' ? formatText(entry) : JSON.stringify(entry);
+    } catch (error) {
+      line = JSON.stringify({ time: entry.time, level, msg: entry.msg, logError: error.message });
+    }
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+}
+
+const logger = new Logger();
+
+/**
+ * Runs `fn` with `fields` (added to the current context, if any) attached to every line
+ * it logs. Returns what `fn` returns.
+ */
+function withContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+/**
+ * Runs `fn` in a context of its own with just `fields`, for work that is not part of
+ * the request or interaction being handled (e.g. a timer set while handling it).
+ */
+function withNewContext(fields, fn) {
+  return contextStorage.run({ ...fields }, fn);
+}
+
+/**
+ * The correlation ID of the request or interaction being handled, or null.
+ */
+function currentCorrelationId() {
+  return contextStorage.getStore()?.correlationId || null;
+}
+
+module.exports = { logger, Logger, withContext, withNewContext, currentCorrelationId, redact, pseudonymize, LEVELS };
@@ -0,0 +1,51 @@
+const { logger } = require('./logger');
+
+// Counts messages per member per guild from `messageCreate` events (GuildMessages intent).
+// Only messages seen while the bot is online are counted.
+
+class MessageTracker {
+  constructor(store) {
+    this.store = store;
+    // guildId -> Map<userId, count>
+    this.counts = new Map();
+  }
+
+  /**
+   * Loads persisted counts into memory.
+   */
+  async load() {
+    for (const { guildId, userId, count } of await this.store.list('messageCounts')) {
+      this.guildCounts(guildId).set(userId, count);
+    }
+  }
+
+  guildCounts(guildId) {
+    let guildCounts = this.counts.get(guildId);
+    if (!guildCounts) {
+      guildCounts = new Map();
+      this.counts.set(guildId, guildCounts);
+    }
+    return guildCounts;
+  }
+
+  /**
+   * Records a message if it was sent by a human in a guild channel.
+   */
+  record(message) {
+    if (!message.guildId || message.author.bot || message.webhookId) return;
+    const guildCounts = this.guildCounts(message.guildId);
+    const count = (guildCounts.get(message.author.id) || 0) + 1;
+    guildCounts.set(message.author.id, count);
+    this.store.set('messageCounts', `${message.guildId}:${message.author.id}`, {
+      guildId: message.guildId,
+      userId: message.author.id,
+      count
+    }).catch(error => logger.error('Error saving message count', { component: 'messageTracker', guildId: message.guildId, error }));
+  }
+
+  getCount(guildId, userId) {
+    return this.counts.get(guildId)?.get(userId) || 0;
+  }
+}
+
+module.exports = { MessageTracker };
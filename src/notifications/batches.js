@@ -0,0 +1,68 @@
+const { serializeNotification } = require('./queue');
+
+// ------------------------ Notification Batches ------------------------ //
+//
+// A batch records what one POST /notify/batch request did with each of its items: the
+// notification it queued, or why the item was rejected. Batches are stored in the
+// `notificationBatches` collection; their progress is read from the notifications
+// themselves, so GET /notify/batch/:id always reflects the delivery queue.
+
+class NotificationBatches {
+  constructor({ store, notificationQueue }) {
+    this.store = store;
+    this.notificationQueue = notificationQueue;
+  }
+
+  /**
+   * Stores a batch. Each item is `{ index, discordId, applicationStatus, notificationId }`
+   * or `{ index, discordId, applicationStatus, error }` for a rejected item.
+   */
+  async create({ id, requestedBy, items }) {
+    const batch = { id, requestedBy, items, createdAt: Date.now() };
+    await this.store.set('notificationBatches', id, batch);
+    return batch;
+  }
+
+  get(id) {
+    return this.store.get('notificationBatches', id);
+  }
+
+  /**
+   * Loads the batch's notifications, keyed by ID.
+   */
+  async notifications(batch) {
+    const ids = batch.items.map(item => item.notificationId).filter(Boolean);
+    const notifications = await Promise.all(ids.map(id => this.notificationQueue.get(id)));
+    return new Map(notifications.filter(Boolean).map(notification => [notification.id, notification]));
+  }
+}
+
+/**
+ * Shapes a batch and the current state of its notifications for API responses.
+ * `done` is true once no item is still queued.
+ */
+function serializeBatch(batch, notifications) {
+  const counts = { queued: 0, sent: 0, failed: 0, undeliverable: 0, rejected: 0 };
+  const items = batch.items.map(({ index, discordId, applicationStatus, notificationId, error }) => {
+    const notification = notificationId && notifications.get(notificationId);
+    const result = notification ? notification.status : 'rejected';
+    counts[result] += 1;
+    return {
+      index,
+      discordId,
+      applicationStatus,
+      result,
+      ...(notification ? { notification: serializeNotification(notification) } : { error })
+    };
+  });
+  return {
+    id: batch.id,
+    createdAt: new Date(batch.createdAt).toISOString(),
+    total: items.length,
+    counts,
+    done: counts.queued === 0,
+    items
+  };
+}
+
+module.exports = { NotificationBatches, serializeBatch };
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const { DiscordAPIError, RateLimitError, RESTJSONErrorCodes } = require('discord.js');
+const { generateId } = require('../utils/ids');
+const { backoffDelay } = require('../utils/backoff');
+const { RetryQueue } = require('../utils/retryQueue');
+const { createKeyedLock } = require('../utils/lock');
+const { logger, withContext, currentCorrelationId } = require('../logger');
+
+// ------------------------ Notification Delivery Queue ------------------------ //
+//
+// Notifications are stored in the `notifications` collection and delivered one at a
+// time, at most one DM every `sendIntervalMs`, so DMs go out at a pace Discord's rate
+// limits allow even when a whole batch is queued at once. Each record moves through:
+//
+//   queued -> sent
+//          -> undeliverable   (user not found, DMs closed or bot blocked)
+//          -> failed          (out of retries or a non-retryable error)
+//
+// Transient errors (rate limits, 5xx, network) are retried with exponential backoff.
+// A 'settled' event is emitted with the record once it reaches a final status.
+// Each record keeps the correlationId of the request or interaction that queued it, and
+// its delivery attempts are logged (and audited) under that ID.
+
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+const NOT_READY_RETRY_MS = 5000;
+const log = logger.child({ component: 'notifications' });
+
+// Discord errors that mean the user can never receive this DM.
+const UNDELIVERABLE_CODES = {
+  [RESTJSONErrorCodes.CannotSendMessagesToThisUser]: 'User has DMs closed or has blocked the bot.',
+  [RESTJSONErrorCodes.UnknownUser]: 'Discord user not found or bot cannot access this user.'
+};
+
+/**
+ * Decides what to do with a delivery error: `{ outcome: 'undeliverable' | 'retry' | 'failed', reason, retryAfterMs? }`.
+ */
+function classifyError(error) {
+  if (error instanceof DiscordAPIError && UNDELIVERABLE_CODES[error.code]) {
+    return { outcome: 'undeliverable', reason: UNDELIVERABLE_CODES[error.code] };
+  }
+  if (error instanceof RateLimitError) {
+    return { outcome: 'retry', reason: 'Rate limited by Discord.', retryAfterMs: error.retryAfter };
+  }
+  const status = error.status;
+  if (status === 429 || status >= 500 || status === undefined) {
+    return { outcome: 'retry', reason: error.message };
+  }
+  return { outcome: 'failed', reason: error.message };
+}
+
+function requestHash(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+}
+
+class NotificationQueue extends RetryQueue {
+  constructor({ client, store, maxAttempts = 5, baseDelayMs = 2000, maxDelayMs = 10 * 60 * 1000, sendIntervalMs = 1000 }) {
+    super();
+    this.client = client;
+    this.store = store;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.sendIntervalMs = sendIntervalMs;
+    this.lastSendAt = 0;
+    // Notifications waiting for the Discord gateway, retried as soon as it is back.
+    this.waitingForGateway = new Set();
+    // Serializes requests per idempotency key, so concurrent retries can't both send.
+    this.withIdempotencyLock = createKeyedLock();
+  }
+
+  /**
+   * Reloads queued notifications from storage and starts delivering them.
+   */
+  async start() {
+    const queued = await this.store.list('notifications', n => n.status === 'queued');
+    for (const notification of queued) {
+      this.pending.set(notification.id, notification.nextAttemptAt || 0);
+    }
+    await this.pruneIdempotencyKeys();
+    this.kick();
+  }
+
+  /**
+   * Returns the notification previously created with this idempotency key, or null.
+   * Throws an error with `code = 'idempotency_conflict'` if the key was used with a different body.
+   */
+  async findByIdempotencyKey(scope, key, body) {
+    const entry = await this.store.get('idempotencyKeys', `${scope}:${key}`);
+    if (!entry || entry.createdAt + IDEMPOTENCY_TTL_MS < Date.now()) return null;
+    if (entry.requestHash !== requestHash(body)) {
+      const error = new Error('This Idempotency-Key was already used with a different request body.');
+      error.code = 'idempotency_conflict';
+      throw error;
+    }
+    return this.get(entry.notificationId);
+  }
+
+  /**
+   * Runs `create` (which enqueues the notification, passing `idempotency` on) unless the
+   * idempotency key was already used. The key is claimed before anything is awaited, so
+   * a retry racing the original request waits for it and then replays its notification.
+   * Returns `{ existing }` for a replay, or `{ result }` with what `create` returned.
+   * Throws like findByIdempotencyKey on a key reused with a different body.
+   */
+  withIdempotencyKey({ scope, key, body }, create) {
+    return this.withIdempotencyLock(`${scope}:${key}`, async () => {
+      const existing = await this.findByIdempotencyKey(scope, key, body);
+      if (existing) return { existing };
+      return { result: await create() };
+    });
+  }
+
+  /**
+   * Stores a new notification and schedules its delivery.
+   * `message` is the DM payload (anything `user.send()` accepts). `requestedBy` names
+   * who asked for it (e.g. 'api:<key id>'), for the audit log; `batchId` the
+   * POST /notify/batch request it came from.
+   */
+  async enqueue({ discordId, guildId = null, applicationStatus, message, requestedBy = null, batchId = null, idempotency }) {
+    const now = Date.now();
+    const notification = {
+      id: generateId(),
+      discordId,
+      guildId,
+      applicationStatus,
+      requestedBy,
+      batchId,
+      correlationId: currentCorrelationId(),
+      message,
+      status: 'queued',
+      attempts: 0,
+      lastError: null,
+      recipientTag: null,
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: now,
+      sentAt: null
+    };
+    await this.store.set('notifications', notification.id, notification);
+    if (idempotency) {
+      const id = `${idempotency.scope}:${idempotency.key}`;
+      await this.store.set('idempotencyKeys', id, {
+        id,
+        notificationId: notification.id,
+        requestHash: requestHash(idempotency.body),
+        createdAt: now
+      });
+    }
+    this.add(notification.id, now);
+    log.info('Notification queued', {
+      notificationId: notification.id,
+      discordId,
+      applicationStatus,
+      batchId,
+      requestedBy
+    });
+    return notification;
+  }
+
+  get(id) {
+    return this.store.get('notifications', id);
+  }
+
+  /**
+   * Delivers the notifications that were waiting for the gateway now, instead of at
+   * their next check. Called when the bot (re)connects.
+   */
+  flush() {
+    for (const id of this.waitingForGateway) {
+      if (this.pending.has(id)) this.pending.set(id, Date.now());
+    }
+    this.waitingForGateway.clear();
+    this.kick();
+  }
+
+  async pruneIdempotencyKeys() {
+    const cutoff = Date.now() - IDEMPOTENCY_TTL_MS;
+    for (const entry of await this.store.list('idempotencyKeys', e => e.createdAt < cutoff)) {
+      await this.store.delete('idempotencyKeys', entry.id);
+    }
+  }
+
+  /**
+   * Attempts one delivery. Returns the next attempt time while the notification stays queued.
+   */
+  async process(id) {
+    const notification = await this.get(id);
+    if (!notification || notification.status !== 'queued') return null;
+    const context = { correlationId: notification.correlationId || null, notificationId: id };
+    return withContext(context, () => this.attempt(notification));
+  }
+
+  async attempt(notification) {
+    const { id } = notification;
+    if (!this.client.isReady()) {
+      // Wait for the gateway instead of burning attempts.
+      this.waitingForGateway.add(id);
+      return Date.now() + NOT_READY_RETRY_MS;
+    }
+    this.waitingForGateway.delete(id);
+    const nextSendAt = this.lastSendAt + this.sendIntervalMs;
+    if (nextSendAt > Date.now()) return nextSendAt;
+    this.lastSendAt = Date.now();
+
+    notification.attempts += 1;
+    notification.updatedAt = Date.now();
+    try {
+      const user = await this.client.users.fetch(notification.discordId);
+      notification.recipientTag = user.tag;
+      await user.send(notification.message);
+      notification.status = 'sent';
+      notification.sentAt = Date.now();
+      notification.lastError = null;
+      log.info('Notification sent', {
+        discordId: notification.discordId,
+        applicationStatus: notification.applicationStatus,
+        attempts: notification.attempts
+      });
+    } catch (error) {
+      const { outcome, reason, retryAfterMs } = classifyError(error);
+      notification.lastError = reason;
+      if (outcome === 'retry' && notification.attempts < this.maxAttempts) {
+        const delay = Math.max(retryAfterMs || 0, backoffDelay(notification.attempts - 1, {
+          baseMs: this.baseDelayMs,
+          maxMs: this.maxDelayMs
+        }));
+        notification.nextAttemptAt = Date.now() + delay;
+        log.warn('Notification attempt failed, retrying', {
+          discordId: notification.discordId,
+          attempts: notification.attempts,
+          reason,
+          retryInMs: delay
+        });
+      } else {
+        notification.status = outcome === 'undeliverable' ? 'undeliverable' : 'failed';
+        log.log(notification.status === 'failed' ? 'error' : 'warn', `Notification ${notification.status}`, {
+          discordId: notification.discordId,
+          applicationStatus: notification.applicationStatus,
+          attempts: notification.attempts,
+          reason,
+          error
+        });
+      }
+    }
+
+    await this.store.set('notifications', id, notification);
+    if (notification.status === 'queued') return notification.nextAttemptAt;
+    this.emit('settled', notification);
+    return null;
+  }
+}
+
+/**
+ * Shapes a notification record for API responses.
+ */
+function serializeNotification(notification) {
+  const iso = time => (time ? new Date(time).toISOString() : null);
+  return {
+    id: notification.id,
+    status: notification.status,
+    discordId: notification.discordId,
+    applicationStatus: notification.applicationStatus,
+    batchId: notification.batchId || null,
+    correlationId: notification.correlationId || null,
+    recipient: notification.recipientTag,
+    attempts: notification.attempts,
+    error: notification.lastError,
+    createdAt: iso(notification.createdAt),
+    updatedAt: iso(notification.updatedAt),
+    sentAt: iso(notification.sentAt),
+    nextAttemptAt: notification.status === 'queued' ? iso(notification.nextAttemptAt) : null
+  };
+}
+
+module.exports = { NotificationQueue, serializeNotification, classifyError };
@@ -0,0 +1,153 @@
+const { isSnowflake, isHttpUrl } = require('../utils/validation');
+
+// ------------------------ Interview Pipeline Statuses ------------------------ //
+//
+// Every /notify status, the payload fields it accepts, and which statuses may follow
+// it for the same applicant. An applicant's current status is kept in the
+// `applicants` collection; a request can bypass the transition check with `force: true`.
+
+const isoTime = {
+  check: value => typeof value === 'string' && /\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)),
+  message: 'must be an ISO 8601 date-time, e.g. "2025-06-01T18:00:00Z"'
+};
+const person = {
+  check: value => typeof value === 'string' && value.trim().length > 0 && value.length <= 100,
+  message: 'must be a Discord user ID or a name (at most 100 characters)'
+};
+const channel = {
+  check: value => typeof value === 'string' && (isSnowflake(value) || isHttpUrl(value)),
+  message: 'must be a Discord channel ID or an http(s) meeting link'
+};
+const text = {
+  check: value => typeof value === 'string' && value.length <= 1000,
+  message: 'must be a string of at most 1000 characters'
+};
+const positiveInteger = {
+  check: value => Number.isInteger(value) && value > 0,
+  message: 'must be a positive integer'
+};
+
+const interviewFields = {
+  interviewTime: isoTime,
+  interviewer: person,
+  meetingChannel: channel,
+  durationMinutes: positiveInteger
+};
+
+const STATUSES = {
+  submitted: { required: [], fields: {} },
+  approved: { required: [], fields: {} },
+  rejected: { required: [], fields: { reason: text } },
+  interview_scheduled: { required: ['interviewTime'], fields: interviewFields },
+  interview_rescheduled: {
+    required: ['interviewTime'],
+    fields: { ...interviewFields, previousInterviewTime: isoTime, reason: text }
+  },
+  interview_reminder: { required: ['interviewTime'], fields: interviewFields },
+  interview_completed: { required: [], fields: { interviewer: person } },
+  accepted: { required: [], fields: {} },
+  waitlisted: { required: [], fields: { position: positiveInteger } },
+  withdrawn: { required: [], fields: { reason: text } }
+};
+
+// Payload fields every status accepts.
+const COMMON_FIELDS = { details: text };
+
+const STATUS_NAMES = Object.keys(STATUSES);
+const INTERVIEW_STATES = ['interview_scheduled', 'interview_rescheduled', 'interview_reminder'];
+
+// Allowed next statuses. Applicants with no recorded status may start anywhere.
+const TRANSITIONS = {
+  submitted: ['approved', 'rejected', 'waitlisted', 'withdrawn'],
+  approved: ['interview_scheduled', 'rejected', 'withdrawn'],
+  interview_scheduled: ['interview_rescheduled', 'interview_reminder', 'interview_completed', 'withdrawn'],
+  interview_rescheduled: ['interview_rescheduled', 'interview_reminder', 'interview_completed', 'withdrawn'],
+  interview_reminder: ['interview_reminder', 'interview_rescheduled', 'interview_completed', 'withdrawn'],
+  interview_completed: ['accepted', 'rejected', 'waitlisted'],
+  waitlisted: ['approved', 'interview_scheduled', 'accepted', 'rejected', 'withdrawn'],
+  accepted: [],
+  rejected: ['submitted'],
+  withdrawn: ['submitted']
+};
+
+/**
+ * Validates the payload fields for a status. Returns a list of problems.
+ */
+function validateStatusPayload(status, payload) {
+  const definition = STATUSES[status];
+  const errors = [];
+  for (const field of definition.required) {
+    if (payload[field] === undefined || payload[field] === null || payload[field] === '') {
+      errors.push(`payload.${field} is required for status "${status}".`);
+    }
+  }
+  for (const [field, rule] of Object.entries({ ...COMMON_FIELDS, ...definition.fields })) {
+    const value = payload[field];
+    if (value !== undefined && value !== null && !rule.check(value)) {
+      errors.push(`payload.${field} ${rule.message}.`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Tracks each applicant's current pipeline status and its history.
+ */
+class ApplicantTracker {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get(discordId) {
+    return this.store.get('applicants', discordId);
+  }
+
+  /**
+   * Checks whether `status` may follow the applicant's current status.
+   * Returns `{ ok: true }` or `{ ok: false, currentStatus, allowed }`.
+   */
+  async checkTransition(discordId, status) {
+    const applicant = await this.get(discordId);
+    if (!applicant) return { ok: true, currentStatus: null };
+    const allowed = TRANSITIONS[applicant.status] || [];
+    return allowed.includes(status)
+      ? { ok: true, currentStatus: applicant.status }
+      : { ok: false, currentStatus: applicant.status, allowed };
+  }
+
+  /**
+   * Records a new status for the applicant.
+   */
+  async record(discordId, status, { forced = false, payload = {}, notificationId = null } = {}) {
+    const applicant = (await this.get(discordId)) || { discordId, status: null, history: [] };
+    const entry = {
+      status,
+      at: Date.now(),
+      forced,
+      notificationId,
+      reason: payload.reason || null,
+      details: payload.details || null
+    };
+    if (payload.guildId) applicant.guildId = payload.guildId;
+    if (INTERVIEW_STATES.includes(status) && payload.interviewTime) {
+      applicant.interview = {
+        time: payload.interviewTime,
+        interviewer: payload.interviewer || applicant.interview?.interviewer || null,
+        meetingChannel: payload.meetingChannel || applicant.interview?.meetingChannel || null
+      };
+    }
+    applicant.status = status;
+    applicant.updatedAt = entry.at;
+    applicant.history.push(entry);
+    await this.store.set('applicants', discordId, applicant);
+    return applicant;
+  }
+}
+
+module.exports = {
+  STATUSES,
+  STATUS_NAMES,
+  TRANSITIONS,
+  validateStatusPayload,
+  ApplicantTracker
+};
@@ -0,0 +1,363 @@
+const {
+  EmbedBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  ActionRowBuilder
+} = require('discord.js');
+const { CUSTOM_IDS } = require('../interactions/customIds');
+
+// ------------------------ Notification Templates ------------------------ //
+//
+// A template renders a /notify DM, either as plain text or as an embed:
+//   { format: 'text',  content: '...' }
+//   { format: 'embed', content?: '...', embed: { title, description, color, footer } }
+//
+// Placeholders: {user} (mention), {username}, {status}, {details}, {interviewTime},
+// {previousInterviewTime}, {interviewer}, {meetingChannel}, {reason}, {position},
+// and any other string/number field of the notify payload. Times render as Discord
+// timestamps (shown in each reader's timezone); Discord IDs render as mentions.
+// A section wrapped in {?name}...{/name} is only rendered when {name} has a value.
+//
+// Templates are stored in the `templates` collection per scope (a guild ID or "global"),
+// locale and status, and resolved from most to least specific, ending with the
+// built-in defaults below.
+
+const DEFAULT_LOCALE = 'en';
+
+const DEFAULT_TEMPLATES = {
+  en: {
+    submitted: {
+      format: 'text',
+      content: 'Your moderator application has been **submitted** and is up for review.{?details}\n\n**Details:** {details}{/details}'
+    },
+    approved: {
+      format: 'text',
+      content: '🎉 Congratulations! Your moderator application has been **approved**. You will now move on to the interview and will be contacted within **4-5 days**.{?details}\n\n**Details:** {details}{/details}'
+    },
+    rejected: {
+      format: 'text',
+      content: 'We regret to inform you that your moderator application didn\'t meet the requirements and has been **rejected**.{?reason}\n\n**Reason:** {reason}{/reason}{?details}\n\n**Details:** {details}{/details}'
+    },
+    interview_scheduled: {
+      format: 'text',
+      content: '📅 Your moderator interview has been **scheduled** for {interviewTime}.{?interviewer}\n**Interviewer:** {interviewer}{/interviewer}{?meetingChannel}\n**Where:** {meetingChannel}{/meetingChannel}{?details}\n\n**Details:** {details}{/details}'
+    },
+    interview_rescheduled: {
+      format: 'text',
+      content: '🔁 Your moderator interview has been **rescheduled** to {interviewTime}.{?previousInterviewTime}\n(Previously {previousInterviewTime}.){/previousInterviewTime}{?reason}\n**Reason:** {reason}{/reason}{?meetingChannel}\n**Where:** {meetingChannel}{/meetingChannel}{?details}\n\n**Details:** {details}{/details}'
+    },
+    interview_reminder: {
+      format: 'text',
+      content: '⏰ Reminder: your moderator interview starts {interviewTime}.{?meetingChannel}\n**Where:** {meetingChannel}{/meetingChannel}{?interviewer}\n**Interviewer:** {interviewer}{/interviewer}'
+    },
+    interview_completed: {
+      format: 'text',
+      content: 'Thank you for completing your moderator interview! We will let you know the outcome soon.{?details}\n\n**Details:** {details}{/details}'
+    },
+    accepted: {
+      format: 'text',
+      content: '🎉 Welcome to the team! You have been **accepted** as a moderator.{?details}\n\n**Details:** {details}{/details}'
+    },
+    waitlisted: {
+      format: 'text',
+      content: 'Your moderator application has been placed on the **waitlist**.{?position} You are currently number **{position}**.{/position} We will contact you if a spot opens up.{?details}\n\n**Details:** {details}{/details}'
+    },
+    withdrawn: {
+      format: 'text',
+      content: 'Your moderator application has been **withdrawn**.{?reason}\n\n**Reason:** {reason}{/reason}{?details}\n\n**Details:** {details}{/details}'
+    }
+  },
+  es: {
+    submitted: {
+      format: 'text',
+      content: 'Tu solicitud de moderador ha sido **enviada** y está pendiente de revisión.{?details}\n\n**Detalles:** {details}{/details}'
+    },
+    approved: {
+      format: 'text',
+      content: '🎉 ¡Felicidades! Tu solicitud de moderador ha sido **aprobada**. Pasarás a la entrevista y te contactaremos en un plazo de **4-5 días**.{?details}\n\n**Detalles:** {details}{/details}'
+    },
+    rejected: {
+      format: 'text',
+      content: 'Lamentamos informarte de que tu solicitud de moderador no cumplió los requisitos y ha sido **rechazada**.{?reason}\n\n**Motivo:** {reason}{/reason}{?details}\n\n**Detalles:** {details}{/details}'
+    },
+    interview_scheduled: {
+      format: 'text',
+      content: '📅 Tu entrevista de moderador ha sido **programada** para {interviewTime}.{?interviewer}\n**Entrevistador:** {interviewer}{/interviewer}{?meetingChannel}\n**Dónde:** {meetingChannel}{/meetingChannel}{?details}\n\n**Detalles:** {details}{/details}'
+    },
+    interview_rescheduled: {
+      format: 'text',
+      content: '🔁 Tu entrevista de moderador ha sido **reprogramada** para {interviewTime}.{?previousInterviewTime}\n(Antes: {previousInterviewTime}.){/previousInterviewTime}{?reason}\n**Motivo:** {reason}{/reason}{?meetingChannel}\n**Dónde:** {meetingChannel}{/meetingChannel}{?details}\n\n**Detalles:** {details}{/details}'
+    },
+    interview_reminder: {
+      format: 'text',
+      content: '⏰ Recordatorio: tu entrevista de moderador empieza {interviewTime}.{?meetingChannel}\n**Dónde:** {meetingChannel}{/meetingChannel}{?interviewer}\n**Entrevistador:** {interviewer}{/interviewer}'
+    },
+    interview_completed: {
+      format: 'text',
+      content: '¡Gracias por completar tu entrevista de moderador! Pronto te comunicaremos el resultado.{?details}\n\n**Detalles:** {details}{/details}'
+    },
+    accepted: {
+      format: 'text',
+      content: '🎉 ¡Bienvenido al equipo! Has sido **aceptado** como moderador.{?details}\n\n**Detalles:** {details}{/details}'
+    },
+    waitlisted: {
+      format: 'text',
+      content: 'Tu solicitud de moderador está en la **lista de espera**.{?position} Actualmente eres el número **{position}**.{/position} Te contactaremos si se abre una plaza.{?details}\n\n**Detalles:** {details}{/details}'
+    },
+    withdrawn: {
+      format: 'text',
+      content: 'Tu solicitud de moderador ha sido **retirada**.{?reason}\n\n**Motivo:** {reason}{/reason}{?details}\n\n**Detalles:** {details}{/details}'
+    }
+  }
+};
+
+const SUPPORTED_LOCALES = Object.keys(DEFAULT_TEMPLATES);
+const GLOBAL_SCOPE = 'global';
+const LOCALE_REGEX = /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/;
+
+// Sample payload used by previews.
+const SAMPLE_PAYLOAD = {
+  details: 'This is an example of the details sent with a notification.',
+  interviewTime: new Date(Date.UTC(2030, 0, 15, 18, 0)).toISOString(),
+  previousInterviewTime: new Date(Date.UTC(2030, 0, 14, 18, 0)).toISOString(),
+  interviewer: 'Miku',
+  meetingChannel: 'https://meet.example.com/interview',
+  reason: 'Example reason.',
+  position: 3
+};
+
+// Payload fields rendered as Discord timestamps, and as user/channel mentions.
+const TIME_FIELDS = ['interviewTime', 'previousInterviewTime', 'interviewDate'];
+const USER_FIELDS = ['interviewer'];
+const CHANNEL_FIELDS = ['meetingChannel'];
+const SNOWFLAKE_REGEX = /^\d{17,19}$/;
+// Discord's length limits: message content, embed template fields, and all of an
+// embed's text together.
+const CONTENT_LIMIT = 2000;
+const EMBED_TEXT_LIMITS = { title: 256, description: 4096, footer: 2048 };
+const EMBED_TOTAL_LIMIT = 6000;
+
+function templateId(scope, locale, status) {
+  return `${scope}:${locale}:${status}`;
+}
+
+/**
+ * Validates a template. Returns a list of problems (empty when valid).
+ */
+function validateTemplate(template) {
+  const errors = [];
+  if (!template || typeof template !== 'object') return ['Template must be an object.'];
+  if (!['text', 'embed'].includes(template.format)) errors.push('format must be "text" or "embed".');
+  if (template.content !== undefined && typeof template.content !== 'string') errors.push('content must be a string.');
+  if (template.content && template.content.length > CONTENT_LIMIT) errors.push(`content must be at most ${CONTENT_LIMIT} characters.`);
+  if (template.format === 'text' && !template.content) errors.push('Text templates need content.');
+  if (template.format === 'embed') {
+    const embed = template.embed;
+    if (!embed || typeof embed !== 'object' || Array.isArray(embed)) {
+      errors.push('Embed templates need an embed object.');
+    } else {
+      if (!embed.title && !embed.description) errors.push('embed needs a title or a description.');
+      for (const [field, limit] of Object.entries(EMBED_TEXT_LIMITS)) {
+        const value = embed[field];
+        if (value === undefined || value === null) continue;
+        if (typeof value !== 'string') errors.push(`embed.${field} must be a string.`);
+        else if (value.length > limit) errors.push(`embed.${field} must be at most ${limit} characters.`);
+      }
+      if (embed.color !== undefined && embed.color !== null
+        && (typeof embed.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(embed.color))) {
+        errors.push('embed.color must be a hex color like #00BFFF.');
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Builds the placeholder values for a notification.
+ */
+function buildValues({ discordId, username, status, payload = {} }) {
+  const values = {};
+  for (const [key, value] of Object.entries(payload)) {
+    if (typeof value === 'string' || typeof value === 'number') values[key] = String(value);
+  }
+  values.user = `<@${discordId}>`;
+  values.username = username || '';
+  values.status = status;
+  for (const field of TIME_FIELDS) {
+    const time = payload[field] ? Date.parse(payload[field]) : NaN;
+    if (!Number.isNaN(time)) values[field] = `<t:${Math.floor(time / 1000)}:F> (<t:${Math.floor(time / 1000)}:R>)`;
+  }
+  for (const field of USER_FIELDS) {
+    if (SNOWFLAKE_REGEX.test(values[field] || '')) values[field] = `<@${values[field]}>`;
+  }
+  for (const field of CHANNEL_FIELDS) {
+    if (SNOWFLAKE_REGEX.test(values[field] || '')) values[field] = `<#${values[field]}>`;
+  }
+  return values;
+}
+
+/**
+ * Fills placeholders and conditional sections in a template string.
+ */
+function fill(text, values) {
+  if (!text) return text;
+  return text
+    .replace(/\{\?(\w+)\}([\s\S]*?)\{\/\1\}/g, (match, key, section) => (values[key] ? section : ''))
+    .replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+/**
+ * Renders a template into a message payload for `user.send()`. Placeholder values are
+ * not length-limited, so filled text over Discord's limits is cut short (ending in
+ * "…") rather than having the DM rejected; the names of the cut fields are pushed to
+ * `truncated` (e.g. 'content', 'embed.description').
+ */
+function renderTemplate(template, values, truncated = []) {
+  const fillWithin = (field, text, limit) => {
+    const filled = fill(text, values);
+    if (!filled || filled.length <= limit) return filled;
+    truncated.push(field);
+    return `${filled.slice(0, limit - 1)}…`;
+  };
+
+  const content = fillWithin('content', template.content, CONTENT_LIMIT) || undefined;
+  if (template.format !== 'embed') return { content };
+
+  const title = fillWithin('embed.title', template.embed.title, EMBED_TEXT_LIMITS.title);
+  const footer = fillWithin('embed.footer', template.embed.footer, EMBED_TEXT_LIMITS.footer);
+  // The description gets whatever the embed's total limit leaves.
+  const descriptionLimit = Math.min(EMBED_TEXT_LIMITS.description, EMBED_TOTAL_LIMIT - (title || '').length - (footer || '').length);
+  const description = fillWithin('embed.description', template.embed.description, descriptionLimit);
+
+  const embed = new EmbedBuilder();
+  if (title) embed.setTitle(title);
+  if (description) embed.setDescription(description);
+  if (template.embed.color) embed.setColor(template.embed.color);
+  if (footer) embed.setFooter({ text: footer });
+  embed.setTimestamp();
+  return { content, embeds: [embed.toJSON()] };
+}
+
+function isValidLocale(locale) {
+  return typeof locale === 'string' && LOCALE_REGEX.test(locale);
+}
+
+/**
+ * Modal used by `/templates edit`, prefilled with the current template.
+ */
+function buildTemplateModal(status, locale, template) {
+  const embed = template.embed || {};
+  const inputs = [
+    { id: 'format', label: 'Format (text or embed)', style: TextInputStyle.Short, value: template.format, maxLength: 5, required: true },
+    { id: 'content', label: 'Message text', style: TextInputStyle.Paragraph, value: template.content, maxLength: 2000, required: false },
+    { id: 'embedTitle', label: 'Embed title (embed format only)', style: TextInputStyle.Short, value: embed.title, maxLength: 256, required: false },
+    { id: 'embedDescription', label: 'Embed description (embed format only)', style: TextInputStyle.Paragraph, value: embed.description, maxLength: 4000, required: false },
+    { id: 'embedColor', label: 'Embed color, e.g. #00BFFF (embed format only)', style: TextInputStyle.Short, value: embed.color, maxLength: 7, required: false }
+  ];
+  return new ModalBuilder()
+    .setCustomId(CUSTOM_IDS.templateEdit.build(status, locale))
+    .setTitle(`Edit ${status} template (${locale})`)
+    .addComponents(inputs.map(input => {
+      const textInput = new TextInputBuilder()
+        .setCustomId(input.id)
+        .setLabel(input.label)
+        .setStyle(input.style)
+        .setMaxLength(input.maxLength)
+        .setRequired(input.required);
+      if (input.value) textInput.setValue(input.value);
+      return new ActionRowBuilder().addComponents(textInput);
+    }));
+}
+
+/**
+ * Reads a submitted template modal into a template object.
+ */
+function readTemplateModal(fields) {
+  const format = fields.getTextInputValue('format').trim().toLowerCase();
+  const content = fields.getTextInputValue('content').trim();
+  const template = { format };
+  if (content) template.content = content;
+  if (format === 'embed') {
+    const title = fields.getTextInputValue('embedTitle').trim();
+    const description = fields.getTextInputValue('embedDescription').trim();
+    const color = fields.getTextInputValue('embedColor').trim();
+    template.embed = {};
+    if (title) template.embed.title = title;
+    if (description) template.embed.description = description;
+    if (color) template.embed.color = color.startsWith('#') ? color : `#${color}`;
+  }
+  return template;
+}
+
+class TemplateStore {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Finds the template for a status, from most to least specific:
+   * guild+locale, global+locale, guild+default locale, global+default locale, built-ins.
+   * Returns `{ template, source }`.
+   */
+  async resolve(status, { guildId, locale = DEFAULT_LOCALE } = {}) {
+    const candidates = [];
+    for (const loc of [...new Set([locale, DEFAULT_LOCALE])]) {
+      if (guildId) candidates.push([guildId, loc]);
+      candidates.push([GLOBAL_SCOPE, loc]);
+    }
+    for (const [scope, loc] of candidates) {
+      const saved = await this.store.get('templates', templateId(scope, loc, status));
+      if (saved) return { template: saved.template, source: { scope, locale: loc } };
+    }
+    const builtIn = DEFAULT_TEMPLATES[locale]?.[status] || DEFAULT_TEMPLATES[DEFAULT_LOCALE][status];
+    if (!builtIn) return { template: null, source: null };
+    return {
+      template: builtIn,
+      source: { scope: 'default', locale: DEFAULT_TEMPLATES[locale]?.[status] ? locale : DEFAULT_LOCALE }
+    };
+  }
+
+  async save({ scope = GLOBAL_SCOPE, locale, status, template, updatedBy }) {
+    const record = { id: templateId(scope, locale, status), scope, locale, status, template, updatedBy, updatedAt: Date.now() };
+    await this.store.set('templates', record.id, record);
+    return record;
+  }
+
+  remove({ scope = GLOBAL_SCOPE, locale, status }) {
+    return this.store.delete('templates', templateId(scope, locale, status));
+  }
+
+  list(scope) {
+    return this.store.list('templates', record => !scope || record.scope === scope);
+  }
+
+  /**
+   * Picks the locale for a recipient: explicit locale, then their stored preference.
+   */
+  async localeFor(discordId, explicitLocale) {
+    if (explicitLocale) return explicitLocale;
+    const preferences = await this.store.get('userPreferences', discordId);
+    return preferences?.locale || DEFAULT_LOCALE;
+  }
+
+  async setUserLocale(discordId, locale) {
+    const preferences = (await this.store.get('userPreferences', discordId)) || {};
+    await this.store.set('userPreferences', discordId, { ...preferences, locale, updatedAt: Date.now() });
+  }
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  DEFAULT_TEMPLATES,
+  SUPPORTED_LOCALES,
+  GLOBAL_SCOPE,
+  SAMPLE_PAYLOAD,
+  TemplateStore,
+  isValidLocale,
+  buildTemplateModal,
+  readTemplateModal,
+  validateTemplate,
+  buildValues,
+  renderTemplate
+};
@@ -0,0 +1,120 @@
+const { PermissionsBitField } = require('discord.js');
+const { hasModeratorRole } = require('./config/guildConfig');
+
+// ------------------------------ Permissions ------------------------------ //
+//
+// Who may do what, in one place, for slash commands, buttons, select menus and modals.
+// Each action maps to a rule:
+//   permissions    Discord permissions, any one of which grants the action
+//   moderatorRole  members with one of the guild's moderator roles may act
+//   owner          the user who owns the target (the applicant, the giveaway host) may act
+//   ownerOnly      only the owner may act, whatever their roles
+//   denied         the ephemeral reply when the check fails (a string, or a function of
+//                  the guild configuration)
+// Owner checks compare the clicker with the user ID in the customId or the stored
+// record, so a forged customId for someone else's button is refused.
+
+const PERMISSION_RULES = {
+  'applications.browse': {
+    permissions: ['ManageMessages'],
+    moderatorRole: true,
+    denied: 'Only moderators can browse applications.'
+  },
+  'application.decide': {
+    permissions: ['ManageMessages'],
+    moderatorRole: true,
+    denied: 'Only moderators can decide applications.'
+  },
+  'application.vote': {
+    moderatorRole: true,
+    denied: config => (config.moderatorRoleIds.length
+      ? 'Only members with a moderator role can vote on applications.'
+      : 'No moderator roles are configured. An administrator can add them with `/config moderator-roles add`.')
+  },
+  'application.contact': {
+    permissions: ['ManageMessages'],
+    moderatorRole: true,
+    denied: 'Only moderators can contact applicants.'
+  },
+  'application.submit': {
+    ownerOnly: true,
+    denied: 'Only the applicant can submit this application.'
+  },
+  'contact.close': {
+    permissions: ['ManageGuild'],
+    moderatorRole: true,
+    denied: 'Only moderators can close contact channels.'
+  },
+  'interviews.manage': {
+    permissions: ['ManageGuild'],
+    moderatorRole: true,
+    denied: 'Only moderators can manage interviews.'
+  },
+  'interview.answer': {
+    ownerOnly: true,
+    denied: 'Only the applicant can answer interview questions.'
+  },
+  'giveaway.host': {
+    ownerOnly: true,
+    denied: 'Only the approved applicant can host this giveaway.'
+  },
+  'giveaway.manage': {
+    permissions: ['ManageMessages'],
+    moderatorRole: true,
+    owner: true,
+    denied: 'Only the host or a moderator can manage this giveaway.'
+  },
+  'config.manage': {
+    permissions: ['Administrator'],
+    denied: 'Only administrators can change the bot configuration.'
+  },
+  'templates.manage': {
+    permissions: ['ManageGuild'],
+    denied: 'Only server managers can manage notification templates.'
+  },
+  'results.page': {
+    ownerOnly: true,
+    denied: 'Only the person who ran the command can page through these results.'
+  }
+};
+
+class PermissionChecker {
+  constructor(guildConfigs) {
+    this.guildConfigs = guildConfigs;
+  }
+
+  /**
+   * True if the interaction's user may perform the action. `ownerId` is the user the
+   * target belongs to, for rules with `owner` or `ownerOnly`.
+   */
+  async can(interaction, action, { ownerId } = {}) {
+    const rule = PERMISSION_RULES[action];
+    if (!rule) throw new Error(`Unknown permission action "${action}".`);
+    const isOwner = Boolean(ownerId) && interaction.user.id === ownerId;
+    if (rule.ownerOnly) return isOwner;
+    if (rule.owner && isOwner) return true;
+    if (rule.permissions?.some(name => interaction.memberPermissions?.has(PermissionsBitField.Flags[name]))) return true;
+    if (rule.moderatorRole && interaction.guildId) {
+      return hasModeratorRole(interaction.member, await this.guildConfigs.get(interaction.guildId));
+    }
+    return false;
+  }
+
+  /**
+   * Checks the action and, when it is not allowed, answers the interaction with the
+   * rule's ephemeral reply. Returns whether the handler may go on.
+   */
+  async check(interaction, action, context) {
+    if (await this.can(interaction, action, context)) return true;
+    const { denied } = PERMISSION_RULES[action];
+    const content = typeof denied === 'function'
+      ? denied(await this.guildConfigs.get(interaction.guildId))
+      : denied;
+    const reply = { content: `⛔ ${content}`, ephemeral: true };
+    if (interaction.deferred || interaction.replied) await interaction.followUp(reply);
+    else await interaction.reply(reply);
+    return false;
+  }
+}
+
+module.exports = { PERMISSION_RULES, PermissionChecker };
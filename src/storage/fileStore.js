@@ -0,0 +1,69 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { MemoryStore } = require('./memoryStore');
+const { logger } = require('../logger');
+
+const WRITE_DELAY_MS = 500;
+const log = logger.child({ component: 'storage' });
+
+/**
+ * File-backed store: one JSON file per collection in `dataDir`. Everything is loaded
+ * into memory on init, and changed collections are written back shortly after each
+ * change (atomically, via a temp file and rename) and on close.
+ */
+class FileStore extends MemoryStore {
+  constructor({ dataDir }) {
+    super();
+    this.dataDir = dataDir;
+    this.dirty = new Set();
+    this.writeTimer = null;
+    this.writing = Promise.resolve();
+  }
+
+  async init() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    const files = await fs.readdir(this.dataDir);
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const name = path.basename(file, '.json');
+      const raw = await fs.readFile(path.join(this.dataDir, file), 'utf8');
+      this.collections.set(name, new Map(Object.entries(JSON.parse(raw))));
+    }
+  }
+
+  changed(collection) {
+    this.dirty.add(collection);
+    if (!this.writeTimer) {
+      this.writeTimer = setTimeout(() => {
+        this.writeTimer = null;
+        this.flush().catch(error => log.error('Error writing data files', { error }));
+      }, WRITE_DELAY_MS);
+    }
+  }
+
+  /**
+   * Writes every changed collection to disk. Writes are serialized so two flushes
+   * never race on the same file.
+   */
+  flush() {
+    const collections = [...this.dirty];
+    this.dirty.clear();
+    this.writing = this.writing.then(async () => {
+      for (const name of collections) {
+        const file = path.join(this.dataDir, `${name}.json`);
+        const tmpFile = `${file}.tmp`;
+        const data = JSON.stringify(Object.fromEntries(this.collection(name)), null, 2);
+        await fs.writeFile(tmpFile, data);
+        await fs.rename(tmpFile, file);
+      }
+    });
+    return this.writing;
+  }
+
+  async close() {
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+    await this.flush();
+  }
+}
+
+module.exports = { FileStore };
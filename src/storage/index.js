@@ -0,0 +1,36 @@
+const path = require('path');
+const { MemoryStore } = require('./memoryStore');
+const { FileStore } = require('./fileStore');
+
+// ------------------------- Persistence Layer ------------------------- //
+//
+// Every store implements the same small async interface over named collections
+// of JSON-serializable records:
+//
+//   init()                        load or connect
+//   get(collection, id)           -> record | null
+//   set(collection, id, record)   insert or replace
+//   delete(collection, id)        -> boolean
+//   list(collection, predicate?)  -> record[]
+//   close()                       flush and disconnect
+//
+// A Postgres/Supabase store would map each collection to a table keyed by id
+// (e.g. `supabase.from('giveaways').upsert(...)`) and register itself below.
+
+const drivers = {
+  memory: () => new MemoryStore(),
+  file: () => new FileStore({ dataDir: path.resolve(process.env.DATA_DIR || 'data') })
+};
+
+/**
+ * Creates the store selected by STORAGE_DRIVER (default: "file").
+ */
+function createStore(driver = process.env.STORAGE_DRIVER || 'file') {
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}". Expected one of: ${Object.keys(drivers).join(', ')}.`);
+  }
+  return factory();
+}
+
+module.exports = { createStore, MemoryStore, FileStore };
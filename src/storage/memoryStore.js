@@ -0,0 +1,58 @@
+/**
+ * In-memory store. Also the base for stores that keep a full copy of their data in
+ * memory and only differ in how they load and save it.
+ *
+ * Values are deep-copied on the way in and out so callers never share references
+ * with the store, matching how a database-backed store behaves.
+ */
+class MemoryStore {
+  constructor() {
+    // collection name -> Map<id, value>
+    this.collections = new Map();
+  }
+
+  async init() {}
+
+  collection(name) {
+    let records = this.collections.get(name);
+    if (!records) {
+      records = new Map();
+      this.collections.set(name, records);
+    }
+    return records;
+  }
+
+  async get(collection, id) {
+    const value = this.collection(collection).get(id);
+    return value === undefined ? null : structuredClone(value);
+  }
+
+  async set(collection, id, value) {
+    this.collection(collection).set(id, structuredClone(value));
+    this.changed(collection);
+  }
+
+  async delete(collection, id) {
+    const deleted = this.collection(collection).delete(id);
+    if (deleted) this.changed(collection);
+    return deleted;
+  }
+
+  /**
+   * Returns every record in a collection, optionally filtered by a predicate.
+   */
+  async list(collection, predicate = () => true) {
+    const results = [];
+    for (const value of this.collection(collection).values()) {
+      if (predicate(value)) results.push(structuredClone(value));
+    }
+    return results;
+  }
+
+  // Hook for subclasses that persist on change.
+  changed() {}
+
+  async close() {}
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,10 @@
+/**
+ * Exponential backoff with jitter: a random delay between half and all of
+ * min(maxMs, baseMs * 2^attempt). `attempt` starts at 0 for the first retry.
+ */
+function backoffDelay(attempt, { baseMs = 1000, maxMs = 5 * 60 * 1000 } = {}) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+module.exports = { backoffDelay };
@@ -0,0 +1,47 @@
+// Parsing helpers for the short duration strings hosts type into modals
+// (e.g. "30m", "1h", "2d", "1w" or combinations like "1d12h").
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const DURATION_REGEX = /^(?:\d+[smhdw])+$/;
+const SEGMENT_REGEX = /(\d+)([smhdw])/g;
+
+/**
+ * Parses a duration string into milliseconds.
+ * Returns null when the string is empty, malformed or adds up to zero.
+ */
+function parseDuration(input) {
+  if (typeof input !== 'string') return null;
+  const value = input.replace(/\s+/g, '').toLowerCase();
+  if (!DURATION_REGEX.test(value)) return null;
+
+  let total = 0;
+  for (const [, amount, unit] of value.matchAll(SEGMENT_REGEX)) {
+    total += Number(amount) * UNIT_MS[unit];
+  }
+  return total > 0 && Number.isSafeInteger(total) ? total : null;
+}
+
+/**
+ * Formats milliseconds back into the same compact notation (e.g. "1d 12h").
+ */
+function formatDuration(ms) {
+  const parts = [];
+  let remaining = Math.max(0, Math.floor(ms));
+  for (const unit of ['w', 'd', 'h', 'm', 's']) {
+    const amount = Math.floor(remaining / UNIT_MS[unit]);
+    if (amount > 0) {
+      parts.push(`${amount}${unit}`);
+      remaining -= amount * UNIT_MS[unit];
+    }
+  }
+  return parts.length ? parts.join(' ') : '0s';
+}
+
+module.exports = { parseDuration, formatDuration };
@@ -0,0 +1,10 @@
+const crypto = require('crypto');
+
+/**
+ * Generates a short, URL- and customId-safe identifier (lowercase base36, no underscores).
+ */
+function generateId() {
+  return Date.now().toString(36) + crypto.randomBytes(4).toString('hex');
+}
+
+module.exports = { generateId };
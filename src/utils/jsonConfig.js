@@ -0,0 +1,14 @@
+const fs = require('fs');
+
+/**
+ * Reads a JSON array of settings from a file (preferred) or a raw JSON string,
+ * typically `process.env.X_FILE` and `process.env.X`. Returns [] when neither is set.
+ */
+function loadJsonList({ file, json }) {
+  const raw = file ? fs.readFileSync(file, 'utf8') : json;
+  const list = raw ? JSON.parse(raw) : [];
+  if (!Array.isArray(list)) throw new Error('Expected a JSON array.');
+  return list;
+}
+
+module.exports = { loadJsonList };
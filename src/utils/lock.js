@@ -0,0 +1,22 @@
+// Serializes async read-modify-write sequences per key (e.g. votes on one application),
+// so concurrent interactions don't overwrite each other's changes.
+
+function createKeyedLock() {
+  const tails = new Map();
+
+  /**
+   * Runs `task` after every earlier task with the same key has settled.
+   */
+  return function withLock(key, task) {
+    const previous = tails.get(key) || Promise.resolve();
+    const run = previous.then(task, task);
+    const tail = run.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+    return run;
+  };
+}
+
+module.exports = { createKeyedLock };
@@ -0,0 +1,90 @@
+const { EventEmitter } = require('events');
+const { logger, withNewContext } = require('../logger');
+
+/**
+ * Base class for persistent work queues that process one item at a time and retry
+ * failures later. Subclasses implement `process(id)`, which returns the timestamp of
+ * the item's next attempt, or null once the item is settled.
+ */
+class RetryQueue extends EventEmitter {
+  constructor() {
+    super();
+    // id -> timestamp of the next attempt
+    this.pending = new Map();
+    this.running = false;
+    this.rerun = false;
+    this.stopped = false;
+    this.timer = null;
+    // Settles when the processing loop in progress (if any) finishes.
+    this.idle = Promise.resolve();
+  }
+
+  /**
+   * Schedules an item (now by default) and wakes the queue.
+   */
+  add(id, at = Date.now()) {
+    this.pending.set(id, at);
+    this.kick();
+  }
+
+  /**
+   * Runs the processing loop, or asks the running loop to go round again.
+   */
+  kick() {
+    if (this.stopped) return;
+    if (this.running) {
+      this.rerun = true;
+      return;
+    }
+    clearTimeout(this.timer);
+    this.running = true;
+    // The loop is not part of the request that happened to wake it.
+    this.idle = withNewContext({}, () => this.run())
+      .catch(error => logger.error('Error processing queue', { component: this.constructor.name, error }))
+      .finally(() => {
+        this.running = false;
+        if (this.rerun) {
+          this.rerun = false;
+          this.kick();
+        } else {
+          this.scheduleNext();
+        }
+      });
+  }
+
+  async run() {
+    for (;;) {
+      const now = Date.now();
+      const due = [...this.pending].filter(([, at]) => at <= now).map(([id]) => id);
+      if (!due.length) return;
+      for (const id of due) {
+        if (this.stopped) return;
+        const nextAttemptAt = await this.process(id);
+        if (nextAttemptAt) this.pending.set(id, nextAttemptAt);
+        else this.pending.delete(id);
+      }
+    }
+  }
+
+  scheduleNext() {
+    if (this.stopped || !this.pending.size) return;
+    const next = Math.min(...this.pending.values());
+    this.timer = setTimeout(() => this.kick(), Math.max(0, next - Date.now()));
+  }
+
+  /**
+   * Stops scheduling attempts and resolves once the attempt in progress has finished.
+   * Items still pending stay in storage and are picked up again on the next start.
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    await this.idle;
+  }
+
+  async process() {
+    throw new Error('RetryQueue subclasses must implement process(id).');
+  }
+}
+
+module.exports = { RetryQueue };
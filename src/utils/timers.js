@@ -0,0 +1,35 @@
+// setTimeout only accepts delays up to 2^31-1 ms (~24.8 days); longer delays fire
+// immediately. scheduleAt chains timeouts so far-off deadlines still fire on time.
+
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Runs `callback` at the given epoch timestamp (ms). Past timestamps run on the next tick.
+ * Returns a handle with a `cancel()` method.
+ */
+function scheduleAt(timestamp, callback) {
+  let timeout = null;
+  let cancelled = false;
+
+  const arm = () => {
+    if (cancelled) return;
+    const remaining = timestamp - Date.now();
+    if (remaining > MAX_TIMEOUT_MS) {
+      timeout = setTimeout(arm, MAX_TIMEOUT_MS);
+    } else {
+      timeout = setTimeout(() => {
+        if (!cancelled) callback();
+      }, Math.max(0, remaining));
+    }
+  };
+  arm();
+
+  return {
+    cancel() {
+      cancelled = true;
+      clearTimeout(timeout);
+    }
+  };
+}
+
+module.exports = { scheduleAt };
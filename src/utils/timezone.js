@@ -0,0 +1,77 @@
+// Converts wall-clock times typed by moderators ("2025-06-01 18:00") in an IANA time
+// zone ("Europe/Madrid") to UTC timestamps, using only the Intl data built into Node.
+
+const LOCAL_TIME_REGEX = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})$/;
+const OFFSET_TIME_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Offset of `timeZone` from UTC at the given instant, in ms (e.g. +7200000 for UTC+2).
+ */
+function zoneOffset(timestamp, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  for (const { type, value } of formatter.formatToParts(new Date(timestamp))) parts[type] = Number(value);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Parses "YYYY-MM-DD HH:mm" in `timeZone`, or an ISO 8601 string with an explicit
+ * offset ("2025-06-01T16:00:00Z"). Returns a UTC timestamp (ms) or null.
+ * Wall times skipped by a DST change are moved forward by the length of the gap.
+ */
+function parseZonedTime(input, timeZone = 'UTC') {
+  const value = (input || '').trim();
+  if (OFFSET_TIME_REGEX.test(value)) {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+  const match = LOCAL_TIME_REGEX.exec(value);
+  if (!match || !isValidTimeZone(timeZone)) return null;
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute);
+  const check = new Date(wallTime);
+  if (check.getUTCDate() !== day || check.getUTCHours() !== hour || check.getUTCMonth() !== month - 1) return null;
+
+  // Two passes settle the offset on either side of a DST transition.
+  let time = wallTime - zoneOffset(wallTime, timeZone);
+  time = wallTime - zoneOffset(time, timeZone);
+  return time;
+}
+
+/**
+ * Formats a timestamp as plain text in `timeZone`, for places Discord timestamps
+ * don't render (select menu labels, calendar descriptions).
+ */
+function formatZonedTime(timestamp, timeZone = 'UTC') {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    timeZoneName: 'short'
+  }).format(new Date(timestamp));
+}
+
+module.exports = { isValidTimeZone, parseZonedTime, formatZonedTime };
@@ -0,0 +1,33 @@
+// Small input validators shared by the modal handlers.
+
+const HEX_COLOR_REGEX = /^#?([0-9a-f]{6}|[0-9a-f]{3})$/i;
+const SNOWFLAKE_REGEX = /^\d{17,19}$/;
+
+/**
+ * Normalizes a hex color ("fff", "#00BFFF") to "#RRGGBB", or returns null if invalid.
+ */
+function normalizeHexColor(input) {
+  const match = HEX_COLOR_REGEX.exec((input || '').trim());
+  if (!match) return null;
+  let hex = match[1];
+  if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+  return `#${hex.toUpperCase()}`;
+}
+
+/**
+ * Returns true if the string is an absolute http(s) URL.
+ */
+function isHttpUrl(input) {
+  try {
+    const url = new URL(input);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function isSnowflake(input) {
+  return SNOWFLAKE_REGEX.test(input);
+}
+
+module.exports = { normalizeHexColor, isHttpUrl, isSnowflake };
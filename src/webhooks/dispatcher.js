@@ -0,0 +1,229 @@
+const { generateId } = require('../utils/ids');
+const { backoffDelay } = require('../utils/backoff');
+const { RetryQueue } = require('../utils/retryQueue');
+const { loadJsonList } = require('../utils/jsonConfig');
+const { signPayload } = require('../http/auth');
+const { logger, withContext, currentCorrelationId } = require('../logger');
+
+// --------------------------- Outbound Webhooks --------------------------- //
+//
+// Endpoints come from WEBHOOKS_FILE or the WEBHOOKS env var, as JSON:
+//   [{ "id": "app-service", "url": "https://...", "secret": "...",
+//      "events": ["application.approved", "application.denied"] }]   // "*" = every event
+//
+// Each delivery is a POST of { id, event, createdAt, data } signed the same way as
+// incoming API requests: X-Webhook-Signature = sha256=HMAC(secret, "<timestamp>.<body>")
+// with X-Webhook-Timestamp. X-Webhook-Id is stable across retries so receivers can
+// de-duplicate. Every attempt is recorded in the `webhookDeliveries` collection, along
+// with the correlationId of the request or interaction that raised the event.
+
+const EVENTS = [
+  'application.submitted',
+  'application.approved',
+  'application.denied',
+  'application.withdrawn',
+  'contact.opened',
+  'contact.closed',
+  'interview.booked',
+  'interview.cancelled',
+  'interview.started',
+  'interview.completed',
+  'notification.sent',
+  'notification.failed',
+  'notification.undeliverable',
+  'giveaway.started',
+  'giveaway.ended',
+  'giveaway.cancelled',
+  'giveaway.rerolled'
+];
+
+const REQUEST_TIMEOUT_MS = 10000;
+const log = logger.child({ component: 'webhooks' });
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+class WebhookDispatcher extends RetryQueue {
+  constructor({ store, file = process.env.WEBHOOKS_FILE, json = process.env.WEBHOOKS, maxAttempts = 8 }) {
+    super();
+    this.store = store;
+    this.file = file;
+    this.json = json;
+    this.maxAttempts = maxAttempts;
+    this.endpoints = [];
+    this.reload();
+  }
+
+  /**
+   * (Re)loads webhook endpoints. On a parse error the previous endpoints stay active.
+   */
+  reload() {
+    try {
+      const endpoints = loadJsonList({ file: this.file, json: this.json });
+      for (const endpoint of endpoints) {
+        if (!endpoint.id || !endpoint.url || !endpoint.secret) {
+          throw new Error('Every webhook needs an "id", a "url" and a "secret".');
+        }
+        const unknown = (endpoint.events || []).filter(event => event !== '*' && !EVENTS.includes(event));
+        if (unknown.length) log.warn('Webhook subscribes to unknown events', { endpointId: endpoint.id, events: unknown });
+      }
+      this.endpoints = endpoints.filter(endpoint => endpoint.enabled !== false);
+    } catch (error) {
+      log.error('Error loading webhooks', { error });
+    }
+  }
+
+  /**
+   * Resumes deliveries that were still pending when the bot stopped.
+   */
+  async start() {
+    for (const delivery of await this.store.list('webhookDeliveries', d => d.status === 'pending')) {
+      this.pending.set(delivery.id, delivery.nextAttemptAt || 0);
+    }
+    this.kick();
+  }
+
+  /**
+   * Queues an event for every endpoint subscribed to it. Never throws, so callers
+   * can dispatch without affecting the action that triggered the event.
+   */
+  async dispatch(event, data) {
+    const endpoints = this.endpoints.filter(endpoint => {
+      const events = endpoint.events || ['*'];
+      return events.includes('*') || events.includes(event);
+    });
+    try {
+      for (const endpoint of endpoints) {
+        const now = Date.now();
+        const delivery = {
+          id: generateId(),
+          endpointId: endpoint.id,
+          event,
+          payload: { id: null, event, createdAt: new Date(now).toISOString(), data },
+          status: 'pending',
+          attempts: 0,
+          responseStatus: null,
+          lastError: null,
+          createdAt: now,
+          updatedAt: now,
+          nextAttemptAt: now,
+          deliveredAt: null,
+          correlationId: currentCorrelationId()
+        };
+        delivery.payload.id = delivery.id;
+        await this.store.set('webhookDeliveries', delivery.id, delivery);
+        this.add(delivery.id, now);
+      }
+    } catch (error) {
+      log.error('Error queueing webhook event', { event, error });
+    }
+  }
+
+  /**
+   * Queues a failed delivery again with a fresh set of attempts.
+   */
+  async redeliver(id) {
+    const delivery = await this.store.get('webhookDeliveries', id);
+    if (!delivery) return null;
+    Object.assign(delivery, { status: 'pending', attempts: 0, nextAttemptAt: Date.now(), updatedAt: Date.now() });
+    await this.store.set('webhookDeliveries', id, delivery);
+    this.add(id);
+    return delivery;
+  }
+
+  async process(id) {
+    const delivery = await this.store.get('webhookDeliveries', id);
+    if (!delivery || delivery.status !== 'pending') return null;
+    const context = { correlationId: delivery.correlationId || null, webhookDeliveryId: id };
+    return withContext(context, () => this.attempt(delivery));
+  }
+
+  async attempt(delivery) {
+    const { id } = delivery;
+    const endpoint = this.endpoints.find(e => e.id === delivery.endpointId);
+    if (!endpoint) {
+      Object.assign(delivery, { status: 'failed', lastError: 'Webhook endpoint is no longer configured.', updatedAt: Date.now() });
+      await this.store.set('webhookDeliveries', id, delivery);
+      return null;
+    }
+
+    delivery.attempts += 1;
+    delivery.updatedAt = Date.now();
+    let retryable;
+    try {
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'discord-mod-notification-bot webhooks',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signPayload(endpoint.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      delivery.responseStatus = response.status;
+      if (response.ok) {
+        Object.assign(delivery, { status: 'delivered', deliveredAt: Date.now(), lastError: null });
+      } else {
+        delivery.lastError = `HTTP ${response.status}`;
+        retryable = isRetryableStatus(response.status);
+      }
+    } catch (error) {
+      delivery.lastError = error.message;
+      retryable = true;
+    }
+
+    if (delivery.status === 'pending') {
+      if (retryable && delivery.attempts < this.maxAttempts) {
+        delivery.nextAttemptAt = Date.now() + backoffDelay(delivery.attempts - 1, { baseMs: 5000, maxMs: 60 * 60 * 1000 });
+        log.warn('Webhook delivery attempt failed, retrying', {
+          event: delivery.event,
+          endpointId: endpoint.id,
+          attempts: delivery.attempts,
+          reason: delivery.lastError
+        });
+      } else {
+        delivery.status = 'failed';
+        log.error('Webhook delivery failed', {
+          event: delivery.event,
+          endpointId: endpoint.id,
+          attempts: delivery.attempts,
+          reason: delivery.lastError
+        });
+      }
+    } else {
+      log.debug('Webhook delivered', { event: delivery.event, endpointId: endpoint.id, attempts: delivery.attempts });
+    }
+    await this.store.set('webhookDeliveries', id, delivery);
+    return delivery.status === 'pending' ? delivery.nextAttemptAt : null;
+  }
+}
+
+/**
+ * Shapes a delivery log record for API responses.
+ */
+function serializeDelivery(delivery) {
+  const iso = time => (time ? new Date(time).toISOString() : null);
+  return {
+    id: delivery.id,
+    endpointId: delivery.endpointId,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    responseStatus: delivery.responseStatus,
+    error: delivery.lastError,
+    createdAt: iso(delivery.createdAt),
+    updatedAt: iso(delivery.updatedAt),
+    deliveredAt: iso(delivery.deliveredAt),
+    nextAttemptAt: delivery.status === 'pending' ? iso(delivery.nextAttemptAt) : null,
+    correlationId: delivery.correlationId || null
+  };
+}
+
+module.exports = { WebhookDispatcher, serializeDelivery, EVENTS };